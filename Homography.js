@@ -9,9 +9,103 @@
 
 /**
  * Available types of transforms
- * @typedef {"auto"|"affine"|"piecewiseaffine"|"projective"} Transform
+ * @typedef {"auto"|"affine"|"similarity"|"rigid"|"translation"|"piecewiseaffine"|"projective"} Transform
 */
 
+/**
+ * Options for estimating Affine or Projective transforms robustly when some of the reference points are outliers (wrong matches).
+ * @typedef {Object}    RobustEstimationOptions
+ * @property {"ransac"|"msac"}          [method = "msac"]       Robust estimator. "ransac" selects the model with more inliers, while "msac" selects the one that
+ *                                                              minimizes the sum of the squared errors truncated at threshold (usually more accurate).
+ * @property {Number}                   [threshold = 3]         Positive maximum reprojection error (in pixels when the image size is known, otherwise in the units of the
+ *                                                              reference points) for considering a point an inlier.
+ * @property {Number}                   [maxIterations = 1000]  Maximum amount of random samples to evaluate (a positive integer).
+ * @property {Number}                   [confidence = 0.99]     Desired probability (in (0, 1]) of having drawn at least one sample free of outliers. It is used for stopping
+ *                                                              before maxIterations when the inlier ratio found makes further samples unnecessary.
+ * @property {Number}                   [seed = 0]              Integer seed of the pseudorandom generator. The same seed and points always give the same result.
+ */
+
+/**
+ * Options for refining Projective transforms through the Levenberg-Marquardt algorithm, minimizing the geometric reprojection error instead of the algebraic one.
+ * The error is measured in the units of the reference points (pixels whenever the image size is known, otherwise normalized units if they are normalized).
+ * @typedef {Object}    RefinementOptions
+ * @property {Number}                   [maxIterations = 10]    Maximum amount of Levenberg-Marquardt iterations.
+ * @property {Boolean}                  [symmetric = false]     If true, minimizes the symmetric transfer error (source to destiny plus destiny to source errors)
+ *                                                              instead of only the source to destiny reprojection error.
+ * @property {Boolean}                  [warmStart = true]      If true, the previous transform matrix (for example, the one of the previous frame when calling
+ *                                                              setDestinyPoints() repeatedly) is used as initial guess whenever it fits the points better than
+ *                                                              the linear estimation.
+ */
+
+/**
+ * Options that control how the image is resampled when warping. They can be given for a single warp() call or set as the default ones through setOptions().
+ * @typedef {Object}    WarpOptions
+ * @property {"nearest"|"bilinear"|"bicubic"|"lanczos3"} [interpolation = "nearest"]   Interpolation used for sampling the input image. "nearest" is the fastest one,
+ *                                                              while the rest of them avoid the jagged edges of upscales and perspective warps at a higher cost
+ *                                                              ("bilinear" < "bicubic" < "lanczos3"). Any interpolation other than "nearest" forces the destiny to
+ *                                                              source (inverse) warp.
+ * @property {"none"|"mipmap"}          [minification = "none"]  Filtering used where the output is smaller than the input (strong downscales or the far side
+ *                                                              of a perspective). "mipmap" samples a precomputed pyramid of the image at the level of detail given
+ *                                                              by the local Jacobian of the transform (trilinear filtering), avoiding the aliasing (moiré) of the
+ *                                                              point sampling. It forces the inverse warp.
+ * @property {"transparent"|"constant"|"replicate"|"reflect"|"wrap"} [border = "transparent"]  Value of the output pixels whose source coordinates fall outside
+ *                                                              the input image. "transparent" leaves them transparent, "constant" fills them with borderColor,
+ *                                                              "replicate" repeats the closest edge pixel, "reflect" mirrors the image (fedcba|abcdef|fedcba) and
+ *                                                              "wrap" tiles it (abcdef|abcdef|abcdef). Any border other than "transparent" forces the inverse warp.
+ * @property {Array<Number>}            [borderColor = [0, 0, 0, 255]]  RGBA color (0 to 255) of the "constant" border. If only RGB is given, it is opaque.
+ * @property {Number|null}              [outputWidth = null]    Width of the output image. If only one of outputWidth and outputHeight is given, the other one keeps the
+ *                                                              aspect ratio of the region shown.
+ * @property {Number|null}              [outputHeight = null]   Height of the output image.
+ * @property {Viewport|null}            [viewport = null]       Region of the destiny space (in pixels) shown in the output image. If not given,
+ *                                                              it is the whole warped image when a fit mode is given, or the region from the destiny origin (0, 0) to the
+ *                                                              output width and height otherwise.
+ * @property {"contain"|"cover"|"stretch"|null} [fit = null]    How the viewport is fitted into the output width and height. "contain" scales it uniformly until it fits
+ *                                                              (centered, with transparent bands), "cover" scales it uniformly until it fills the whole output (centered,
+ *                                                              cropping the exceeding part) and "stretch" scales each axis independently. If null, it is "stretch".
+ *                                                              Any of outputWidth, outputHeight, viewport or fit forces the inverse warp.
+ * @property {"uint8"|"float"|null}     [mask = null]           If given, warp() also returns a mask of the output pixels that received data from the input image (as opposed
+ *                                                              to background or border pixels). "uint8" gives an Uint8Array with 255 for them and 0 for the rest, while "float"
+ *                                                              gives a Float32Array with the coverage of each pixel, from 0 to 1 (the fraction of its sample that comes from
+ *                                                              inside the input image, so it is antialiased at the borders of the image).
+ * @property {"auto"|"js"}              [backend = "auto"]      Implementation of the per-pixel loops. "auto" runs the warps with "nearest" interpolation, no minification,
+ *                                                              "transparent" border and no "float" mask in WebAssembly (with SIMD where available) when it is supported,
+ *                                                              and the rest of them in JavaScript. Both give bit-identical images. "js" always uses JavaScript.
+ * @property {Number|null}              [tileSize = null]       If given, the output image is warped in tiles of tileSize x tileSize pixels, that are stitched together into
+ *                                                              it. The auxiliar memory of the warp (as the triangle of each output pixel of "piecewiseaffine" transforms)
+ *                                                              is then bounded by the size of a tile, what allows to warp very large images. It forces the inverse warp.
+ */
+
+/**
+ * Rectangle of the destiny space.
+ * @typedef {Object}    Viewport
+ * @property {Number}                   x                       X coordinate of the top-left corner.
+ * @property {Number}                   y                       Y coordinate of the top-left corner.
+ * @property {Number}                   width                   Width of the rectangle.
+ * @property {Number}                   height                  Height of the rectangle.
+ */
+
+/**
+ * Options of the Homography object.
+ * @typedef {Object}    HomographyOptions
+ * @property {RobustEstimationOptions|null} [robust = null]     If given, every transform except "piecewiseaffine" is estimated robustly through RANSAC/MSAC.
+ * @property {RefinementOptions|Boolean|null} [refine = null]   If given (or true for the default refinement options), "projective" transforms estimated from more
+ *                                                              than four points are refined through Levenberg-Marquardt after their linear estimation.
+ * @property {WarpOptions}              [warp]                  Default options of every warp() call.
+ */
+
+/**
+ * Report of how well the current transform fits the reference points.
+ * @typedef {Object}    ResidualsReport
+ * @property {Float32Array}             residuals               Reprojection error of each reference point (distance between its transformed source point and
+ *                                                              its destiny point).
+ * @property {Number}                   rms                     Root mean square of the reprojection errors.
+ * @property {Number}                   max                     Maximum reprojection error.
+ * @property {Float32Array}             symmetricResiduals      Symmetric transfer error of each reference point (square root of the sum of the squared source to
+ *                                                              destiny and destiny to source errors).
+ * @property {Number}                   symmetricTransferError  Root mean square of the symmetric transfer errors.
+ * @property {Float32Array}             [triangleResiduals]     Only for "piecewiseaffine". Maximum reprojection error of the vertices of each triangle of the mesh.
+ */
+
 /**
  * Equations of the line of each segment of a Triangle
  * @typedef {Object}    LineEquations
@@ -21,19 +115,96 @@
  * @property {Number}                   maxY    Maximum value of y within the segment. 
  */
 
-// In NPM
-    //import Delaunator from 'delaunator';
-// In JS
-    import Delaunator from 'https://cdn.skypack.dev/delaunator@5.0.0';
+// Resolved locally from node_modules (in the browser, through the importmap of the page or a bundler)
+import Delaunator from 'delaunator';
+import { simdKernels, scalarKernels } from './HomographyWasm.js';
 
     
-const availableTransforms = ['auto', 'piecewiseaffine', 'affine', 'projective'];
+const availableTransforms = ['auto', 'piecewiseaffine', 'affine', 'similarity', 'rigid', 'translation', 'projective'];
+// Transforms represented by a 2x3 Affine matrix (the rest of them are particular cases of "affine" without shear)
+const affineTransforms = ['affine', 'similarity', 'rigid', 'translation'];
+// Minimum amount of reference points that determine each transform
+const minimumPointsOfTransform = {affine : 3, similarity : 2, rigid : 2, translation : 1, projective : 4};
 const maxCSSDecimal = 5;
+const availableRobustMethods = ['ransac', 'msac'];
+const defaultRobustEstimationOptions = {method : 'msac', threshold : 3, maxIterations : 1000, confidence : 0.99, seed : 0};
+const defaultRefinementOptions = {maxIterations : 10, symmetric : false, warmStart : true};
+const availableInterpolations = ['nearest', 'bilinear', 'bicubic', 'lanczos3'];
+const availableMinifications = ['none', 'mipmap'];
+const availableBorders = ['transparent', 'constant', 'replicate', 'reflect', 'wrap'];
+const availableFits = ['contain', 'cover', 'stretch'];
+const availableMasks = ['uint8', 'float'];
+const availableBlends = ['over', 'multiply', 'screen', 'add'];
+const availableBackends = ['auto', 'js'];
+const defaultWarpOptions = {interpolation : 'nearest', minification : 'none', border : 'transparent', borderColor : [0, 0, 0, 255],
+                            outputWidth : null, outputHeight : null, viewport : null, fit : null, mask : null,
+                            backend : 'auto', tileSize : null};
 
 // It is thought for 2D
 const dims = 2;
 // Max allowed width/height in normalized coordinates (just for allowing resizes up to x8)
 const normalizedMax = 8.0;
+// Relative tolerances under which a set of points is considered collinear or a matrix is considered singular
+const collinearityTolerance = 1e-10;
+const singularityTolerance = 1e-6;
+// Size of the pages in which the WebAssembly memory grows
+const wasmPageSize = 65536;
+// Largest triangle index that the Int16Array correspondence matrices can hold. Larger meshes use Int32Array ones
+const int16Max = 32767;
+
+/**
+ * Machine readable codes of the errors thrown by Homography.js. They are available in the "code" property of every HomographyError.
+ * @readonly
+ * @enum {String}
+ */
+const ErrorCodes = Object.freeze({
+    // InvalidArgumentError
+    UNKNOWN_TRANSFORM : 'UNKNOWN_TRANSFORM',
+    NOT_ENOUGH_POINTS : 'NOT_ENOUGH_POINTS',
+    POINTS_COUNT_MISMATCH : 'POINTS_COUNT_MISMATCH',
+    INVALID_POINTS : 'INVALID_POINTS',
+    INVALID_OPTION : 'INVALID_OPTION',
+    INVALID_MATRIX : 'INVALID_MATRIX',
+    UNSUPPORTED_FORMAT : 'UNSUPPORTED_FORMAT',
+    // DegenerateInputError
+    NON_FINITE_POINTS : 'NON_FINITE_POINTS',
+    DUPLICATE_POINTS : 'DUPLICATE_POINTS',
+    COLLINEAR_POINTS : 'COLLINEAR_POINTS',
+    ILL_CONDITIONED : 'ILL_CONDITIONED',
+    // InvalidStateError
+    POINTS_NOT_SET : 'POINTS_NOT_SET',
+    IMAGE_NOT_SET : 'IMAGE_NOT_SET',
+    UNKNOWN_IMAGE_SIZE : 'UNKNOWN_IMAGE_SIZE',
+    UNSUPPORTED_TRANSFORM : 'UNSUPPORTED_TRANSFORM',
+    DOM_NOT_AVAILABLE : 'DOM_NOT_AVAILABLE',
+    WORKERS_TERMINATED : 'WORKERS_TERMINATED',
+    WORKER_FAILED : 'WORKER_FAILED'
+});
+
+/**
+ * Base class of every error thrown by Homography.js.
+ * @property {ErrorCodes}   code    Machine readable code of the error.
+ */
+class HomographyError extends Error {
+    /**
+     * @param {String}      message     Human readable description of the error.
+     * @param {ErrorCodes}  code        Machine readable code of the error.
+     */
+    constructor(message, code){
+        super(message);
+        this.name = this.constructor.name;
+        this.code = code;
+    }
+}
+
+/** Thrown when a parameter is not valid by itself (unknown transform, wrong amount of points, unknown option...). */
+class InvalidArgumentError extends HomographyError {}
+
+/** Thrown when the reference points can not determine the transform (non finite, duplicated or collinear points, or ill-conditioned systems). */
+class DegenerateInputError extends HomographyError {}
+
+/** Thrown when an operation is requested before setting all the information that it needs, or when it is not supported by the selected transform. */
+class InvalidStateError extends HomographyError {}
 
 class Homography {
     /**
@@ -47,13 +218,24 @@ class Homography {
      * @constructs        Homography
      * @link              https://github.com/Eric-Canas/Homography.js
      *  
-     * @param {Transform} [transform = "auto"]  String representing the transformation to be done. One of "auto", "affine", "piecewiseaffine" or "projective":
+     * @param {Transform} [transform = "auto"]  String representing the transformation to be done. One of "auto", "affine", "similarity", "rigid", "translation",
+     *                                          "piecewiseaffine" or "projective":
      *                                           · "auto" : Transformation will be automatically selected depending on the inputs given. Just take "auto" if you
      *                                                      don't know which kind of transform do you need. This is the default value.
      * 
      *                                           · "affine" : A geometrical transformation that ensures that all parallel lines of the input image will be parallel
-     *                                                        in the output image. It will need exactly three source points to be set (and three destiny points). 
-     *                                                        An affine transformation can only be composed by rotations, scales, shearings and reflections.
+     *                                                        in the output image. It will need at least three source points to be set (and the same amount of destiny
+     *                                                        points). When more than three points are given, the affine transform that best fits all of them (in the
+     *                                                        least squares sense) is estimated. An affine transformation can only be composed by rotations, scales,
+     *                                                        shearings and reflections.
+     * 
+     *                                           · "similarity" : An affine transformation composed only by a rotation, an uniform scale and a translation. It keeps the
+     *                                                            shapes of the image (angles and proportions) without any shearing. It needs at least two source points.
+     * 
+     *                                           · "rigid" : An affine transformation composed only by a rotation and a translation. It keeps the shapes and the size of the
+     *                                                       image. It needs at least two source points.
+     * 
+     *                                           · "translation" : A pure translation of the image. It needs at least one source point.
      * 
      *                                           · "piecewiseaffine" : A composition of several affine transforms that allows more complex constructions. This transforms
      *                                                                 generates a mesh of triangles with the source points and finds an independent affine transformation
@@ -63,8 +245,9 @@ class Homography {
      *                                                                 that the whole image appears in the output, ensure to set include reference point on each corner of the image.
      *  
      *                                            · "projective" : A transformation that shows how the an image change when the point of view of the observer is modified. 
-     *                                                             It takes exactly four source points (and four destiny points). This is the transformation that should
-     *                                                             be used when looking for perspective modifications.
+     *                                                             It takes at least four source points (and the same amount of destiny points). When more than four points
+     *                                                             are given, the homography that best fits all of them (in the least squares sense) is estimated. This is the
+     *                                                             transformation that should be used when looking for perspective modifications.
      * 
      * @param {Number}              [width]     Optional width of the input image. If given, it will resize the input image to that width. Lower widths will imply faster
      *                                          transformations at the cost of lower resolution in the output image, while larger widths will produce higher resolution images
@@ -73,9 +256,11 @@ class Homography {
      * @param {Number}             [height]     Optional height of the input image. If given, it will resize the input image to that height. Lower heights will imply faster
      *                                          transformations at the cost of lower resolution in the output image, while larger heights will produce higher resolution images
      *                                          at the cost of processing time. If null, it will use the original image height.
+     * 
+     * @param {HomographyOptions}  [options]    Optional advanced options. They can be modified later through setOptions(options).
      *   
      */
-    constructor(transform = 'auto', width=null, height=null){
+    constructor(transform = 'auto', width=null, height=null, options=null){
         // Width and Height refers to the input image. If width and height are given it will be resized.
         if (width !== null) width = Math.round(width);
         if (height !== null) height = Math.round(height);
@@ -91,18 +276,23 @@ class Homography {
         // Set the selected transform
         this.firstTransformSelected = transform.toLowerCase();
         this.transform = transform.toLowerCase();
-        // Build the hidden canvas that will help to convert HTMLImageElements to flat Uint8 Arrays
+        // Build the hidden canvas that will help to convert HTMLImageElements to flat Uint8 Arrays. Only when a DOM is available (not in Node.js),
+        // otherwise images must be given as {data, width, height} RGBA buffers and they are resized without canvas.
         this._hiddenCanvas = null;
-        
-        this._hiddenCanvas = document.createElement('canvas');
-        this._hiddenCanvas.style.display = 'hidden';
-        
-        this._hiddenCanvas.width = width;
-        this._hiddenCanvas.height = height;
-        this._hiddenCanvasContext = this._hiddenCanvas.getContext("2d");
+        this._hiddenCanvasContext = null;
+        if (typeof document !== 'undefined'){
+            this._hiddenCanvas = document.createElement('canvas');
+            this._hiddenCanvas.style.display = 'hidden';
+            
+            this._hiddenCanvas.width = width;
+            this._hiddenCanvas.height = height;
+            this._hiddenCanvasContext = this._hiddenCanvas.getContext("2d");
+        }
         // Sets the internal variables for the current image to null
         this._HTMLImage = null;
         this._image = null;
+        // Mipmap pyramid of the current image, only built when the "mipmap" minification is used
+        this._mipmapPyramid = null;
         // Set the auxiliar variables that are used in piecewiseAffine transforms for minimizing the computation performed
         this._maxSrcX = null;
         this._maxSrcY = null;
@@ -113,6 +303,7 @@ class Homography {
         this._dstPointsAreNormalized = true;
         // Sets the auxiliar variable that will save for the source image, to which triangle of the mesh belongs each coord in "piecewiseaffine" 
         this._trianglesCorrespondencesMatrix = null;
+        this._inverseTrianglesCorrespondencesMatrix = null;
         this._triangles = null;
         // Sets the variables that will save the transform matrices
         this._transformMatrix = null;
@@ -121,6 +312,285 @@ class Homography {
         this._auxSrcTriangle = new Float32Array(3*dims);
         this._auxDstTriangle = new Float32Array(3*dims);
         this._initialTriangles = null;
+        // Sets the advanced options and the variables that save the result of the robust estimation
+        this._options = {robust : null, refine : null, warp : null};
+        this._options.warp = this._resolveWarpOptions({...defaultWarpOptions});
+        this._inliers = null;
+        this._inlierCount = null;
+        // Saves if the current transform matrix was estimated over normalized points, for knowing if it can be reused as initial guess of the refinement
+        this._transformMatrixIsNormalized = null;
+        // Saves if the transform matrix was directly given through setTransformMatrix() instead of being estimated from reference points
+        this._transformMatrixIsGiven = false;
+        // Caches of the inverse warps, so successive warps with the same transform and output geometry do not allocate nor recalculate anything
+        this._outputGeometryCache = null;
+        this._inverseTransformMatrix = null;
+        this._inverseTransformMatrixOf = null;
+        this._outputToSourceMatrix = null;
+        this._outputToSourceLevelOfDetail = null;
+        this._outputToSourceGeometry = null;
+        this._inversePiecewiseMatrices = [];
+        this._auxInverseAffineMatrix = new Float32Array(6);
+        // Auxiliar buffer where the warped image is written before compositing it
+        this._compositeBuffer = null;
+        this._inversePiecewiseLevelsOfDetail = null;
+        this._inversePiecewiseMatricesOf = null;
+        this._inversePiecewiseGeometry = null;
+        // Pool of workers of the asynchronous warps and the shared copy of the image they read, only created when warpAsync() is used.
+        // The identifier of the image tells the workers when they must receive it again
+        this._workerPool = null;
+        this._sharedImage = null;
+        this._imageId = 0;
+        if (options !== null) this.setOptions(options);
+    }
+
+    /**
+     * Summary.                     Sets the advanced options of the Homography object.
+     * 
+     * Description.                 Only the options given are modified, the rest of them keep their previous value. If the options that affect the estimation
+     *                              of the transform are modified and the reference points are already set, the transform matrix is recalculated.
+     * 
+     * @param {HomographyOptions}    options    Options to modify. Set "robust" to null for disabling the robust estimation.
+     * 
+     */
+    setOptions(options){
+        if ('robust' in options){
+            const robust = options.robust === null? null : {...defaultRobustEstimationOptions, ...options.robust};
+            if (robust !== null) checkRobustEstimationOptions(robust);
+            this._options.robust = robust;
+        }
+        if ('refine' in options){
+            checkRefinementOptions(options.refine);
+            this._options.refine = (options.refine === null || options.refine === false)? null :
+                                        {...defaultRefinementOptions, ...(options.refine === true? {} : options.refine)};
+        }
+        if ('warp' in options){
+            this._options.warp = this._resolveWarpOptions(options.warp);
+        }
+        // Recalculate the transform matrix if it was already calculated, as it turns invalid
+        if (('robust' in options || 'refine' in options) && this._srcPoints !== null && this._dstPoints !== null && this.transform !== 'piecewiseaffine'){
+            this._putSrcAndDstPointsInSameRange();
+            this._transformMatrix = this._estimateTransformMatrix();
+            if (this._image !== null) this._induceBestObjectiveWidthAndHeight();
+        }
+    }
+
+    /**
+     * Summary.                     Returns which reference points were considered inliers when estimating the current transform.
+     * 
+     * Description.                 When robust estimation is enabled (through the "robust" option), the points whose reprojection error is larger than the
+     *                              threshold are ignored for estimating the transform. This function allows to know which points were used and how many of them,
+     *                              which is useful for detecting low quality frames (for example, rejecting them when the inlier count is too low). If robust
+     *                              estimation is not enabled, all points are considered inliers.
+     * 
+     * @return {{mask : Uint8Array, count : Number}}   mask contains a 1 for each inlier point and a 0 for each outlier, in the same order than the reference
+     *                                                 points. count is the amount of inliers.
+     */
+    getInliers(){
+        if (this._transformMatrix === null || this._srcPoints === null){
+            throw new InvalidStateError("Inliers can only be known once a transform (other than \"piecewiseaffine\") has been estimated from the source and destiny points",
+                                        ErrorCodes.POINTS_NOT_SET);
+        }
+        if (this._inliers === null){
+            return {mask : new Uint8Array(this._srcPoints.length/dims).fill(1), count : this._srcPoints.length/dims};
+        }
+        return {mask : this._inliers, count : this._inlierCount};
+    }
+
+    /**
+     * Summary.                     Returns how well the current transform fits the reference points.
+     * 
+     * Description.                 Calculates the reprojection error of each reference point (the distance between the source point once transformed and its
+     *                              destiny point), as well as the symmetric transfer error (that also takes into account the distance between the destiny point
+     *                              transformed through the inverse transform and its source point). Errors are given in pixels whenever the input width and height
+     *                              are known, otherwise in the units of the reference points. Exact transforms (as "affine" with three points or "projective" with four)
+     *                              will only show numerical errors, while least squares or robust estimations will show how noisy the points are. For "piecewiseaffine"
+     *                              transforms each point is evaluated through every triangle that it belongs to (keeping the worst case), and the error of each triangle
+     *                              is also given. It is useful for gating low quality frames.
+     * 
+     * @return {ResidualsReport}    Per point residuals, their RMS and maximum, and the symmetric transfer errors.
+     */
+    getResiduals(){
+        this._ensureTransformIsEstimated("Residuals can only be calculated when both source and destiny points are set");
+        const n = this._srcPoints.length/dims;
+        // Express the errors in pixels if points are normalized but the image size is known
+        const scaleX = this._srcPointsAreNormalized && this._width > 0? this._width : 1;
+        const scaleY = this._srcPointsAreNormalized && this._height > 0? this._height : 1;
+        const forwardErrors = new Float64Array(n), backwardErrors = new Float64Array(n);
+        let triangleResiduals;
+        if (this.transform === 'piecewiseaffine'){
+            triangleResiduals = new Float32Array(this._triangles.length/3);
+            // Points not belonging to any triangle (as duplicated ones) can not be evaluated
+            forwardErrors.fill(NaN); backwardErrors.fill(NaN);
+            for (let t = 0; t < this._triangles.length; t+=3){
+                const matrix = this._piecewiseMatrices[t/3];
+                const inverseMatrix = inverseAffineMatrix(matrix);
+                for (let v = t; v < t+3; v++){
+                    const i = this._triangles[v];
+                    const forward = squaredTransferError(applyAffineTransformToPoint, matrix, this._srcPoints, this._dstPoints, i, scaleX, scaleY);
+                    const backward = squaredTransferError(applyAffineTransformToPoint, inverseMatrix, this._dstPoints, this._srcPoints, i, scaleX, scaleY);
+                    // Keep the worst case among all the triangles of the point
+                    if (!(forward <= forwardErrors[i])) forwardErrors[i] = forward;
+                    if (!(backward <= backwardErrors[i])) backwardErrors[i] = backward;
+                    triangleResiduals[t/3] = Math.max(triangleResiduals[t/3], Math.sqrt(forward));
+                }
+            }
+        } else {
+            const transformPoint = getTransformFunction(this.transform);
+            const inverseMatrix = inverseTransformMatrix(this._transformMatrix);
+            for (let i = 0; i < n; i++){
+                forwardErrors[i] = squaredTransferError(transformPoint, this._transformMatrix, this._srcPoints, this._dstPoints, i, scaleX, scaleY);
+                backwardErrors[i] = squaredTransferError(transformPoint, inverseMatrix, this._dstPoints, this._srcPoints, i, scaleX, scaleY);
+            }
+        }
+        const residuals = new Float32Array(n), symmetricResiduals = new Float32Array(n);
+        let squaredSum = 0, symmetricSquaredSum = 0, max = 0;
+        for (let i = 0; i < n; i++){
+            residuals[i] = Math.sqrt(forwardErrors[i]);
+            symmetricResiduals[i] = Math.sqrt(forwardErrors[i] + backwardErrors[i]);
+            squaredSum += forwardErrors[i];
+            symmetricSquaredSum += forwardErrors[i] + backwardErrors[i];
+            if (residuals[i] > max) max = residuals[i];
+        }
+        const report = {residuals : residuals, rms : Math.sqrt(squaredSum/n), max : max,
+                        symmetricResiduals : symmetricResiduals, symmetricTransferError : Math.sqrt(symmetricSquaredSum/n)};
+        if (this.transform === 'piecewiseaffine') report.triangleResiduals = triangleResiduals;
+        return report;
+    }
+
+    /**
+     * Summary.                     Maps a set of points from the source space to the destiny space through the current transform.
+     * 
+     * Description.                 Applies the same transform used by warp() to any set of points, for example to map UI clicks, bounding boxes or landmarks.
+     *                              Points are given and returned in the coordinates of the reference points (not in the coordinates of the warped image, that is
+     *                              cropped to its content). For "piecewiseaffine" transforms, each point is transformed through the triangle of the mesh that contains it,
+     *                              and points outside the mesh are returned as NaN.
+     * 
+     * @param {ArrayBuffer | Array}  points      Points to transform, given as an ArrayBuffer or Array in the form [x1, y1, x2, y2...] or [[x1, y1], [x2, y2]...].
+     * 
+     * @param {Boolean}  [pointsAreNormalized]   Optional boolean determining if points are in normalized or in image coordinates. If not given it will be
+     *                                           automatically inferred from the points array, in the same way than for setSourcePoints().
+     * 
+     * @return {Float32Array | Array}            Transformed points, in the same format (flat or nested) and range (normalized or image coordinates) than the input points.
+     */
+    transformPoints(points, pointsAreNormalized = null){
+        return this._mapPoints(points, pointsAreNormalized, false);
+    }
+
+    /**
+     * Summary.                     Maps a set of points from the destiny space back to the source space through the inverse of the current transform.
+     * 
+     * Description.                 Inverse of transformPoints(). For "piecewiseaffine" transforms, each point is transformed through the inverse of the destiny
+     *                              triangle that contains it, and points outside the mesh are returned as NaN.
+     * 
+     * @param {ArrayBuffer | Array}  points      Points to transform, given as an ArrayBuffer or Array in the form [x1, y1, x2, y2...] or [[x1, y1], [x2, y2]...].
+     * 
+     * @param {Boolean}  [pointsAreNormalized]   Optional boolean determining if points are in normalized or in image coordinates. If not given it will be
+     *                                           automatically inferred from the points array, in the same way than for setDestinyPoints().
+     * 
+     * @return {Float32Array | Array}            Transformed points, in the same format (flat or nested) and range (normalized or image coordinates) than the input points.
+     */
+    inverseTransformPoints(points, pointsAreNormalized = null){
+        return this._mapPoints(points, pointsAreNormalized, true);
+    }
+
+    /**
+     * Summary.                     Returns the current Affine or Projective transform as a TransformMatrix.
+     * 
+     * Description.                 The returned TransformMatrix can be composed with other transforms (or inverted) and set back through setTransformMatrix(),
+     *                              so a chain of transforms is applied with a single warp. It is expressed in the coordinates of the reference points, that are
+     *                              image coordinates whenever the image size is known.
+     * 
+     * @return {TransformMatrix}    Current transform.
+     */
+    getTransformMatrix(){
+        if (!this._transformMatrixIsGiven){
+            if (this.transform === 'piecewiseaffine'){
+                throw new InvalidStateError(`"piecewiseaffine" transforms can not be expressed as a single matrix`, ErrorCodes.UNSUPPORTED_TRANSFORM);
+            }
+            this._ensureTransformIsEstimated("The transform matrix can only be known when both source and destiny points are set");
+        }
+        return new TransformMatrix(this._transformMatrix);
+    }
+
+    /**
+     * Summary.                     Sets directly the Affine or Projective transform to apply, instead of estimating it from reference points.
+     * 
+     * Description.                 The transform is given in image coordinates (pixels of the input image) and will be used by warp(), transformPoints(),
+     *                              inverseTransformPoints() and getTransformationMatrixAsCSS(). It unsets any previous reference points, so "getResiduals()"
+     *                              and "getInliers()" are not available until new ones are set. The transform mode is set to "affine" or "projective"
+     *                              depending on the given matrix.
+     * 
+     * @param {TransformMatrix|ArrayBuffer|Array}   transformMatrix     Transform to apply. Any format accepted by the TransformMatrix constructor.
+     * 
+     */
+    setTransformMatrix(transformMatrix){
+        if (!(transformMatrix instanceof TransformMatrix)) transformMatrix = new TransformMatrix(transformMatrix);
+        if (transformMatrix.isAffine()){
+            this.transform = 'affine';
+            this._transformMatrix = transformMatrix.toAffineArray();
+        } else {
+            this.transform = 'projective';
+            this._transformMatrix = transformMatrix.toProjectiveArray();
+        }
+        checkMatrixConditioning(this._transformMatrix);
+        this._transformMatrixIsGiven = true;
+        this._transformMatrixIsNormalized = false;
+        // Reference points turn invalid, and the matrix is given in image coordinates
+        this._srcPoints = null;
+        this._dstPoints = null;
+        this._srcPointsAreNormalized = false;
+        this._dstPointsAreNormalized = false;
+        this._inliers = null;
+        this._inlierCount = null;
+        this._piecewiseMatrices = null;
+        if (this._width > 0 && this._height > 0){
+            this._induceBestObjectiveWidthAndHeight();
+        }
+    }
+
+    /**
+     * Summary.                     Returns the current Affine or Projective transform as a flat 3x3 matrix.
+     * 
+     * @param {Boolean}  [columnMajor = false]  If true, values are given column by column (as expected by WebGL), otherwise row by row (as expected by OpenCV).
+     * 
+     * @return {Float64Array}       3x3 matrix of 9 values, in the coordinates of the reference points (image coordinates whenever the image size is known).
+     */
+    getMatrix(columnMajor = false){
+        return this.getTransformMatrix().toArray(columnMajor);
+    }
+
+    /**
+     * Summary.                     Returns the current Affine or Projective transform as a flat 4x4 matrix (keeping the Z axis unchanged), as used by CSS matrix3d or 3D engines.
+     * 
+     * @param {Boolean}  [columnMajor = false]  If true, values are given column by column (as expected by CSS and WebGL), otherwise row by row.
+     * 
+     * @return {Float64Array}       4x4 matrix of 16 values, in the coordinates of the reference points (image coordinates whenever the image size is known).
+     */
+    get4x4Matrix(columnMajor = false){
+        return this.getTransformMatrix().to4x4Array(columnMajor);
+    }
+
+    /**
+     * Summary.                     Sets the transform from a flat 3x3 or 4x4 matrix, without reference points. Equivalent to setTransformMatrix(TransformMatrix.fromArray(matrix, columnMajor)).
+     * 
+     * @param {ArrayBuffer|Array<Number>}   matrix                  Flat matrix of 9 or 16 values, in image coordinates of the input image.
+     * 
+     * @param {Boolean}                     [columnMajor = false]   If true, values are given column by column (as in WebGL and CSS), otherwise row by row.
+     * 
+     */
+    setMatrix(matrix, columnMajor = false){
+        this.setTransformMatrix(TransformMatrix.fromArray(matrix, columnMajor));
+    }
+
+    /**
+     * Summary.                     Sets the transform from a matrix stored in the layout of OpenCV's FileStorage (JSON or YAML), without reference points.
+     *                              Equivalent to setTransformMatrix(TransformMatrix.fromOpenCV(data)).
+     * 
+     * @param {String|Object}  data     Content of the JSON or YAML file, or the already parsed JSON object. The matrix must be 3x3 or 2x3.
+     * 
+     */
+    setMatrixFromOpenCV(data){
+        this.setTransformMatrix(TransformMatrix.fromOpenCV(data));
     }
 
     /**
@@ -172,7 +642,7 @@ class Homography {
      */
      setReferencePoints(srcPoints, dstPoints, image = null, width = null, height = null, srcPointsAreNormalized = null, dstPointsAreNormalized = null){
         if (typeof(srcPoints) === 'undefined' || typeof(dstPoints) === 'undefined'){
-            throw("Source and Destiny points must be defined when calling setReferencePoints().")
+            throw new InvalidArgumentError("Source and Destiny points must be defined when calling setReferencePoints().", ErrorCodes.INVALID_POINTS);
         }
         // Set dstPoints as null for avoiding setSourcePoints to calculate a matrix that will turn invalid in the next line
         this._dstPoints = null; 
@@ -218,15 +688,20 @@ class Homography {
     setSourcePoints(points, image = null, width = null, height = null, pointsAreNormalized = null){
         // If it is given as a list, transform it to an Float32Array for improving performance.
         if(!ArrayBuffer.isView(points)) points = new Float32Array(points.flat())
+        // Verify that they are valid points before setting anything
+        checkPointsArray(points, 'Source');
         // Set the source points property
         this._srcPoints = points;
         // Check if it is given in normalized coordinates (if this information is not given by the user).
         this._srcPointsAreNormalized = pointsAreNormalized === null? !containsValueGreaterThan(this._srcPoints, normalizedMax) : pointsAreNormalized;
         // Trasform matrtix should be erased as srcPoints have changed, thus it turns invalid.
         this._transformMatrix = null;
+        this._transformMatrixIsGiven = false;
 
         // Verifies if the selected transform is coherent with the points array given, or select the best one if 'auto' mode is selected.
         this.transform = checkAndSelectTransform(this.firstTransformSelected, this._srcPoints);
+        // Verifies that the points can determine the selected transform (no duplicates, no collinear configurations)
+        checkPointsGeometry(this.transform, this._srcPoints);
 
         // Unset objective width and height as they can change when source width/height is changed
         this._objectiveWidth = null;
@@ -246,7 +721,7 @@ class Homography {
         }
         // If I have the dstPoints setted, try to recalculate the new transform matrix if possible (except for piecewise).
         if(this._dstPoints !== null && this.transform !== 'piecewiseaffine'){
-            this._transformMatrix = calculateTransformMatrix(this.transform, this._srcPoints, this._dstPoints);
+            this._transformMatrix = this._estimateTransformMatrix();
         }
         // In case that no width or height were given, but points were already in image coordinates, the "piecewiseaffine" correspondence matrix is still calculable.
         if (this.transform === 'piecewiseaffine' && this._trianglesCorrespondencesMatrix === null){
@@ -275,6 +750,7 @@ class Homography {
      *                              as it is the one that is more computationally expensive.
      * 
      * @param {HTMLImageElement|ImageData}  image    Image that will internally saved for future warping (warp()). As an HTMLImageElement or ImageData.
+     *                                               Without a DOM (e.g. in Node.js) it must be any {data, width, height} object with RGBA data.
      * 
      * @param {Number}                   	[width]  Optional width. Resizes the input image to the given width. If not provided, original image width will be used
      *                                               (widths lowers than the original image width will improve speed at cost of resolution). It is not recommended
@@ -288,19 +764,30 @@ class Homography {
      * 
      */
     setImage(image, width = null, height = null){
+        const isRGBABuffer = ArrayBuffer.isView(image.data);
         // Set the current width and height of the input. As the width/height given by the user or the original width/height of the image if not given
-        if ((this._width === null || this._height === null) && !ArrayBuffer.isView(image.data)){
+        if ((this._width === null || this._height === null) && !isRGBABuffer){
             this._setSrcWidthHeight((width === null? image.width : width), (height === null? image.height : height));
         }
         // Sets the image as a flat Uint8ClampedArray, for dealing fast with it. It will also resize the image if needed.
-        // If it is already ImageData save it, else convert it
-        if (ArrayBuffer.isView(image.data)){
+        // If it is already ImageData (or an {data, width, height} buffer) that must not be resized save it, else convert it
+        if (isRGBABuffer && width === null && height === null){
+            this._HTMLImage = null;
             this._image = image.data;
             this._setSrcWidthHeight(image.width, image.height);
+        } else if (isRGBABuffer){
+            // Avoid to resize the previous image when setting the new width and height, as it is going to be replaced
+            this._image = null;
+            this._HTMLImage = image;
+            this._setSrcWidthHeight((width === null? image.width : width), (height === null? image.height : height));
+            this._image = this._getImageAsRGBAArray(image);
         } else {
             this._HTMLImage = image;
             this._image = this._getImageAsRGBAArray(image);
         }
+        // The content of the image could have changed even if it is the same buffer (as in video streams)
+        this._mipmapPyramid = null;
+        this._updateWorkersImage();
 
 
         // If source points are already set, now it is possible to calculate the "piecewiseaffine" parameters if needed.
@@ -312,6 +799,9 @@ class Homography {
         // If destiny points are already set but objectiveWidth and objectiveHeight are not, set them now.
         if (this._dstPoints !== null && (this._objectiveWidth <= 0 || this._objectiveHeight <= 0)){
             this._induceBestObjectiveWidthAndHeight();
+        // If the transform was given directly, output limits depend only on the image size, that could have changed.
+        } else if (this._transformMatrixIsGiven){
+            this._induceBestObjectiveWidthAndHeight();
         }
     }
 
@@ -337,24 +827,27 @@ class Homography {
      setDestinyPoints(points, pointsAreNormalized = null){
         // Transform it to a typed array for perfomance reasons
         if(!ArrayBuffer.isView(points)) points = new Float32Array(points.flat());
+        checkPointsArray(points, 'Destiny');
         // Verify that these points matches with the source points
         if(this._srcPoints !== null && points.length !== this._srcPoints.length) 
-            throw(`It must be the same amount of destiny points (${points.length/dims}) than source points (${this._srcPoints.length/dims})`);
+            throw new InvalidArgumentError(`It must be the same amount of destiny points (${points.length/dims}) than source points (${this._srcPoints.length/dims})`,
+                                           ErrorCodes.POINTS_COUNT_MISMATCH);
         // Set them
         this._dstPoints = points;
+        this._transformMatrixIsGiven = false;
         this._dstPointsAreNormalized = pointsAreNormalized === null? !containsValueGreaterThan(this._dstPoints, normalizedMax) : pointsAreNormalized;
 
         // As both source and destiny points are set now, calculate the transformation matrix for whichever the selected transform is
         if (this.transform !== 'piecewiseaffine'){
-            // Denormalize points for the projective case as it needs not normalized ranges
-            if (this._dstPointsAreNormalized && this._width > 0 && this._height > 0 && this.transform === 'projective'){
+            // Denormalize points if possible, so the matrix is estimated in image coordinates
+            if (this._dstPointsAreNormalized && this._width > 0 && this._height > 0){
                 denormalizePoints(this._dstPoints, this._width, this._height);
                 this._dstPointsAreNormalized = false;
             }
             // Ensure that destiny and source points are in the same range
             this._putSrcAndDstPointsInSameRange();
             // Calculate the projective or the affine transform
-            this._transformMatrix = calculateTransformMatrix(this.transform, this._srcPoints, this._dstPoints);
+            this._transformMatrix = this._estimateTransformMatrix();
 
        } else {
            // Unset piecewiseMatrices as they turns invalid when dstPoints are changed
@@ -401,167 +894,593 @@ class Homography {
      *                                           applications, but try to avoid it on critical performance applications as it would decrease its overall performance. If you need to
      *                                           draw it on a canvas, it can be directly done through context.putImageData(imgData, x, y).
      * 
+     * @param {Boolean}  [applyAlwaysInverse = false] If True, always applies the destiny to source (inverse) warp, that never leaves holes in the output image.
+     * 
+     * @param {WarpOptions}             [options] Options for this warp. The ones not given are taken from the defaults set through setOptions({warp : options}).
+     * 
      * @return {ImageData|Promise<HTMLImageElement>}  Transformed image in format ImageData or Promise of an HTMLImageElement if asHTMLPromise was set to true. ImageData buffers can be
-     *                                                directly drawn on canvas by using context.putImageData(imgData, x, y).
+     *                                                directly drawn on canvas by using context.putImageData(imgData, x, y). Where ImageData does not exist (e.g. in
+     *                                                Node.js) it is an {data, width, height} object with the same content. If the mask option is given, it returns
+     *                                                {image, mask} instead (or a Promise of it), where mask is the Uint8Array or Float32Array with the coverage of each pixel.
+     *                                                It also happens when the mask is a default set through setOptions({warp : {mask}}). For a single return type,
+     *                                                use warpWithPlacement(), whose mask is null when it is not requested.
+     */
+
+     warp(image = null, asHTMLPromise = false, applyAlwaysInverse = false, options = null){
+        const {output_img, mask} = this._warp(image, applyAlwaysInverse, options);
+        if (mask === null){
+            return asHTMLPromise? this.HTMLImageElementFromImageData(output_img) : output_img;
+        } else {
+            return asHTMLPromise? this.HTMLImageElementFromImageData(output_img).then(img => ({image : img, mask : mask})) : {image : output_img, mask : mask};
+        }
+    }
+
+    /**
+     * Summary.                     Apply the selected transform to an image, returning also where the warped image is placed in the destiny space.
+     * 
+     * Description.                 Equivalent to warp(), but returns the warped image together with its exact (sub-pixel) origin and size in destiny coordinates,
+     *                              so it can be drawn at the correct spot for every transform type (e.g. context.putImageData(image, Math.round(x), Math.round(y))) 
+     *                              without recomputing the bounds of the transformed image by hand. Destiny coordinates are given in pixels, also when destiny points
+     *                              were given normalized (that are denormalized with the width and height of the input image).
+     * 
+     * @param {HTMLImageElement}        [image]  Image that will transformed. Same as in warp().
+     * 
+     * @param {Boolean}  [applyAlwaysInverse = false] If True, always applies the destiny to source (inverse) warp, that never leaves holes in the output image.
+     * 
+     * @param {WarpOptions}             [options] Options for this warp. The ones not given are taken from the defaults set through setOptions({warp : options}).
+     * 
+     * @return {Object}  {image, x, y, width, height, transform, mask}. Where "image" is the transformed ImageData, "x" and "y" are the destiny coordinates of its top-left
+     *                   corner, "width" and "height" are the size of the destiny region it covers (that differ from the size of "image" when it is rescaled
+     *                   through the outputWidth, outputHeight or fit options), "transform" is the TransformMatrix from source to destiny coordinates
+     *                   (null for "piecewiseaffine" transforms) and "mask" is the coverage mask (null if the mask option is not given).
      */
+    warpWithPlacement(image = null, applyAlwaysInverse = false, options = null){
+        const {output_img, geometry, mask} = this._warp(image, applyAlwaysInverse, options);
+        return {image : output_img, ...this._placement(geometry), mask : mask};
+    }
+
+    /**
+     * Summary.                     PRIVATE. AVOID TO USE IT. Calculates where the image warped with the given geometry is placed in the destiny space.
+     * 
+     * @param {Object}              geometry    Output geometry, as given by this._outputGeometry(options).
+     * 
+     * @return {Object}             {x, y, width, height, transform}, as described in warpWithPlacement().
+     */
+    _placement(geometry){
+        // Output pixels are only scaled and translated with respect to the destiny space
+        const {scaleX, scaleY, originX, originY} = geometry;
+        const transform = this.transform === 'piecewiseaffine'? null : new TransformMatrix(this._transformMatrix);
+        return {x : originX, y : originY, width : geometry.width*scaleX, height : geometry.height*scaleY, transform : transform};
+    }
 
-     warp(image = null, asHTMLPromise = false, applyAlwaysInverse = false){
+    /**
+     * Summary.                     PRIVATE. AVOID TO USE IT. Common implementation of warp() and warpWithPlacement().
+     * 
+     * @param {HTMLImageElement}    image               Image to warp, or null for using the one previously set.
+     * 
+     * @param {Boolean}             applyAlwaysInverse  If True, always applies the destiny to source (inverse) warp.
+     * 
+     * @param {WarpOptions|null}    options             Options for this warp given by the user.
+     * 
+     * @return {Object}             {output_img, geometry, mask}. The transformed ImageData, the output geometry used, as given by this._outputGeometry(options), and
+     *                              the coverage mask (null if the mask option is not given).
+     */
+    _warp(image, applyAlwaysInverse, options){
         // If the image was given, sets it internally (It will also recalculate any information that depends of it).
         if (image !== null){
             this.setImage(image);
         } else if (this._image === null){
-            throw("warp() must receive an image if it was not setted before through `setImage(img)` or  `setSourcePoints(points, img)`");
-        }
-        let output_img;
-        // Generate an image by applying the selected transform. If output image is larger than input image, apply the Inverse Transform instead in order to avoid holes in it.
-        switch(this.transform){
-            case 'piecewiseaffine':
-                // If objectiveWidth or objectiveHeight are larger than width or height apply inverse transform, otherwise apply the source to destiny transfrom
-                // Apply also the inverse transform in the reduction case, when the width/height difference is great enough for compensating the overhead of inverse transform
-                output_img = (applyAlwaysInverse || (this._objectiveWidth > this._width || this._objectiveHeight > this._height || this._objectiveWidth*1.2 < this._width || this._objectiveHeight*1.2 < this._height))?
-                                                            this._inversePiecewiseAffineWarp(this._image) : this._piecewiseAffineWarp(this._image);
-                break;
-            case 'affine':
-                // If objectiveWidth or objectiveHeight are larger than width or height apply inverse transform, otherwise apply the source to destiny transfrom 
-                output_img = (applyAlwaysInverse || (this._objectiveWidth !== this._width || this._objectiveHeight !== this._height))?
-                                                                    this._inverseGeometricWarp(this._image) : this._geometricWarp(this._image);
-                break;
-            case 'projective':
-                //Force inverse, as otherwise projective would produce sparse parts on the image by the perspective properties
-                output_img = this._inverseGeometricWarp(this._image);
-                break;
+            throw new InvalidStateError("warp() must receive an image if it was not setted before through `setImage(img)` or  `setSourcePoints(points, img)`",
+                                        ErrorCodes.IMAGE_NOT_SET);
         }
+        options = this._resolveWarpOptions(options);
+        const geometry = this._outputGeometry(options);
+        const pixels = geometry.width*geometry.height >= 1? geometry.width*geometry.height : 1;
+        const mask = options.mask === null? null : (options.mask === 'float'? new Float32Array(pixels) : new Uint8Array(pixels));
+        let output_img = this._applyWarp(this._image, options, geometry, applyAlwaysInverse, null, mask);
 
         // Transform it from the Uint8ClampedArray flat form (better performance for calculating) to the ImageData form (more conve for the user).
-        if (this._objectiveWidth*this._objectiveHeight >= 1 && !isNaN(this._objectiveWidth*this._objectiveHeight)){
-            output_img = new ImageData(output_img, this._objectiveWidth, this._objectiveHeight);
+        if (geometry.width*geometry.height >= 1 && !isNaN(geometry.width*geometry.height)){
+            output_img = createImageData(output_img, geometry.width, geometry.height);
         } else {
             //Just avoid to break when the transform produces a 0 shape image.
-            output_img = new ImageData(new Uint8ClampedArray(4), 1,1);
+            output_img = createImageData(new Uint8ClampedArray(4), 1,1);
         }
-        if (asHTMLPromise)
-            return this.HTMLImageElementFromImageData(output_img);
-        else 
-            return output_img;
+        return {output_img : output_img, geometry : geometry, mask : mask};
     }
 
     /**
-     * Summary.                     Transforms an Image from its ImageData respresentation to an HTMLImageElement. NOTE: Remember to await for the promise to be resolved
-     *                              (if asPromise is true (default)) or to the "onload" event (if asPromise is false).
+     * Summary.                     Apply the selected transform to an image, writing the result into a caller-provided buffer.
      * 
-     * Description.                 In performance critical applications such as, for example, real-time applications based on videoStreams it should be avoided when
-     *                              possible as this transformation could decrease the overall framerate. Instead, if you need to draw the result image in a canvas,
-     *                              try to do it directly through context.putImageData(imgData, x, y).
-     *                               
+     * Description.                 Version of warp() for performance critical pipelines (e.g. 60 fps video streams). It writes the warped image into the given
+     *                              target instead of allocating a new buffer and ImageData at each call. The inverse matrices, the output geometry and the
+     *                              auxiliar buffers are cached between calls, so in steady state (the image, the options and the target keep their size)
+     *                              no new buffers are allocated. For it, pass the options through setOptions({warp : options}) instead of through this
+     *                              function, as merging them would allocate a new object per call.
+     *                              When target is an ImageData (or any {data, width, height} object), its size is used as outputWidth and outputHeight, so
+     *                              by default it shows the region of the destiny space going from (0, 0) to (target.width, target.height). It allows, for example,
+     *                              to warp directly into a frame of the same size than the one where destiny points were detected. The target is fully overwritten
+     *                              (pixels out of the warped image are set as transparent, or filled depending on the border option).
      * 
-     * @param {ImageData}  imgData                            Image to be transformed to an HTMLImageElement.
+     * @param {ImageData|Uint8ClampedArray} target  Buffer where to write the warped image. If it is a flat Uint8ClampedArray its size is given by the outputWidth and
+     *                                              outputHeight warp options (or inferred as in warp() if they are not set) and its length must match it.
      * 
-     * @param {Boolean}    [asPromise = true]                 If true (default), returns a Promise<HTMLImageElement> that ensures that the image is already loaded when resolved.
-     *                                                        If false, directly returns the HTMLImageElement. In this case, the user must take care of not using it before the
-     *                                                        "onload" event is triggered. 
-     *  
-     * @return {HTMLImageElement|Promise<HTMLImageElement>}   HTMLImageElement (or promise of it) containing the Image inside in the imgData buffer. This HTMLImageElement,
-     *                                                        will also have the same width and height than this imgData buffer.
+     * @param {HTMLImageElement}        [image]  Image that will transformed. Same as in warp().
+     * 
+     * @param {Boolean}  [applyAlwaysInverse = false] If True, always applies the destiny to source (inverse) warp, that never leaves holes in the output image.
+     * 
+     * @param {WarpOptions}             [options] Options for this warp. The ones not given are taken from the defaults set through setOptions({warp : options}).
+     *                                           The mask option is ignored, as the mask is written into the mask parameter.
+     * 
+     * @param {Uint8Array|Float32Array} [mask]   If given, buffer of one element per pixel of the target where to write the coverage mask. An Uint8Array receives
+     *                                           the "uint8" mask and a Float32Array the "float" one (see the mask warp option).
+     * 
+     * @return {ImageData|Uint8ClampedArray}    The given target, containing the warped image.
      */
-
-    HTMLImageElementFromImageData(imgData, asPromise = true)
-    {
-        let previousCanvasWidth = null;
-        if (this._objectiveWidth !== this._hiddenCanvas.width){
-            previousCanvasWidth = this._hiddenCanvas.width;
-            this._hiddenCanvas.width = this._objectiveWidth;
+    warpInto(target, image = null, applyAlwaysInverse = false, options = null, mask = null){
+        if (image !== null){
+            this.setImage(image);
+        } else if (this._image === null){
+            throw new InvalidStateError("warpInto() must receive an image if it was not setted before through `setImage(img)` or  `setSourcePoints(points, img)`",
+                                        ErrorCodes.IMAGE_NOT_SET);
         }
-        let previousCanvasHeight = null;
-        if (this._objectiveHeight !== this._hiddenCanvas.height){
-            previousCanvasHeight = this._hiddenCanvas.height;
-            this._hiddenCanvas.height = this._objectiveHeight;
+        options = this._resolveWarpOptions(options);
+        const isFlatArray = ArrayBuffer.isView(target);
+        const data = isFlatArray? target : target.data;
+        const geometry = isFlatArray? this._outputGeometry(options) : this._outputGeometry(options, target.width, target.height);
+        if (!(data instanceof Uint8ClampedArray) || data.length !== (geometry.width*geometry.height)<<2){
+            throw new InvalidArgumentError(`Target must be an ImageData or an Uint8ClampedArray of ${geometry.width}x${geometry.height}x4 elements`, ErrorCodes.INVALID_OPTION);
         }
-
-        this._hiddenCanvasContext.clearRect(0, 0, this._objectiveWidth, this._objectiveHeight);
-        this._hiddenCanvasContext.putImageData(imgData, 0, 0);
-        let img = document.createElement('img')
-        img.src = this._hiddenCanvas.toDataURL();
-        img.width = this._objectiveWidth;
-        img.height = this._objectiveHeight;
-        if (previousCanvasWidth !== null) {this._hiddenCanvas.width = previousCanvasWidth;}
-        if (previousCanvasHeight !== null) {this._hiddenCanvas.height = previousCanvasHeight;}
-        if (asPromise){
-            return new Promise((resolve, reject) => {
-                img.onload = () => {resolve(img);};
-                img.onerror = reject;
-            });
-        } else {
-            return img;
+        if (mask !== null && (!(mask instanceof Uint8Array || mask instanceof Float32Array) || mask.length !== geometry.width*geometry.height)){
+            throw new InvalidArgumentError(`Mask must be an Uint8Array or a Float32Array of ${geometry.width}x${geometry.height} elements`, ErrorCodes.INVALID_OPTION);
         }
+        this._applyWarp(this._image, options, geometry, applyAlwaysInverse, data, mask);
+        return target;
     }
 
     /**
-     * Summary.                     Transforms an Image from its ImageData respresentation to an HTMLImageElement. NOTE: Remember to await for the promise to be resolved
-     *                              (if asPromise is true (default)) or to the "onload" event (if asPromise is false).
+     * Summary.                     Warps the image and composites it directly onto a destination image, at its destiny coordinates.
      * 
-     * Description.                 In performance critical applications such as, for example, real-time applications based on videoStreams it should be avoided when
-     *                              possible as this transformation could decrease the overall framerate. Instead, if you need to draw the result image in a canvas,
-     *                              try to do it directly through context.putImageData(imgData, x, y).
-     *                               
+     * Description.                 Useful for AR overlays or billboard replacement, where a small image is warped over a camera frame. Only the pixels of
+     *                              the destination inside the bounding box of the warped image are touched, and from them, only the ones covered by it
+     *                              change (fully transparent pixels of the warped image leave the destination as it is). Destination pixels are given
+     *                              in destiny coordinates (pixels, also when destiny points were given normalized), so destiny points detected over a
+     *                              frame can be directly used for compositing over the same frame. Blending follows the W3C compositing definitions: the
+     *                              blended color is composited "source-over" the destination, weighted by the alpha of the warped image and the opacity.
      * 
-     * @param {ImageData}  imgData                            Image to be transformed to an HTMLImageElement.
+     * @param {ImageData}       destination             Image where to composite the warped image. Any {data, width, height} object with an Uint8ClampedArray as
+     *                                                  data is also accepted. It is modified in place.
      * 
-     * @param {Boolean}    [asPromise = true]                 If true (default), returns a Promise<HTMLImageElement> that ensures that the image is already loaded when resolved.
-     *                                                        If false, directly returns the HTMLImageElement. In this case, the user must take care of not using it before the
-     *                                                        "onload" event is triggered. 
-     *  
-     * @return {HTMLImageElement|Promise<HTMLImageElement>}   HTMLImageElement (or promise of it) containing the Image inside in the imgData buffer. This HTMLImageElement,
-     *                                                        will also have the same width and height than this imgData buffer.
+     * @param {"over"|"multiply"|"screen"|"add"}  [blend = "over"]  Blend mode. "over" is the usual alpha blending, "multiply" darkens, "screen" lightens
+     *                                                  and "add" sums the colors (clamped to 255).
+     * 
+     * @param {Number}          [opacity = 1]           Global opacity of the warped image, from 0 to 1.
+     * 
+     * @param {HTMLImageElement}  [image]               Image that will transformed. Same as in warp().
+     * 
+     * @param {WarpOptions}     [options]               Options for this warp. The ones not given are taken from the defaults set through setOptions({warp : options}).
+     *                                                  The outputWidth, outputHeight, viewport and fit options are ignored, as the output is placed at its
+     *                                                  destiny coordinates.
+     * 
+     * @return {ImageData}      The destination, with the warped image composited onto it.
      */
-
-     setTriangles(triangles)
-     {
-         this._triangles = triangles;
-         if ((!this._srcPointsAreNormalized || (this._width > 0 && this._height > 0)) && this._srcPoints !== null ){
-            // Set all the parameters that can be already set
-            this._setPiecewiseAffineTransformParameters();
+    composite(destination, blend = 'over', opacity = 1, image = null, options = null){
+        if (!availableBlends.includes(blend)){
+            throw new InvalidArgumentError(`Blend "${blend}" is unknown. It must be one of ${availableBlends}`, ErrorCodes.INVALID_OPTION);
         }
-     }
+        if (!(opacity >= 0 && opacity <= 1)){
+            throw new InvalidArgumentError(`Opacity must be a number between 0 and 1, but ${opacity} was given`, ErrorCodes.INVALID_OPTION);
+        }
+        if (!(destination.data instanceof Uint8ClampedArray) || destination.data.length !== (destination.width*destination.height)<<2){
+            throw new InvalidArgumentError("Destination must be an ImageData or an {data, width, height} object with an Uint8ClampedArray as data", ErrorCodes.INVALID_OPTION);
+        }
+        if (image !== null){
+            this.setImage(image);
+        } else if (this._image === null){
+            throw new InvalidStateError("composite() must receive an image if it was not setted before through `setImage(img)` or  `setSourcePoints(points, img)`",
+                                        ErrorCodes.IMAGE_NOT_SET);
+        }
+        options = this._resolveWarpOptions(options);
+        // Bounding box of the warped image in the destiny space, clipped to the destination
+        const minX = Math.max(0, Math.floor(this._xOutputOffset)), minY = Math.max(0, Math.floor(this._yOutputOffset));
+        const maxX = Math.min(destination.width, Math.ceil(this._xOutputOffset+this._objectiveWidth));
+        const maxY = Math.min(destination.height, Math.ceil(this._yOutputOffset+this._objectiveHeight));
+        if (minX >= maxX || minY >= maxY || opacity === 0 || !(this._objectiveWidth*this._objectiveHeight >= 1)) return destination;
+        // Warp only the visible part of the image, with the pixels aligned to the ones of the destination
+        const geometry = {width : maxX-minX, height : maxY-minY, isDefault : false, scaleX : 1, scaleY : 1, originX : minX, originY : minY};
+        const length = (geometry.width*geometry.height)<<2;
+        if (this._compositeBuffer === null || this._compositeBuffer.length < length){
+            this._compositeBuffer = new Uint8ClampedArray(length);
+        }
+        const warped = this._applyWarp(this._image, options, geometry, true, this._compositeBuffer.subarray(0, length));
+        compositeImage(warped, geometry.width, geometry.height, destination.data, destination.width, minX, minY, blend, opacity);
+        return destination;
+    }
 
     /**
-     * Summary.                     Get the current Affine or Projective transform as a string that can be directly applied in CSS. If new Source and/or Destiny Points
-     *                              are given uses them instead for calculating a new transform.
+     * Summary.                     Apply the selected transform to an image in background workers, without blocking the main thread.
      * 
-     * Description.                 Affine and Projective transforms can be applied on each element that accepts the 'transform' CSS property. You can apply this transformation
-     *                              to an element just by executing `<your_element>.style.transform = getTransformationMatrixAsCSS();`. Take into account, that this function will
-     *                              not work if transformation selected was "piecewiseaffine" as CSS does not accept Piecewise Affine transforms.
+     * Description.                 Runs the warp in a Web Worker in the browser or in a worker_threads Worker in Node.js. The output rows can be split into
+     *                              bands warped in parallel by a pool of workers, that is kept (and reused by the next calls) until terminateWorkers() is called.
+     *                              The transform and the image are taken when it is called, so the reference points or the image can be modified while it runs
+     *                              (e.g. for preparing the next frame). Where SharedArrayBuffer is available (Node.js and cross-origin isolated pages) all the
+     *                              workers read the same copy of the image, otherwise each worker receives its own copy. Workers keep the image, so it is only
+     *                              copied again when a new one is set (through setImage() or any function receiving an image), so if the content of the buffer
+     *                              of the image is modified it must be set again. Warped bands are transferred back without copying them. Workers always apply
+     *                              the destiny to source (inverse) warp, as it is the one that can be split in bands.
+     *                              Aborting the given signal terminates the workers running this warp, so the computation of stale frames is stopped. In the
+     *                              browser the worker module (HomographyWorker.js) must be able to resolve 'delaunator' by itself (import maps do not apply to
+     *                              workers), so it should be served through a bundler. If a worker fails (e.g. its module can not be loaded) the
+     *                              warps it was running are rejected with an InvalidStateError with the WORKER_FAILED code, so warp() can be used instead.
      * 
-     * @param {ArrayBuffer|Array<Number>}   [srcPoints]  Optional source points for a new transform, given as a ArrayBuffer or Array in the form [x1, y1, x2, y2, ...]
+     * @param {HTMLImageElement}    [image]                 Image that will transformed. Same as in warp().
+     * 
+     * @param {WarpOptions}         [options]               Options for this warp. The ones not given are taken from the defaults set through setOptions({warp : options}).
+     * 
+     * @param {Object}              [workerOptions]         Options of the workers.
+     * @param {Number}              [workerOptions.workers = 1]     Amount of workers between which the output rows are split.
+     * @param {AbortSignal}         [workerOptions.signal = null]   Signal for cancelling the warp. The Promise is then rejected with the reason of the signal.
+     * 
+     * @return {Promise<Object>}    Promise of {image, x, y, width, height, transform, mask}, as returned by warpWithPlacement().
+     */
+    async warpAsync(image = null, options = null, {workers = 1, signal = null} = {}){
+        if (signal !== null) signal.throwIfAborted();
+        if (!(Number.isInteger(workers) && workers >= 1)){
+            throw new InvalidArgumentError(`workers must be a positive integer, but ${workers} was given`, ErrorCodes.INVALID_OPTION);
+        }
+        if (image !== null){
+            this.setImage(image);
+        } else if (this._image === null){
+            throw new InvalidStateError("warpAsync() must receive an image if it was not setted before through `setImage(img)` or  `setSourcePoints(points, img)`",
+                                        ErrorCodes.IMAGE_NOT_SET);
+        }
+        options = this._resolveWarpOptions(options);
+        const geometry = this._outputGeometry(options);
+        const {width, height} = geometry;
+        // Everything that depends on the current state is taken before the first await
+        const state = this._getWarpState();
+        const placement = this._placement(geometry);
+        // Where shared memory is available, the image is copied into it by the first asynchronous warp and then only when it is set again
+        if (this._sharedImage === null && sharedMemoryIsAvailable()) this._shareImage();
+        const source = this._sharedImage ?? this._image, imageId = this._imageId;
+        const pixels = width*height;
+        if (!(pixels >= 1)){
+            //Just avoid to break when the transform produces a 0 shape image.
+            const mask = options.mask === null? null : (options.mask === 'float'? new Float32Array(1) : new Uint8Array(1));
+            return {image : createImageData(new Uint8ClampedArray(4), 1, 1), ...placement, mask : mask};
+        }
+        // The pool is created before any await, so concurrent calls share it and terminateWorkers() rejects the bands queued by them
+        if (this._workerPool === null){
+            this._workerPool = new WarpWorkerPool(getWorkerConstructor());
+        }
+        const pool = this._workerPool;
+        pool.size = Math.max(pool.size, workers);
+        const bands = Math.min(workers, height), bandHeight = Math.ceil(height/bands);
+        const jobs = [];
+        for (let start = 0; start < height; start += bandHeight){
+            const bandGeometry = {...geometry, height : Math.min(bandHeight, height-start), isDefault : false, originY : geometry.originY + start*geometry.scaleY};
+            const message = {state : state, imageId : imageId, image : source, options : options, geometry : bandGeometry};
+            jobs.push(pool.run(message, signal).then(result => ({start : start, ...result})));
+        }
+        const results = await Promise.all(jobs);
+        let output_img = results[0].output, mask = results[0].mask;
+        // Put together the bands warped by each worker
+        if (results.length > 1){
+            output_img = new Uint8ClampedArray(pixels*4);
+            mask = options.mask === null? null : (options.mask === 'float'? new Float32Array(pixels) : new Uint8Array(pixels));
+            for (const result of results){
+                output_img.set(result.output, result.start*width*4);
+                if (mask !== null) mask.set(result.mask, result.start*width);
+            }
+        }
+        return {image : createImageData(output_img, width, height), ...placement, mask : mask};
+    }
+
+    /**
+     * Summary.                     Terminates the workers started by warpAsync(). The warps that they were running are rejected.
+     * 
+     * Description.                 Idle workers do not keep the Node.js process alive, but they keep their memory until they are terminated. The next call to
+     *                              warpAsync() will start new ones.
+     */
+    terminateWorkers(){
+        if (this._workerPool !== null){
+            this._workerPool.terminate();
+            this._workerPool = null;
+        }
+        this._sharedImage = null;
+    }
+
+    /**
+     * Summary.                     PRIVATE. AVOID TO USE IT. Tells the workers of the asynchronous warps that the image changed, updating its shared copy if it exists.
+     */
+    _updateWorkersImage(){
+        this._imageId++;
+        if (this._sharedImage !== null) this._shareImage();
+    }
+
+    /**
+     * Summary.                     PRIVATE. AVOID TO USE IT. Copies the current image into shared memory, that is read by every worker without copies.
+     * 
+     * Description.                 PRIVATE. AVOID TO USE IT. The previous shared memory is reused if it fits, but only when no asynchronous warp is still reading it.
+     */
+    _shareImage(){
+        if (this._sharedImage === null || this._sharedImage.length !== this._image.length || (this._workerPool !== null && !this._workerPool.isIdle)){
+            this._sharedImage = new Uint8ClampedArray(new SharedArrayBuffer(this._image.length));
+        }
+        this._sharedImage.set(this._image);
+    }
+
+    /**
+     * Summary.                     PRIVATE. AVOID TO USE IT. Returns the information that the warp kernels need, in a form that can be sent to a worker.
+     * 
+     * @return {Object}             {transform, width, height, transformMatrix, piecewiseMatrices, triangles, dstPoints, minSrcX, minSrcY}.
+     */
+    _getWarpState(){
+        if (this.transform === 'piecewiseaffine'? this._piecewiseMatrices === null : this._transformMatrix === null){
+            throw new InvalidStateError("The transform can only be applied when both source and destiny points (or the transform matrix) are set", ErrorCodes.POINTS_NOT_SET);
+        }
+        this._putSrcAndDstPointsInSameRange();
+        // Matrices are always replaced instead of modified, but points could be normalized in place
+        return {transform : this.transform, width : this._width, height : this._height, transformMatrix : this._transformMatrix,
+                piecewiseMatrices : this._piecewiseMatrices, triangles : this._triangles, dstPoints : this._dstPoints === null? null : this._dstPoints.slice(),
+                minSrcX : this._minSrcX, minSrcY : this._minSrcY};
+    }
+
+    /**
+     * Summary.                     PRIVATE. AVOID TO USE IT. Sets the information given by _getWarpState(), so this object can apply the same warp (used by the workers).
+     * 
+     * @param {Object}              state   State given by _getWarpState().
+     * 
+     */
+    _setWarpState(state){
+        this.transform = state.transform;
+        this._width = state.width;
+        this._height = state.height;
+        this._transformMatrix = state.transformMatrix;
+        this._piecewiseMatrices = state.piecewiseMatrices;
+        this._triangles = state.triangles;
+        this._dstPoints = state.dstPoints;
+        this._minSrcX = state.minSrcX;
+        this._minSrcY = state.minSrcY;
+        // Points were already put in the same range
+        this._srcPointsAreNormalized = this._dstPointsAreNormalized = false;
+    }
+
+    /**
+     * Summary.                     PRIVATE. AVOID TO USE IT. Selects and applies the warping function that best fits the transform and the output geometry.
+     * 
+     * @param {Uint8ClampedArray}   image               Image to warp as a flat RGBA array. It will usually be the this._image property.
+     * 
+     * @param {WarpOptions}         options             Resolved warp options.
+     * 
+     * @param {Object}              geometry            Output geometry, as given by this._outputGeometry(options).
+     * 
+     * @param {Boolean}             applyAlwaysInverse  If True, always applies the destiny to source (inverse) warp.
+     * 
+     * @param {Uint8ClampedArray}   [output_img = null] Buffer of geometry.width*geometry.height*4 elements where to write the output. If null, a new one is allocated.
+     * 
+     * @param {Uint8Array|Float32Array} [mask = null]   Buffer of geometry.width*geometry.height elements where to write the coverage mask. If null, it is not calculated.
+     * 
+     * @return {Uint8ClampedArray}  The warped image.
+     */
+    _applyWarp(image, options, geometry, applyAlwaysInverse, output_img = null, mask = null){
+        // Interpolation is only possible when sampling the input image from the output one
+        applyAlwaysInverse = applyAlwaysInverse || options.interpolation !== 'nearest' || options.minification !== 'none' || options.border !== 'transparent' ||
+                             !geometry.isDefault || options.tileSize !== null;
+        if (options.tileSize !== null && (geometry.width > options.tileSize || geometry.height > options.tileSize)){
+            return this._tiledWarp(image, options, geometry, output_img, mask);
+        }
+        // Generate an image by applying the selected transform. If output image is larger than input image, apply the Inverse Transform instead in order to avoid holes in it.
+        switch(this.transform){
+            case 'piecewiseaffine':
+                // If objectiveWidth or objectiveHeight are larger than width or height apply inverse transform, otherwise apply the source to destiny transfrom
+                // Apply also the inverse transform in the reduction case, when the width/height difference is great enough for compensating the overhead of inverse transform
+                return (applyAlwaysInverse || (this._objectiveWidth > this._width || this._objectiveHeight > this._height || this._objectiveWidth*1.2 < this._width || this._objectiveHeight*1.2 < this._height))?
+                                                            this._inversePiecewiseAffineWarp(image, options, geometry, output_img, mask) : this._piecewiseAffineWarp(image, options, output_img, mask);
+            case 'affine':
+            case 'similarity':
+            case 'rigid':
+            case 'translation':
+                // If objectiveWidth or objectiveHeight are larger than width or height apply inverse transform, otherwise apply the source to destiny transfrom 
+                return (applyAlwaysInverse || (this._objectiveWidth !== this._width || this._objectiveHeight !== this._height))?
+                                                                    this._inverseGeometricWarp(image, options, geometry, output_img, mask) : this._geometricWarp(image, options, output_img, mask);
+            case 'projective':
+                //Force inverse, as otherwise projective would produce sparse parts on the image by the perspective properties
+                return this._inverseGeometricWarp(image, options, geometry, output_img, mask);
+        }
+    }
+
+    /**
+     * Summary.                     PRIVATE. AVOID TO USE IT. Applies the inverse warp in tiles of options.tileSize x options.tileSize output pixels.
+     * 
+     * Description.                 PRIVATE. AVOID TO USE IT. Each tile is warped with the geometry of its own region of the output, as warpAsync() does with its
+     *                              bands, so all the auxiliar buffers of the warp are of the size of a tile. Tiles are then copied into their place of the output
+     *                              image. Every output pixel is calculated once, by the tile that contains it, so there are no seams between them. The input image
+     *                              is kept in the WebAssembly memory while the tiles are warped, so it is only copied once.
+     * 
+     * @param {Uint8ClampedArray}   image               Image to warp as a flat RGBA array. It will usually be the this._image property.
+     * 
+     * @param {WarpOptions}         options             Resolved warp options.
+     * 
+     * @param {Object}              geometry            Output geometry, as given by this._outputGeometry(options).
+     * 
+     * @param {Uint8ClampedArray}   [output_img = null] Buffer of geometry.width*geometry.height*4 elements where to write the output. If null, a new one is allocated.
+     * 
+     * @param {Uint8Array|Float32Array} [mask = null]   Buffer of geometry.width*geometry.height elements where to write the coverage mask. If null, it is not calculated.
+     * 
+     * @return {Uint8ClampedArray}  The warped image.
+     */
+    _tiledWarp(image, options, geometry, output_img = null, mask = null){
+        const {width, height, scaleX, scaleY, originX, originY} = geometry, tileSize = options.tileSize;
+        output_img = output_img === null? new Uint8ClampedArray((width*height)<<2) : output_img;
+        const tile = new Uint8ClampedArray((tileSize*tileSize)<<2);
+        const tileMask = mask === null? null : new mask.constructor(tileSize*tileSize);
+        keepImageInWasmHeap(image);
+        try {
+            for (let tileY = 0; tileY < height; tileY += tileSize){
+                for (let tileX = 0; tileX < width; tileX += tileSize){
+                    const tileGeometry = {width : Math.min(tileSize, width-tileX), height : Math.min(tileSize, height-tileY), isDefault : false,
+                                          scaleX : scaleX, scaleY : scaleY, originX : originX + tileX*scaleX, originY : originY + tileY*scaleY};
+                    const pixels = tileGeometry.width*tileGeometry.height;
+                    const tileOutput = tile.subarray(0, pixels<<2), tileOutputMask = mask === null? null : tileMask.subarray(0, pixels);
+                    if (this.transform === 'piecewiseaffine'){
+                        this._inversePiecewiseAffineWarp(image, options, tileGeometry, tileOutput, tileOutputMask);
+                    } else {
+                        this._inverseGeometricWarp(image, options, tileGeometry, tileOutput, tileOutputMask);
+                    }
+                    // Put each row of the tile in its place of the output
+                    for (let y = 0; y < tileGeometry.height; y++){
+                        const tileRow = y*tileGeometry.width, outputRow = (tileY+y)*width+tileX;
+                        output_img.set(tileOutput.subarray(tileRow<<2, (tileRow+tileGeometry.width)<<2), outputRow<<2);
+                        if (mask !== null) mask.set(tileOutputMask.subarray(tileRow, tileRow+tileGeometry.width), outputRow);
+                    }
+                }
+            }
+        } finally {
+            keepImageInWasmHeap(null);
+        }
+        return output_img;
+    }
+
+    /**
+     * Summary.                     Transforms an Image from its ImageData respresentation to an HTMLImageElement. NOTE: Remember to await for the promise to be resolved
+     *                              (if asPromise is true (default)) or to the "onload" event (if asPromise is false).
+     * 
+     * Description.                 In performance critical applications such as, for example, real-time applications based on videoStreams it should be avoided when
+     *                              possible as this transformation could decrease the overall framerate. Instead, if you need to draw the result image in a canvas,
+     *                              try to do it directly through context.putImageData(imgData, x, y).
+     *                               
+     * 
+     * @param {ImageData}  imgData                            Image to be transformed to an HTMLImageElement.
+     * 
+     * @param {Boolean}    [asPromise = true]                 If true (default), returns a Promise<HTMLImageElement> that ensures that the image is already loaded when resolved.
+     *                                                        If false, directly returns the HTMLImageElement. In this case, the user must take care of not using it before the
+     *                                                        "onload" event is triggered. 
+     *  
+     * @return {HTMLImageElement|Promise<HTMLImageElement>}   HTMLImageElement (or promise of it) containing the Image inside in the imgData buffer. This HTMLImageElement,
+     *                                                        will also have the same width and height than this imgData buffer.
+     */
+
+    HTMLImageElementFromImageData(imgData, asPromise = true)
+    {
+        if (this._hiddenCanvas === null){
+            throw new InvalidStateError("HTMLImageElementFromImageData() needs a DOM. Outside the browser work directly with the {data, width, height} output of warp()",
+                                        ErrorCodes.DOM_NOT_AVAILABLE);
+        }
+        let previousCanvasWidth = null;
+        if (imgData.width !== this._hiddenCanvas.width){
+            previousCanvasWidth = this._hiddenCanvas.width;
+            this._hiddenCanvas.width = imgData.width;
+        }
+        let previousCanvasHeight = null;
+        if (imgData.height !== this._hiddenCanvas.height){
+            previousCanvasHeight = this._hiddenCanvas.height;
+            this._hiddenCanvas.height = imgData.height;
+        }
+
+        this._hiddenCanvasContext.clearRect(0, 0, imgData.width, imgData.height);
+        this._hiddenCanvasContext.putImageData(imgData, 0, 0);
+        let img = document.createElement('img')
+        img.src = this._hiddenCanvas.toDataURL();
+        img.width = imgData.width;
+        img.height = imgData.height;
+        if (previousCanvasWidth !== null) {this._hiddenCanvas.width = previousCanvasWidth;}
+        if (previousCanvasHeight !== null) {this._hiddenCanvas.height = previousCanvasHeight;}
+        if (asPromise){
+            return new Promise((resolve, reject) => {
+                img.onload = () => {resolve(img);};
+                img.onerror = reject;
+            });
+        } else {
+            return img;
+        }
+    }
+
+    /**
+     * Summary.                     Transforms an Image from its ImageData respresentation to an HTMLImageElement. NOTE: Remember to await for the promise to be resolved
+     *                              (if asPromise is true (default)) or to the "onload" event (if asPromise is false).
+     * 
+     * Description.                 In performance critical applications such as, for example, real-time applications based on videoStreams it should be avoided when
+     *                              possible as this transformation could decrease the overall framerate. Instead, if you need to draw the result image in a canvas,
+     *                              try to do it directly through context.putImageData(imgData, x, y).
+     *                               
+     * 
+     * @param {ImageData}  imgData                            Image to be transformed to an HTMLImageElement.
+     * 
+     * @param {Boolean}    [asPromise = true]                 If true (default), returns a Promise<HTMLImageElement> that ensures that the image is already loaded when resolved.
+     *                                                        If false, directly returns the HTMLImageElement. In this case, the user must take care of not using it before the
+     *                                                        "onload" event is triggered. 
+     *  
+     * @return {HTMLImageElement|Promise<HTMLImageElement>}   HTMLImageElement (or promise of it) containing the Image inside in the imgData buffer. This HTMLImageElement,
+     *                                                        will also have the same width and height than this imgData buffer.
+     */
+
+     setTriangles(triangles)
+     {
+         this._triangles = triangles;
+         if ((!this._srcPointsAreNormalized || (this._width > 0 && this._height > 0)) && this._srcPoints !== null ){
+            // Set all the parameters that can be already set
+            this._setPiecewiseAffineTransformParameters();
+        }
+     }
+
+    /**
+     * Summary.                     Get the current Affine or Projective transform as a string that can be directly applied in CSS. If new Source and/or Destiny Points
+     *                              are given uses them instead for calculating a new transform.
+     * 
+     * Description.                 Affine and Projective transforms can be applied on each element that accepts the 'transform' CSS property. You can apply this transformation
+     *                              to an element just by executing `<your_element>.style.transform = getTransformationMatrixAsCSS();`. Take into account, that this function will
+     *                              not work if transformation selected was "piecewiseaffine" as CSS does not accept Piecewise Affine transforms.
+     * 
+     * @param {ArrayBuffer|Array<Number>|TransformMatrix}   [srcPoints]  Optional source points for a new transform, given as a ArrayBuffer or Array in the form [x1, y1, x2, y2, ...]
      *                                                   or [[x1, y1], [x2, y2], ...]. These source points should be declared in pixels coordinates, (x : [0, width],
      *                                                   y : [0, height]) or (preferably for simplicity) in normalized coordinates (x : [0.0, 1.0], y : [0.0, 1.0]).
      *                                                   If no points are given, they should have been setted before through `setSrcPoints(points)`. Remember that you
-     *                                                   should give three or four reference points if transform selected is "affine" or "projective" respectively.
+     *                                                   should give at least three or four reference points if transform selected is "affine" or "projective" respectively.
+     *                                                   A TransformMatrix can also be given instead, that will be set as through `setTransformMatrix(transformMatrix)`.
      * 
      * @param {ArrayBuffer|Array<Number>}   [dstPoints]  Optional destiny points for a new transform, given as a ArrayBuffer or Array in the form [x1, y1, x2, y2, ...]
      *                                                   or [[x1, y1], [x2, y2], ...]. These destiny points should be declared, for simplicity, in the same range than
      *                                                   the previously given srcPoints and it must be the same amount of dstPoints than srcPoints (as they match one to one).
      *                                                   If no points are given, they should have been setted before through `setDstPoints(points)`.
+     * 
+     * @param {Number}                      [width]      Optional width of the element, in the units of the image coordinates.
+     * 
+     * @param {Number}                      [height]     Optional height of the element, in the units of the image coordinates.
+     * 
+     * @param {Number}                      [decimals=5] Amount of decimals of each value of the CSS matrix.
      *  
      * @return {String}             String representation of the transformation matrix, that can be directly applied in to the CSS transform property.
      */
 
-    getTransformationMatrixAsCSS(srcPoints = null, dstPoints = null, width = null, height = null){
+    getTransformationMatrixAsCSS(srcPoints = null, dstPoints = null, width = null, height = null, decimals = maxCSSDecimal){
         if (width !== null || height !== null)
             this._setSrcWidthHeight(width, height);
-        if (srcPoints !== null)
+        if (srcPoints instanceof TransformMatrix)
+            this.setTransformMatrix(srcPoints);
+        else if (srcPoints !== null)
             this.setSourcePoints(srcPoints, null, width, height);  
         if (dstPoints !== null)
             this.setDestinyPoints(dstPoints);
         
-        if (this._srcPoints === null) throw("Impossible to calculate a transform when srcPoints are not set");
-        else if (this._dstPoints === null) throw("Impossible to calculate a transform when dstPoints are not set");
-        else if (this._transformMatrix === null) throw("Transform matrix can not be calculated");
+        // A directly given transform matrix does not need reference points
+        if (!this._transformMatrixIsGiven){
+            if (this._srcPoints === null) throw new InvalidStateError("Impossible to calculate a transform when srcPoints are not set", ErrorCodes.POINTS_NOT_SET);
+            else if (this._dstPoints === null) throw new InvalidStateError("Impossible to calculate a transform when dstPoints are not set", ErrorCodes.POINTS_NOT_SET);
+            else if (this.transform === 'piecewiseaffine'){
+                throw new InvalidStateError(`"piecewiseaffine" transforms can not be applied on the CSS transform property`, ErrorCodes.UNSUPPORTED_TRANSFORM);
+            }
+            else if (this._transformMatrix === null) throw new InvalidStateError("Transform matrix can not be calculated", ErrorCodes.UNKNOWN_IMAGE_SIZE);
+        }
         let matrix;
         switch(this.transform){
             case "affine":
+            case "similarity":
+            case "rigid":
+            case "translation":
                 matrix = `matrix(`
                 for (let i = 0; i<this._transformMatrix.length; i++){
-                    matrix += `${this._transformMatrix[i].toFixed(maxCSSDecimal)}`;
+                    matrix += `${this._transformMatrix[i].toFixed(decimals)}`;
                     if (i < this._transformMatrix.length-1) matrix += `, `;
                     else matrix += `)`;
                 }
@@ -573,7 +1492,7 @@ class Homography {
                     for (let dx = 0; dx<4; dx++){
                         if (dy === 2 && dx === 2 || dy === 3 && dx === 3) matrix += `1`;
                         else if( dy === 2 || dx === 2) matrix += `0`;
-                        else matrix += `${this._transformMatrix[((i++)*3)%8].toFixed(maxCSSDecimal)}`
+                        else matrix += `${this._transformMatrix[((i++)*3)%8].toFixed(decimals)}`
                         
                         if (dy*4+dx < 4*4-1) matrix += `, `;
                         else matrix += `)`;
@@ -581,7 +1500,7 @@ class Homography {
                 }
                 break;
             default:
-                throw (`Only "affine" or "projective" transforms can be applied on the CSS transform property, but ${this.transform} selected`);
+                throw new InvalidStateError(`"piecewiseaffine" transforms can not be applied on the CSS transform property`, ErrorCodes.UNSUPPORTED_TRANSFORM);
         }
         return matrix;
     }
@@ -598,7 +1517,7 @@ class Homography {
      *                                                   or [[x1, y1], [x2, y2], ...]. These source points should be declared in pixels coordinates, (x : [0, width],
      *                                                   y : [0, height]) or (preferably for simplicity) in normalized coordinates (x : [0.0, 1.0], y : [0.0, 1.0]).
      *                                                   If no points are given, they should have been setted before through `setSrcPoints(points)` or 
-     *                                                   setReferencePoints(srcPoints, dstPoints). Remember that you should give three or four reference points if transform
+     *                                                   setReferencePoints(srcPoints, dstPoints). Remember that you should give at least three or four reference points if transform
      *                                                   selected is "affine" or "projective" respectively.
      * 
      * @param {ArrayBuffer|Array<Number>}   [dstPoints]  Optional destiny points for a the transform, given as a ArrayBuffer or Array in the form [x1, y1, x2, y2, ...]
@@ -647,9 +1566,12 @@ class Homography {
             this._trianglesCorrespondencesMatrix = null;
 
             // Resize the hidden canvas if needed, for ensuring that no parts of the images will be lost in the HTMLImageElement->Uint8ClampedArray transformation. 
-            if (this._hiddenCanvas.width < this._width) {this._hiddenCanvas.width = this._width;}
-            if (this._hiddenCanvas.height < this._height) {this._hiddenCanvas.height = this._height;}
-            if (this.transform === 'projective'){
+            if (this._hiddenCanvas !== null){
+                if (this._hiddenCanvas.width < this._width) {this._hiddenCanvas.width = this._width;}
+                if (this._hiddenCanvas.height < this._height) {this._hiddenCanvas.height = this._height;}
+            }
+            // Matrices are estimated in image coordinates whenever the image size is known, so they apply directly to the pixels of the image
+            if (this.transform !== 'piecewiseaffine'){
                 if (this._srcPoints !== null && this._srcPointsAreNormalized){
                     denormalizePoints(this._srcPoints, this._width, this._height);
                     this._srcPointsAreNormalized = false;
@@ -661,7 +1583,7 @@ class Homography {
                     this._dstPointsAreNormalized = false;
                 }
                 if (this._dstPoints !== null && this._srcPoints !== null){
-                    this._transformMatrix = calculateTransformMatrix(this.transform, this._srcPoints, this._dstPoints);
+                    this._transformMatrix = this._estimateTransformMatrix();
                     this._induceBestObjectiveWidthAndHeight();
                 }
             }
@@ -669,6 +1591,7 @@ class Homography {
             // Resize the image if necessary
             if(this._image !== null && this._HTMLImage !== null){
                 this._image = this._getImageAsRGBAArray(this._HTMLImage);
+                this._updateWorkersImage();
             }
             
             // Finally if piecewise affine transform set its parameters again as now it is sure that width and height are known
@@ -691,14 +1614,14 @@ class Homography {
      * 
      */
     _induceBestObjectiveWidthAndHeight(){
-        // Best case. Affine or Projective transform. In this case, it is possible to calculate the exact bounds of the output image.
-        if ((this.transform === 'affine' || this.transform === 'projective')){
+        // Best case. Affine (or any of its particular cases) or Projective transform. In this case, it is possible to calculate the exact bounds of the output image.
+        if (this.transform !== 'piecewiseaffine'){
             // If transform matrix is not calculated by any reason, calculate it now.
             if (this._transformMatrix === null){
                 if (this._srcPointsAreNormalized !== this._dstPointsAreNormalized){
                     this._putSrcAndDstPointsInSameRange();
                 }
-                this._transformMatrix = calculateTransformMatrix(this.transform, this._srcPoints, this._dstPoints);
+                this._transformMatrix = this._estimateTransformMatrix();
             }
             // Set the output width and height variables to the limits of the estimated transformation
             [this._xOutputOffset, this._yOutputOffset, this._objectiveWidth, this._objectiveHeight] = calculateTransformLimits(this._transformMatrix, this._width, this._height); 
@@ -717,11 +1640,53 @@ class Homography {
             this._objectiveWidth = Math.round((maxDstX-minDstX)*this._width);
             this._objectiveHeight = Math.round((maxDstY-minDstY)*this._height);
         } else {
-            throw ("Trying to calculate a the output width and height of a Piecewise Affine transform but source width and height are not set");
+            throw new InvalidStateError("Trying to calculate a the output width and height of a Piecewise Affine transform but source width and height are not set",
+                                        ErrorCodes.UNKNOWN_IMAGE_SIZE);
         }
         // Finally modify the hidden canvas width and height if needed
-        if (this._hiddenCanvas.width < this._objectiveWidth) {this._hiddenCanvas.width = this._objectiveWidth;}
-        if (this._hiddenCanvas.height < this._objectiveHeight) {this._hiddenCanvas.height = this._objectiveHeight;}
+        if (this._hiddenCanvas !== null){
+            if (this._hiddenCanvas.width < this._objectiveWidth) {this._hiddenCanvas.width = this._objectiveWidth;}
+            if (this._hiddenCanvas.height < this._objectiveHeight) {this._hiddenCanvas.height = this._objectiveHeight;}
+        }
+    }
+
+    //             ----------------- Estimate Affine or Projective Transform Matrix ---------------
+
+    /**
+     * Summary.                     PRIVATE. AVOID TO USE IT. Estimates the transform matrix that maps this._srcPoints to this._dstPoints for the current transform.
+     * 
+     * Description.                 PRIVATE. AVOID TO USE IT. It is the unique entry point for estimating the matrices of every transform except "piecewiseaffine" from the reference points,
+     *                              so it takes into account the advanced options. When robust estimation is enabled it also saves the inliers found. The reprojection
+     *                              errors are measured in pixels whenever destiny points are normalized but the source width and height are known. When refinement is
+     *                              enabled, the current this._transformMatrix (if still valid) is offered as warm start, so it must be called before overwriting it.
+     * 
+     * @return {Float32Array}       The estimated transform matrix.
+     * 
+     */
+    _estimateTransformMatrix(){
+        let matrix;
+        if (this._options.robust === null){
+            this._inliers = null;
+            this._inlierCount = null;
+            matrix = calculateTransformMatrix(this.transform, this._srcPoints, this._dstPoints);
+        } else {
+            const pixelsScaleAvailable = this._dstPointsAreNormalized && this._width > 0 && this._height > 0;
+            let inliers, inlierCount;
+            ({matrix, inliers, inlierCount} = robustTransformMatrix(this.transform, this._srcPoints, this._dstPoints, this._options.robust,
+                                                                    pixelsScaleAvailable? this._width : 1, pixelsScaleAvailable? this._height : 1));
+            this._inliers = inliers;
+            this._inlierCount = inlierCount;
+        }
+        // Refine the linear estimation. With exactly four points it is already exact, so there is nothing to refine.
+        if (this._options.refine !== null && this.transform === 'projective' && this._srcPoints.length > 4*dims){
+            const previousMatrix = this._options.refine.warmStart && this._transformMatrix !== null && this._transformMatrix.length === 8 &&
+                                   this._transformMatrixIsNormalized === this._srcPointsAreNormalized? this._transformMatrix : null;
+            matrix = refineProjectiveMatrix(matrix, this._srcPoints, this._dstPoints, this._options.refine, this._inliers, previousMatrix);
+        }
+        // Never let a singular matrix reach the warping functions, as it would silently produce NaN coordinates
+        checkMatrixConditioning(matrix);
+        this._transformMatrixIsNormalized = this._srcPointsAreNormalized;
+        return matrix;
     }
 
     //             ----------------- Set Piecewise Affine Transform Parameters ---------------
@@ -747,7 +1712,8 @@ class Homography {
                     denormalizePoints(this._srcPoints, this._width, this._height);
                     this._srcPointsAreNormalized = false;
                 } else {
-                    throw("Trying to set the Piecewise Affine Transform parameters without knowing the source points ranges");
+                    throw new InvalidStateError("Trying to set the Piecewise Affine Transform parameters without knowing the source points ranges",
+                                                ErrorCodes.UNKNOWN_IMAGE_SIZE);
                 }
             }
 
@@ -756,7 +1722,8 @@ class Homography {
             if (!this._srcPointsAreNormalized && (this._triangles === null || this._trianglesCorrespondencesMatrix === null)){
                 // Set the maxSrcX and maxSrcY. By the program logic, if it happens it is ensured that it did not happen in setSourcePoints(points) function
                 [this._minSrcX, this._minSrcY, this._maxSrcX, this._maxSrcY] = minmaxXYofArray(this._srcPoints);
-                this._trianglesCorrespondencesMatrix = this._buildTrianglesCorrespondencesMatrix();
+                // It covers the whole bounding box of the source mesh, so it is only built if a forward warp needs it (see _piecewiseAffineWarp())
+                this._trianglesCorrespondencesMatrix = unbuiltTrianglesCorrespondences;
             }
             // If destiny points are known (as well as source points), build also the transformation matrices if they did not exist.
             // NOTE that it forces to unset piecewiseMatrices (set as null) when source points or destiny points are modified.
@@ -769,7 +1736,7 @@ class Homography {
                 this._piecewiseMatrices = this._calculatePiecewiseAffineTransformMatrices();
             }
         } else {
-            throw("Trying to set the Piecewise Affine Transform parameters before setting the Source Points.")
+            throw new InvalidStateError("Trying to set the Piecewise Affine Transform parameters before setting the Source Points.", ErrorCodes.POINTS_NOT_SET);
         }
     }
 
@@ -798,7 +1765,12 @@ class Homography {
                 this._auxDstTriangle[0] = this._dstPoints[this._triangles[i]<<1]; this._auxDstTriangle[1] = this._dstPoints[(this._triangles[i]<<1)+1];
                 this._auxDstTriangle[2] = this._dstPoints[this._triangles[i+1]<<1]; this._auxDstTriangle[3] = this._dstPoints[(this._triangles[i+1]<<1)+1];
                 this._auxDstTriangle[4] = this._dstPoints[this._triangles[i+2]<<1]; this._auxDstTriangle[5] = this._dstPoints[(this._triangles[i+2]<<1)+1];
-                piecewiseMatrices.push(affineMatrixFromTriangles(this._auxSrcTriangle, this._auxDstTriangle))
+                const matrix = affineMatrixFromTriangles(this._auxSrcTriangle, this._auxDstTriangle);
+                // Source triangles come from the Delaunay triangulation so they are never flat, except for numerical problems
+                if (!matrix.every(Number.isFinite)){
+                    throw new DegenerateInputError(`Triangle ${i/3} of the mesh is degenerated (its source vertices are collinear)`, ErrorCodes.ILL_CONDITIONED);
+                }
+                piecewiseMatrices.push(matrix);
             }
             return piecewiseMatrices;
     }
@@ -816,9 +1788,7 @@ class Homography {
      */
      _buildTrianglesCorrespondencesMatrix(){
         const matrixLength = (this._maxSrcX-this._minSrcX)*(this._maxSrcY - this._minSrcY);
-        if (this._trianglesCorrespondencesMatrix === null || this._trianglesCorrespondencesMatrix.length !== matrixLength){
-            this._trianglesCorrespondencesMatrix = new Int16Array(matrixLength);
-        }
+        this._trianglesCorrespondencesMatrix = trianglesCorrespondencesArray(this._trianglesCorrespondencesMatrix, matrixLength, this._triangles.length/3);
         this._trianglesCorrespondencesMatrix.fill(-1);
         for(let i = 0; i < this._triangles.length; i+=3){
             // Set in the already allocated memory for doing it faster and keep it as an Int16Array
@@ -839,251 +1809,1964 @@ class Homography {
      * Description.                 PRIVATE. AVOID TO USE IT. This matrix is extremely relevant for performance reasons and constructing them in a suboptimal way would
      *                              incredibly harm the overall performance of the Piecewise Affine transforms. For this reason it reutilizes the this._auxDstTriangle buffer
      *                              in order to avoid memory allocations. However, it is negligible as the way how _fillTriangle(...) is built is the really critical aspect that
-     *                              determines the validity of the solution in terms of performance.
+     *                              determines the validity of the solution in terms of performance. It is saved apart from the source one, so both
+     *                              directions can be alternated without building them again.
+     * 
+     * @param {Object}              geometry  Size of the output image and transform from output pixels to destiny coordinates, as given by this._outputGeometry(options).
+     * 
+     * @return {Int16Array|Int32Array}  Matrix of geometry.width x geometry.height, with the index of the triangle of each output pixel (-1 if it is outside the mesh).
      *                              
      */
-    _buildInverseTrianglesCorrespondencesMatrix(){ 
-        const matrixLength = this._objectiveWidth*this._objectiveHeight;
-        if (this._trianglesCorrespondencesMatrix === null || this._trianglesCorrespondencesMatrix.length !== matrixLength){
-            this._trianglesCorrespondencesMatrix = new Int16Array(matrixLength);
-        }
-        this._trianglesCorrespondencesMatrix.fill(-1);
+    _buildInverseTrianglesCorrespondencesMatrix(geometry){ 
+        const matrixLength = geometry.width*geometry.height;
+        this._inverseTrianglesCorrespondencesMatrix = trianglesCorrespondencesArray(this._inverseTrianglesCorrespondencesMatrix, matrixLength,
+                                                                                    this._triangles.length/3);
+        this._inverseTrianglesCorrespondencesMatrix.fill(-1);
+        // Place the destiny triangles in output pixels (the inverse of an scale and a translation)
+        const {scaleX, scaleY, originX, originY} = geometry;
 
         for(let i = 0; i < this._triangles.length; i+=3){
              //Set the dstTriangle
              this._auxDstTriangle[0] = this._dstPoints[this._triangles[i]<<1]; this._auxDstTriangle[1] = this._dstPoints[(this._triangles[i]<<1)+1];
              this._auxDstTriangle[2] = this._dstPoints[this._triangles[i+1]<<1]; this._auxDstTriangle[3] = this._dstPoints[(this._triangles[i+1]<<1)+1];
              this._auxDstTriangle[4] = this._dstPoints[this._triangles[i+2]<<1]; this._auxDstTriangle[5] = this._dstPoints[(this._triangles[i+2]<<1)+1];
-             fillTriangle(this._auxDstTriangle, i/3, this._objectiveWidth, this._yOutputOffset, this._trianglesCorrespondencesMatrix);
+             for (let j = 0; j < 6; j+=2){
+                this._auxDstTriangle[j] = (this._auxDstTriangle[j]-originX)/scaleX;
+                this._auxDstTriangle[j+1] = (this._auxDstTriangle[j+1]-originY)/scaleY;
+             }
+             fillTriangle(this._auxDstTriangle, i/3, geometry.width, 0, this._inverseTrianglesCorrespondencesMatrix);
         }
 
-       return this._trianglesCorrespondencesMatrix;
+       return this._inverseTrianglesCorrespondencesMatrix;
     }
 
-    //                        ----------------- Ensure Points Consistency ---------------
+    //                        ----------------- Warp Options ---------------
 
     /**
-     * Summary.                     PRIVATE. AVOID TO USE IT. Ensure that source and destiny points are in the same range (normalized or Image range).
+     * Summary.                     PRIVATE. AVOID TO USE IT. Completes the given warp options with the default ones and validates them.
      * 
-     * Description.                 PRIVATE. AVOID TO USE IT. It is extremely importante to ensure that all reference points are in the same range previous
-     *                              to any transformation matrix estimation. When one of both points (source or destiny) must be calculated, this function 
-     *                              prioritizes always the modification of the source points, as it is more usual that when multiple transformations are applied
-     *                              sequentially (usually in video applications) destiny points are the ones that are constantly modified, while source points
-     *                              remain unchanged. This way, future calculations are avoided. However, the affection of this function to the overall performance
-     *                              is negligible.  
+     * @param {WarpOptions|null}    options     Options given by the user. Null for using only the default ones.
      * 
+     * @return {WarpOptions}        Complete set of warp options.
      */
-    _putSrcAndDstPointsInSameRange(){
-        // If they are not in the same range, try to always modify source. 
-        // It should avoid future computation as destiny points will usually be given always in the same range. 
-        if (this._dstPointsAreNormalized !== this._srcPointsAreNormalized){
-            // If destiny array is normalized try to also normalize srcArray
-            if (this._dstPointsAreNormalized && this._width > 0 && this._height > 0){
-                normalizePoints(this._srcPoints, this._width, this._height);
-                this._srcPointsAreNormalized = true;
-            // Otherwise, try to denormalize source.
-            } else if (this._srcPointsAreNormalized && this._width > 0 && this._height > 0){
-                denormalizePoints(this._srcPoints, this._width, this._height);
-                this._srcPointsAreNormalized = false;
-            } else {
-                throw("Impossible to put source and destiny points in the same range. Possible solutions: \n"+
-                       "1. Give a source width/height when calling setSrcPoints.\n"+
-                       "2. Set the input image before.\n"+
-                       "3. Give Source and Destiny points in the same range (both normalized or both in image dimensions)")
+    _resolveWarpOptions(options){
+        if (options === null || typeof(options) === 'undefined') return this._options.warp;
+        const resolved = {...defaultWarpOptions, ...this._options.warp, ...options};
+        if (!availableInterpolations.includes(resolved.interpolation)){
+            throw new InvalidArgumentError(`Interpolation "${resolved.interpolation}" is unknown. It must be one of ${availableInterpolations}`, ErrorCodes.INVALID_OPTION);
+        }
+        if (!availableMinifications.includes(resolved.minification)){
+            throw new InvalidArgumentError(`Minification "${resolved.minification}" is unknown. It must be one of ${availableMinifications}`, ErrorCodes.INVALID_OPTION);
+        }
+        if (!availableBorders.includes(resolved.border)){
+            throw new InvalidArgumentError(`Border "${resolved.border}" is unknown. It must be one of ${availableBorders}`, ErrorCodes.INVALID_OPTION);
+        }
+        const color = resolved.borderColor;
+        if (!color || (color.length !== 3 && color.length !== 4) || !Array.prototype.every.call(color, Number.isFinite)){
+            throw new InvalidArgumentError(`Border color must be an RGB or RGBA array, but ${color} was given`, ErrorCodes.INVALID_OPTION);
+        }
+        for (const size of ['outputWidth', 'outputHeight']){
+            if (resolved[size] !== null && !(resolved[size] >= 1 && Number.isFinite(resolved[size]))){
+                throw new InvalidArgumentError(`${size} must be a positive number, but ${resolved[size]} was given`, ErrorCodes.INVALID_OPTION);
             }
         }
-        
+        const viewport = resolved.viewport;
+        if (viewport !== null && !(viewport.width > 0 && viewport.height > 0 && Number.isFinite(viewport.x) && Number.isFinite(viewport.y) &&
+                                   Number.isFinite(viewport.width) && Number.isFinite(viewport.height))){
+            throw new InvalidArgumentError("Viewport must be an object {x, y, width, height} with finite values and positive width and height", ErrorCodes.INVALID_OPTION);
+        }
+        if (resolved.fit !== null && !availableFits.includes(resolved.fit)){
+            throw new InvalidArgumentError(`Fit "${resolved.fit}" is unknown. It must be one of ${availableFits}`, ErrorCodes.INVALID_OPTION);
+        }
+        if (resolved.mask !== null && !availableMasks.includes(resolved.mask)){
+            throw new InvalidArgumentError(`Mask "${resolved.mask}" is unknown. It must be one of ${availableMasks}`, ErrorCodes.INVALID_OPTION);
+        }
+        if (!availableBackends.includes(resolved.backend)){
+            throw new InvalidArgumentError(`Backend "${resolved.backend}" is unknown. It must be one of ${availableBackends}`, ErrorCodes.INVALID_OPTION);
+        }
+        if (resolved.tileSize !== null && !(Number.isInteger(resolved.tileSize) && resolved.tileSize >= 1)){
+            throw new InvalidArgumentError(`tileSize must be a positive integer, but ${resolved.tileSize} was given`, ErrorCodes.INVALID_OPTION);
+        }
+        // Sampling information of the border, as used by the samplers
+        resolved.borderSampling = {mode : resolved.border === 'transparent'? 'replicate' : resolved.border,
+                                   color : new Uint8ClampedArray(color.length === 3? [...color, 255] : color)};
+        return resolved;
     }
 
-    //                        ---------------------- Warps ------------------------
-
     /**
-     * Summary.                     PRIVATE. AVOID TO USE IT. Applies the source to destiny Affine or Projective transform.
-     * 
-     * Description.                 PRIVATE. AVOID TO USE IT. Applies an Affine or Projective transform to the given image. It is by its nature the part of the code
-     *                              where more computation is spent. Any change on this function will have the greatest implications in the performance
-     * 
-     * @param {Uint8ClampedArray}   image     Image to be transformed as Uint8ClampledArray. It will usually be the this._image property.
+     * Summary.                     PRIVATE. AVOID TO USE IT. Returns the mipmap pyramid of the given image, building it only if it is not already built.
      * 
-     * @return {Uint8ClampedArray}  Warped version of the input image. It will have a size of this._objectiveWidth*this.objectiveHeight*4 (RGBA channels).
+     * @param {Uint8ClampedArray}   image     Image of this._width x this._height pixels as a flat RGBA array. It will usually be the this._image property.
      * 
+     * @return {Array<{data : Uint8ClampedArray, width : Number, height : Number}>}  Levels of the pyramid, from the image itself to a single pixel.
      */
-    _geometricWarp(image){
-        const srcRowLenght = this._width<<2;
-        const dstRowLenght = this._objectiveWidth<<2;
-        let transformPoint = getTransformFunction(this.transform);
-        // output_img starts as a fully transparent image (the whole alpha channel is filled with 0).
-        let output_img = new Uint8ClampedArray(dstRowLenght*this._objectiveHeight);
-        //We only check the points that can be inside a tringle, as the rest of points will not be translated in a piecewise warping.
-
-        for (let y = 0; y < this._height; y++){
-            for (let x = 0; x < this._width; x++){
-                    //Get the index of y, x coordinate in the source image ArrayBuffer (<< 2 is a faster version of *4)
-                    const idx = (y*srcRowLenght)+(x<<2);
-                    let [newX, newY] = transformPoint(this._transformMatrix, x, y);
-                    newX = Math.round(newX-this._xOutputOffset); newY = Math.round(newY-this._yOutputOffset);
-                    //Get the index of y, x coordinate in the output image ArrayBuffer (<< 2 is a faster version of *4)
-                    const newIdx = (newY*dstRowLenght)+(newX<<2);
-                    output_img[newIdx] = image[idx], output_img[newIdx+1] = image[idx+1],
-                    output_img[newIdx+2] = image[idx+2], output_img[newIdx+3] = image[idx+3];
-            }    
-        }    
-        return output_img;
+    _getMipmapPyramid(image){
+        if (this._mipmapPyramid === null || this._mipmapPyramid[0].data !== image || this._mipmapPyramid[0].width !== this._width){
+            this._mipmapPyramid = buildMipmapPyramid(image, this._width, this._height);
+        }
+        return this._mipmapPyramid;
     }
 
     /**
-     * Summary.                     PRIVATE. AVOID TO USE IT. Applies the source to destiny Piecewise Affine transform.
+     * Summary.                     PRIVATE. AVOID TO USE IT. Calculates the size of the output image and where each output pixel falls in the destiny space.
      * 
-     * Description.                 PRIVATE. AVOID TO USE IT. Applies a Piecewise Affine transform to the given image. It is by its nature the part of the code
-     *                              where more computation is spent. Any change on this function will have the greatest implications in the performance. This function
-     *                              needs the Piecewise Affine parameters to be set. They are: The triangulation, the trianglesCorrespondencesMatrix, and the Affine
-     *                              transformations matrices of each triangle. 
+     * Description.                 PRIVATE. AVOID TO USE IT. By default, the output image is the bounding box of the warped image (this._objectiveWidth x
+     *                              this._objectiveHeight pixels starting at this._xOutputOffset, this._yOutputOffset). The outputWidth, outputHeight, viewport and fit
+     *                              options modify it. Output pixels are always mapped to the destiny space by an scale and a translation. The last geometry is
+     *                              cached, so the same object is returned while nothing changes (and it can be used as key of the caches that depend on it).
+     * 
+     * @param {WarpOptions}         options                                     Resolved warp options.
+     * 
+     * @param {Number|null}         [outputWidth = options.outputWidth]         Width of the output image, if it must override the one of the options.
+     * 
+     * @param {Number|null}         [outputHeight = options.outputHeight]       Height of the output image, if it must override the one of the options.
+     * 
+     * @return {{width : Number, height : Number, scaleX : Number, scaleY : Number, originX : Number, originY : Number, isDefault : Boolean}}  Size of the output
+     *                              image, transform from output pixels to destiny coordinates (destinyX = originX + scaleX*x) and if it is the default geometry.
+     */
+    _outputGeometry(options, outputWidth = options.outputWidth, outputHeight = options.outputHeight){
+        const viewport = options.viewport, cache = this._outputGeometryCache;
+        if (cache !== null && cache.xOutputOffset === this._xOutputOffset && cache.yOutputOffset === this._yOutputOffset &&
+            cache.objectiveWidth === this._objectiveWidth && cache.objectiveHeight === this._objectiveHeight && cache.outputWidth === outputWidth &&
+            cache.outputHeight === outputHeight && cache.fit === options.fit && (viewport === null? cache.viewportWidth === null :
+            (cache.viewportX === viewport.x && cache.viewportY === viewport.y && cache.viewportWidth === viewport.width && cache.viewportHeight === viewport.height))){
+            return cache.geometry;
+        }
+        let geometry;
+        if (outputWidth === null && outputHeight === null && viewport === null && options.fit === null){
+            geometry = {width : this._objectiveWidth, height : this._objectiveHeight, isDefault : true,
+                        scaleX : 1, scaleY : 1, originX : this._xOutputOffset, originY : this._yOutputOffset};
+        } else {
+            // Region of the destiny space to show
+            let region = viewport;
+            if (region === null){
+                region = options.fit !== null? {x : this._xOutputOffset, y : this._yOutputOffset, width : this._objectiveWidth, height : this._objectiveHeight} :
+                                               {x : 0, y : 0, width : outputWidth !== null? outputWidth : this._xOutputOffset+this._objectiveWidth,
+                                                height : outputHeight !== null? outputHeight : this._yOutputOffset+this._objectiveHeight};
+            }
+            // If only one dimension is given, keep the aspect ratio of the region
+            let width = outputWidth, height = outputHeight;
+            if (width === null && height === null){
+                width = region.width; height = region.height;
+            } else if (width === null){
+                width = region.width*height/region.height;
+            } else if (height === null){
+                height = region.height*width/region.width;
+            }
+            width = Math.max(1, Math.round(width)); height = Math.max(1, Math.round(height));
+            // Destiny units covered by each output pixel
+            let scaleX = region.width/width, scaleY = region.height/height;
+            if (options.fit === 'contain'){
+                scaleX = scaleY = Math.max(scaleX, scaleY);
+            } else if (options.fit === 'cover'){
+                scaleX = scaleY = Math.min(scaleX, scaleY);
+            }
+            // Center the region in the output image
+            geometry = {width : width, height : height, isDefault : false, scaleX : scaleX, scaleY : scaleY,
+                        originX : region.x + (region.width - width*scaleX)/2, originY : region.y + (region.height - height*scaleY)/2};
+        }
+        this._outputGeometryCache = {xOutputOffset : this._xOutputOffset, yOutputOffset : this._yOutputOffset, objectiveWidth : this._objectiveWidth,
+                                     objectiveHeight : this._objectiveHeight, outputWidth : outputWidth, outputHeight : outputHeight, fit : options.fit,
+                                     viewportX : viewport === null? null : viewport.x, viewportY : viewport === null? null : viewport.y,
+                                     viewportWidth : viewport === null? null : viewport.width, viewportHeight : viewport === null? null : viewport.height,
+                                     geometry : geometry};
+        return geometry;
+    }
+
+    /**
+     * Summary.                     PRIVATE. AVOID TO USE IT. Returns the transform matrix from output pixels to source pixels used by the inverse geometric warp.
+     * 
+     * Description.                 PRIVATE. AVOID TO USE IT. It is calculated in the opposite direction. The estimated matrix is inverted instead of estimating it again
+     *                              from dstPoints to srcPoints, as when more points than the minimum are given, the best fit in one direction is not the inverse of the
+     *                              best fit in the other one. Then, it is composed with the placement of the output pixels in the destiny space. The result (and its level
+     *                              of detail, saved at this._outputToSourceLevelOfDetail for Affine transforms) is cached until the transform or the geometry change, and it
+     *                              is recalculated over the same buffers.
+     * 
+     * @param {Object}              geometry  Output geometry, as given by this._outputGeometry(options).
+     * 
+     * @return {Float64Array}       Output pixels to source pixels transform matrix, Affine (length 6) or Projective (length 8) as this._transformMatrix.
+     */
+    _getOutputToSourceMatrix(geometry){
+        if (this._inverseTransformMatrixOf !== this._transformMatrix){
+            const reuse = this._inverseTransformMatrix !== null && this._inverseTransformMatrix.length === this._transformMatrix.length;
+            this._inverseTransformMatrix = inverseTransformMatrix(this._transformMatrix, reuse? this._inverseTransformMatrix : null);
+            this._inverseTransformMatrixOf = this._transformMatrix;
+            this._outputToSourceGeometry = null;
+        }
+        if (this._outputToSourceGeometry !== geometry){
+            const reuse = this._outputToSourceMatrix !== null && this._outputToSourceMatrix.length === this._inverseTransformMatrix.length;
+            this._outputToSourceMatrix = outputToSourceMatrix(geometry, this._inverseTransformMatrix, reuse? this._outputToSourceMatrix : null);
+            this._outputToSourceLevelOfDetail = this._outputToSourceMatrix.length === 6?
+                                                levelOfDetail(applyAffineTransformToPoint, this._outputToSourceMatrix, 0, 0) : null;
+            this._outputToSourceGeometry = geometry;
+        }
+        return this._outputToSourceMatrix;
+    }
+
+    /**
+     * Summary.                     PRIVATE. AVOID TO USE IT. Piecewise version of this._getOutputToSourceMatrix(geometry).
+     * 
+     * Description.                 PRIVATE. AVOID TO USE IT. Calculates the matrices from output pixels to source pixels of each triangle, their levels of detail
+     *                              (at this._inversePiecewiseLevelsOfDetail) and the triangle of each output pixel (at this._inverseTrianglesCorrespondencesMatrix). All
+     *                              of them are cached until the piecewise matrices or the geometry change, and recalculated over the same buffers.
+     * 
+     * @param {Object}              geometry  Output geometry, as given by this._outputGeometry(options).
+     * 
+     * @return {Array<Float64Array>}   Output pixels to source pixels Affine transform matrix of each triangle.
+     */
+    _getOutputToSourcePiecewiseMatrices(geometry){
+        if (this._inversePiecewiseMatricesOf !== this._piecewiseMatrices || this._inversePiecewiseGeometry !== geometry){
+            const trianglesCount = this._piecewiseMatrices.length;
+            while (this._inversePiecewiseMatrices.length < trianglesCount) this._inversePiecewiseMatrices.push(new Float64Array(6));
+            if (this._inversePiecewiseLevelsOfDetail === null || this._inversePiecewiseLevelsOfDetail.length < trianglesCount){
+                this._inversePiecewiseLevelsOfDetail = new Float32Array(trianglesCount);
+            }
+            for (let i = 0; i < trianglesCount; i++){
+                const matrix = this._inversePiecewiseMatrices[i];
+                outputToSourceMatrix(geometry, inverseAffineMatrix(this._piecewiseMatrices[i], this._auxInverseAffineMatrix), matrix);
+                this._inversePiecewiseLevelsOfDetail[i] = levelOfDetail(applyAffineTransformToPoint, matrix, 0, 0);
+            }
+            this._buildInverseTrianglesCorrespondencesMatrix(geometry);
+            this._inversePiecewiseMatricesOf = this._piecewiseMatrices;
+            this._inversePiecewiseGeometry = geometry;
+        }
+        return this._inversePiecewiseMatrices;
+    }
+
+    //                        ----------------- Ensure Points Consistency ---------------
+
+    /**
+     * Summary.                     PRIVATE. AVOID TO USE IT. Ensures that the transform (or the piecewise mesh and matrices) is estimated from the current reference points.
+     * 
+     * @param {String}  message     Error message to throw if source or destiny points are not set.
+     * 
+     */
+    _ensureTransformIsEstimated(message){
+        if (this._srcPoints === null || this._dstPoints === null){
+            throw new InvalidStateError(message, ErrorCodes.POINTS_NOT_SET);
+        }
+        this._putSrcAndDstPointsInSameRange();
+        if (this.transform === 'piecewiseaffine'){
+            if (this._triangles === null) this._triangles = Delaunay(this._srcPoints);
+            if (this._piecewiseMatrices === null) this._piecewiseMatrices = this._calculatePiecewiseAffineTransformMatrices();
+        } else if (this._transformMatrix === null){
+            this._transformMatrix = this._estimateTransformMatrix();
+        }
+    }
+
+    /**
+     * Summary.                     PRIVATE. AVOID TO USE IT. Transforms a set of points through the current transform or its inverse.
+     * 
+     * Description.                 PRIVATE. AVOID TO USE IT. Points are taken to the range of the reference points (normalized or image coordinates), transformed,
+     *                              and taken back to their original range and format.
+     * 
+     * @param {ArrayBuffer | Array}  points                 Points to transform in the form [x1, y1, x2, y2...] or [[x1, y1], [x2, y2]...].
+     * 
+     * @param {Boolean}              pointsAreNormalized    If points are in normalized coordinates. Inferred from the points array if null.
+     * 
+     * @param {Boolean}              inverse                If true, maps them from destiny to source space, otherwise from source to destiny space.
+     * 
+     * @return {Float32Array | Array}                       Transformed points, in the same format and range than the input points.
+     */
+    _mapPoints(points, pointsAreNormalized, inverse){
+        if (!this._transformMatrixIsGiven){
+            this._ensureTransformIsEstimated("Points can only be transformed when both source and destiny points are set");
+        }
+        const isNested = Array.isArray(points) && Array.isArray(points[0]);
+        const flatPoints = isNested? points.flat() : points;
+        checkPointsArray(flatPoints, 'Given');
+        if (pointsAreNormalized === null) pointsAreNormalized = !containsValueGreaterThan(flatPoints, normalizedMax);
+        // Scale that takes the points to the range of the reference points
+        let scaleX = 1, scaleY = 1;
+        if (pointsAreNormalized !== this._srcPointsAreNormalized){
+            if (!(this._width > 0 && this._height > 0)){
+                throw new InvalidStateError("Points can not be transformed in a different range (normalized or image coordinates) than the reference points "+
+                                            "if the input width and height are unknown", ErrorCodes.UNKNOWN_IMAGE_SIZE);
+            }
+            scaleX = pointsAreNormalized? this._width : 1/this._width;
+            scaleY = pointsAreNormalized? this._height : 1/this._height;
+        }
+        const output = new Float32Array(flatPoints.length);
+        if (this.transform === 'piecewiseaffine'){
+            // Each point goes through the triangle that contains it, in the source mesh for forward and in the destiny mesh for inverse transforms
+            const meshPoints = inverse? this._dstPoints : this._srcPoints;
+            const matrices = inverse? this._piecewiseMatrices.map(matrix => inverseAffineMatrix(matrix)) : this._piecewiseMatrices;
+            for (let i = 0; i < flatPoints.length; i+=dims){
+                const x = flatPoints[i]*scaleX, y = flatPoints[i+1]*scaleY;
+                const triangle = findContainingTriangle(meshPoints, this._triangles, x, y);
+                if (triangle < 0){
+                    output[i] = NaN; output[i+1] = NaN;
+                } else {
+                    const [dstX, dstY] = applyAffineTransformToPoint(matrices[triangle], x, y);
+                    output[i] = dstX/scaleX; output[i+1] = dstY/scaleY;
+                }
+            }
+        } else {
+            const transformPoint = getTransformFunction(this.transform);
+            const matrix = inverse? inverseTransformMatrix(this._transformMatrix) : this._transformMatrix;
+            for (let i = 0; i < flatPoints.length; i+=dims){
+                const [dstX, dstY] = transformPoint(matrix, flatPoints[i]*scaleX, flatPoints[i+1]*scaleY);
+                output[i] = dstX/scaleX; output[i+1] = dstY/scaleY;
+            }
+        }
+        if (isNested){
+            const nestedOutput = [];
+            for (let i = 0; i < output.length; i+=dims) nestedOutput.push([output[i], output[i+1]]);
+            return nestedOutput;
+        }
+        return Array.isArray(points)? Array.from(output) : output;
+    }
+
+    /**
+     * Summary.                     PRIVATE. AVOID TO USE IT. Ensure that source and destiny points are in the same range (normalized or Image range).
+     * 
+     * Description.                 PRIVATE. AVOID TO USE IT. It is extremely importante to ensure that all reference points are in the same range previous
+     *                              to any transformation matrix estimation. When one of both points (source or destiny) must be calculated, this function 
+     *                              prioritizes always the modification of the source points, as it is more usual that when multiple transformations are applied
+     *                              sequentially (usually in video applications) destiny points are the ones that are constantly modified, while source points
+     *                              remain unchanged. This way, future calculations are avoided. However, the affection of this function to the overall performance
+     *                              is negligible.  
+     * 
+     */
+    _putSrcAndDstPointsInSameRange(){
+        // If they are not in the same range, try to always modify source. 
+        // It should avoid future computation as destiny points will usually be given always in the same range. 
+        if (this._dstPointsAreNormalized !== this._srcPointsAreNormalized){
+            // If destiny array is normalized try to also normalize srcArray
+            if (this._dstPointsAreNormalized && this._width > 0 && this._height > 0){
+                normalizePoints(this._srcPoints, this._width, this._height);
+                this._srcPointsAreNormalized = true;
+            // Otherwise, try to denormalize source.
+            } else if (this._srcPointsAreNormalized && this._width > 0 && this._height > 0){
+                denormalizePoints(this._srcPoints, this._width, this._height);
+                this._srcPointsAreNormalized = false;
+            } else {
+                throw new InvalidStateError("Impossible to put source and destiny points in the same range. Possible solutions: \n"+
+                                            "1. Give a source width/height when calling setSrcPoints.\n"+
+                                            "2. Set the input image before.\n"+
+                                            "3. Give Source and Destiny points in the same range (both normalized or both in image dimensions)",
+                                            ErrorCodes.UNKNOWN_IMAGE_SIZE);
+            }
+        }
+        
+    }
+
+    //                        ---------------------- Warps ------------------------
+
+    /**
+     * Summary.                     PRIVATE. AVOID TO USE IT. Applies the source to destiny Affine or Projective transform.
+     * 
+     * Description.                 PRIVATE. AVOID TO USE IT. Applies an Affine or Projective transform to the given image. It is by its nature the part of the code
+     *                              where more computation is spent. Any change on this function will have the greatest implications in the performance
+     * 
+     * @param {Uint8ClampedArray}   image     Image to be transformed as Uint8ClampledArray. It will usually be the this._image property.
+     * 
+     * @param {WarpOptions}         options   Resolved warp options (backend).
+     * 
+     * @param {Uint8ClampedArray}   [output_img = null]  Buffer where to write the output. If null, a new one is allocated.
+     * 
+     * @param {Uint8Array|Float32Array} [mask = null]    Buffer where to write the coverage of each output pixel. If null, it is not calculated.
+     * 
+     * @return {Uint8ClampedArray}  Warped version of the input image. It will have a size of this._objectiveWidth*this.objectiveHeight*4 (RGBA channels).
+     * 
+     */
+    _geometricWarp(image, options, output_img = null, mask = null){
+        const srcRowLenght = this._width<<2;
+        const dstRowLenght = this._objectiveWidth<<2;
+        const kernels = getWasmKernels(options, mask);
+        if (kernels !== null){
+            const heap = prepareWasmHeap(kernels, image, this._transformMatrix.length, null, this._objectiveWidth, this._objectiveHeight, mask, true);
+            if (heap !== null){
+                heap.float64.set(this._transformMatrix, heap.matrices>>3);
+                kernels.geometricWarp(heap.image, this._width, this._height, heap.output, this._objectiveWidth, this._objectiveHeight,
+                                      heap.matrices, this._transformMatrix.length === 8, this._xOutputOffset, this._yOutputOffset, heap.mask);
+                return readWasmHeap(heap, output_img, mask);
+            }
+        }
+        // output_img starts as a fully transparent image (the whole alpha channel is filled with 0).
+        output_img = output_img === null? new Uint8ClampedArray(dstRowLenght*this._objectiveHeight) : output_img.fill(0);
+        // Every pixel reached by the forward warp comes from the input image
+        const maskValue = mask instanceof Float32Array? 1 : 255;
+        if (mask !== null) mask.fill(0);
+        //We only check the points that can be inside a tringle, as the rest of points will not be translated in a piecewise warping.
+
+        const [ax, bx, cx, ay, by, cy, dx, dy] = scanlineCoefficients(this._transformMatrix);
+        const projective = this._transformMatrix.length === 8;
+        for (let y = 0; y < this._height; y++){
+            // Homogeneous coordinates of the first pixel of the row. The ones of the next pixels are reached by adding the x deltas
+            let numX = bx*y + cx, numY = by*y + cy, den = dy*y + 1;
+            for (let x = 0; x < this._width; x++){
+                    //Get the index of y, x coordinate in the source image ArrayBuffer (<< 2 is a faster version of *4)
+                    const idx = (y*srcRowLenght)+(x<<2);
+                    let newX = projective? numX/den : numX, newY = projective? numY/den : numY;
+                    numX += ax, numY += ay, den += dx;
+                    newX = Math.round(newX-this._xOutputOffset); newY = Math.round(newY-this._yOutputOffset);
+                    //Get the index of y, x coordinate in the output image ArrayBuffer (<< 2 is a faster version of *4)
+                    const newIdx = (newY*dstRowLenght)+(newX<<2);
+                    output_img[newIdx] = image[idx], output_img[newIdx+1] = image[idx+1],
+                    output_img[newIdx+2] = image[idx+2], output_img[newIdx+3] = image[idx+3];
+                    if (mask !== null) mask[newIdx>>2] = maskValue;
+            }    
+        }    
+        return output_img;
+    }
+
+    /**
+     * Summary.                     PRIVATE. AVOID TO USE IT. Applies the source to destiny Piecewise Affine transform.
+     * 
+     * Description.                 PRIVATE. AVOID TO USE IT. Applies a Piecewise Affine transform to the given image. It is by its nature the part of the code
+     *                              where more computation is spent. Any change on this function will have the greatest implications in the performance. This function
+     *                              needs the Piecewise Affine parameters to be set. They are: The triangulation, the trianglesCorrespondencesMatrix, and the Affine
+     *                              transformations matrices of each triangle. 
      * 
      * @param {Uint8ClampedArray}   image     Image to be transformed as Uint8ClampledArray. It will usually be the this._image property.
      * 
+     * @param {WarpOptions}         options   Resolved warp options (backend).
+     * 
+     * @param {Uint8ClampedArray}   [output_img = null]  Buffer where to write the output. If null, a new one is allocated.
+     * 
+     * @param {Uint8Array|Float32Array} [mask = null]    Buffer where to write the coverage of each output pixel. If null, it is not calculated.
+     * 
      * @return {Uint8ClampedArray}  Warped version of the input image. It will have a size of this._objectiveWidth*this.objectiveHeight*4 (RGBA channels).
      * 
      */
 
-    _piecewiseAffineWarp(image){
-        const srcRowLenght = this._width<<2;
-        const dstRowLenght = this._objectiveWidth<<2;
-        const triangleCorrespondenceMatrixWidth = this._maxSrcX-this._minSrcX;
-        // output_img starts as a fully transparent image (the whole alpha channel is filled with 0).
-        let output_img = new Uint8ClampedArray(dstRowLenght*this._objectiveHeight);
-        //We only check the points that can be inside a tringle, as the rest of points will not be translated in a piecewise warping.
-        for (let y = this._minSrcY; y < this._maxSrcY; y++){
-            for (let x = this._minSrcX; x < this._maxSrcX; x++){
-                const inTriangle = this._trianglesCorrespondencesMatrix[(y-this._minSrcY)*triangleCorrespondenceMatrixWidth+(x-this._minSrcX)]
-                if (inTriangle > -1){
-                    //Get the index of y, x coordinate in the source image ArrayBuffer (<<2 is a faster version of *4)
-                    const idx = (y*srcRowLenght)+(x<<2);
-                    let [newX, newY] = applyAffineTransformToPoint(this._piecewiseMatrices[inTriangle], x, y);
-                    newX = Math.round(newX-this._xOutputOffset); newY = Math.round(newY-this._yOutputOffset);
-                    //Get the index of y, x coordinate in the output image ArrayBuffer (binary shift (<<2) is a faster version of *4)
-                    const newIdx = (newY*dstRowLenght)+(newX<<2);
-                    
-                    output_img[newIdx] = image[idx], output_img[newIdx+1] = image[idx+1],
-                    output_img[newIdx+2] = image[idx+2], output_img[newIdx+3] = image[idx+3]; 
-                }
-            }    
-        }    
-        return output_img;
+    _piecewiseAffineWarp(image, options, output_img = null, mask = null){
+        const srcRowLenght = this._width<<2;
+        const dstRowLenght = this._objectiveWidth<<2;
+        const triangleCorrespondenceMatrixWidth = this._maxSrcX-this._minSrcX;
+        if (this._trianglesCorrespondencesMatrix === unbuiltTrianglesCorrespondences) this._buildTrianglesCorrespondencesMatrix();
+        const kernels = getWasmKernels(options, mask);
+        if (kernels !== null){
+            const heap = prepareWasmHeap(kernels, image, this._piecewiseMatrices.length*6, this._trianglesCorrespondencesMatrix,
+                                         this._objectiveWidth, this._objectiveHeight, mask, true);
+            if (heap !== null){
+                copyMatricesToWasmHeap(heap, this._piecewiseMatrices);
+                kernels.piecewiseAffineWarp(heap.image, this._width, this._height, heap.output, this._objectiveWidth, this._objectiveHeight, heap.matrices,
+                                            heap.correspondences, this._minSrcX, this._minSrcY, this._maxSrcX, this._maxSrcY,
+                                            this._xOutputOffset, this._yOutputOffset, heap.mask, this._trianglesCorrespondencesMatrix instanceof Int32Array);
+                return readWasmHeap(heap, output_img, mask);
+            }
+        }
+        // output_img starts as a fully transparent image (the whole alpha channel is filled with 0).
+        output_img = output_img === null? new Uint8ClampedArray(dstRowLenght*this._objectiveHeight) : output_img.fill(0);
+        // Every pixel reached by the forward warp comes from the input image
+        const maskValue = mask instanceof Float32Array? 1 : 255;
+        if (mask !== null) mask.fill(0);
+        //We only check the points that can be inside a tringle, as the rest of points will not be translated in a piecewise warping.
+        for (let y = this._minSrcY; y < this._maxSrcY; y++){
+            // Consecutive pixels are usually in the same triangle, so its matrix is only evaluated when the triangle changes, and then stepped along the row
+            let lastTriangle = -1, ax = 0, ay = 0, numX = 0, numY = 0;
+            for (let x = this._minSrcX; x < this._maxSrcX; x++){
+                const inTriangle = this._trianglesCorrespondencesMatrix[(y-this._minSrcY)*triangleCorrespondenceMatrixWidth+(x-this._minSrcX)]
+                if (inTriangle > -1){
+                    //Get the index of y, x coordinate in the source image ArrayBuffer (<<2 is a faster version of *4)
+                    const idx = (y*srcRowLenght)+(x<<2);
+                    if (inTriangle !== lastTriangle){
+                        const matrix = this._piecewiseMatrices[inTriangle];
+                        ax = matrix[0], ay = matrix[1];
+                        numX = (matrix[0]*x) + (matrix[2]*y) + matrix[4], numY = (matrix[1]*x) + (matrix[3]*y) + matrix[5];
+                        lastTriangle = inTriangle;
+                    }
+                    let newX = numX, newY = numY;
+                    numX += ax, numY += ay;
+                    newX = Math.round(newX-this._xOutputOffset); newY = Math.round(newY-this._yOutputOffset);
+                    //Get the index of y, x coordinate in the output image ArrayBuffer (binary shift (<<2) is a faster version of *4)
+                    const newIdx = (newY*dstRowLenght)+(newX<<2);
+                    
+                    output_img[newIdx] = image[idx], output_img[newIdx+1] = image[idx+1],
+                    output_img[newIdx+2] = image[idx+2], output_img[newIdx+3] = image[idx+3]; 
+                    if (mask !== null) mask[newIdx>>2] = maskValue;
+                } else {
+                    lastTriangle = -1;
+                }
+            }    
+        }    
+        return output_img;
+    }
+
+    /**
+     * Summary.                     PRIVATE. AVOID TO USE IT. Destiny to source version of _geometricWarp(image).
+     * 
+     * Description.                 PRIVATE. AVOID TO USE IT. Applies an inverse Affine or Projective transform to the given image. This version have worse performance than
+     *                              than its forward version (_geometricWarp(image)), so it should be used only when this lose of performance is compensated. It is, when 
+     *                              output image is larger, so the Source to Destiny version would generate a sparse image, or when output image is shorter enough in comparison
+     *                              to the input image and therefore the additional overhead would be compensated by the lower amount of points to be calculated.  
+     * 
+     * @param {Uint8ClampedArray}   image     Image to be transformed as Uint8ClampledArray. It will usually be the this._image property.
+     * 
+     * @param {WarpOptions}         options   Resolved warp options (interpolation, minification and border).
+     * 
+     * @param {Object}              geometry  Size of the output image and transform from output pixels to destiny coordinates, as given by this._outputGeometry(options).
+     * 
+     * @param {Uint8ClampedArray}   [output_img = null]  Buffer where to write the output. If null, a new one is allocated.
+     * 
+     * @param {Uint8Array|Float32Array} [mask = null]    Buffer where to write the coverage of each output pixel. If null, it is not calculated.
+     * 
+     * @return {Uint8ClampedArray}  Warped version of the input image. It will have a size of geometry.width*geometry.height*4 (RGBA channels).
+     * 
+     */
+     _inverseGeometricWarp(image, options, geometry, output_img = null, mask = null){
+        const dstRowLenght = geometry.width<<2;
+        this._putSrcAndDstPointsInSameRange();
+        const inverseMatrix = this._getOutputToSourceMatrix(geometry);
+        const kernels = getWasmKernels(options, mask);
+        if (kernels !== null){
+            const heap = prepareWasmHeap(kernels, image, inverseMatrix.length, null, geometry.width, geometry.height, mask, false);
+            if (heap !== null){
+                heap.float64.set(inverseMatrix, heap.matrices>>3);
+                kernels.inverseGeometricWarp(heap.image, this._width, this._height, heap.output, geometry.width, geometry.height,
+                                             heap.matrices, inverseMatrix.length === 8, heap.mask);
+                return readWasmHeap(heap, output_img, mask);
+            }
+        }
+        // output_img starts as a fully transparent image (the whole alpha channel is filled with 0).
+        output_img = output_img === null? new Uint8ClampedArray(dstRowLenght*geometry.height) : output_img.fill(0);
+        // Pixels sampled from inside the input image are marked in the mask (the "float" one with their coverage)
+        const maskIsFloat = mask instanceof Float32Array;
+        if (mask !== null) mask.fill(0);
+        const transformPoint = inverseMatrix.length === 6? applyAffineTransformToPoint : applyProjectiveTransformToPoint;
+        const [ax, bx, cx, ay, by, cy, dx, dy] = scanlineCoefficients(inverseMatrix);
+        const projective = inverseMatrix.length === 8;
+        // Null for "nearest", that keeps its own inlined fast path
+        const sample = getSampler(options.interpolation);
+        const pyramid = options.minification === 'mipmap'? this._getMipmapPyramid(image) : null;
+        // Affine transforms have the same level of detail everywhere, while projective ones must calculate it for each pixel
+        const constantLevelOfDetail = pyramid !== null? this._outputToSourceLevelOfDetail : null;
+        const border = options.borderSampling, fillBorder = options.border !== 'transparent';
+        // Track the full output image
+        for (let y = 0; y < geometry.height; y++){
+            // Homogeneous coordinates of the first pixel of the row. The ones of the next pixels are reached by adding the x deltas
+            let numX = bx*y + cx, numY = by*y + cy, den = dy*y + 1;
+            for (let x = 0; x < geometry.width; x++){
+                    const srcX = projective? numX/den : numX, srcY = projective? numY/den : numY;
+                    numX += ax, numY += ay, den += dx;
+                    const isInside = srcX >= 0 && srcX < this._width && srcY >= 0 && srcY < this._height;
+                    //If point is inside source image (or the border must be filled)
+                    if (isInside || fillBorder){
+                        //Get the index in the destiny domain
+                        const idx = (y*dstRowLenght)+(x<<2);
+                        if (mask !== null) mask[idx>>2] = maskIsFloat? sampleCoverage(srcX, srcY, this._width, this._height) : (isInside? 255 : 0);
+                        const lod = pyramid === null? 0 : (constantLevelOfDetail !== null? constantLevelOfDetail : levelOfDetail(transformPoint, inverseMatrix, x, y));
+                        // Minified pixels are filtered through the pyramid, the rest of them are sampled from the original image
+                        if (lod > 0){
+                            sampleMipmap(pyramid, srcX, srcY, lod, output_img, idx, border);
+                        } else if (sample === null){
+                            //Get the index of y, x coordinate in the input image ArrayBuffer (coordinates in the last half pixel are rounded out of it, so they also take the border)
+                            const srcIdx = borderPixelIndex(Math.round(srcX), Math.round(srcY), this._width, this._height, border.mode);
+                            if (srcIdx >= 0){
+                                output_img[idx] = image[srcIdx], output_img[idx+1] = image[srcIdx+1],
+                                output_img[idx+2] = image[srcIdx+2], output_img[idx+3] = image[srcIdx+3];
+                            } else {
+                                output_img[idx] = border.color[0], output_img[idx+1] = border.color[1],
+                                output_img[idx+2] = border.color[2], output_img[idx+3] = border.color[3];
+                            }
+                        } else {
+                            sample(image, this._width, this._height, srcX, srcY, output_img, idx, border);
+                        }
+                    }
+                    // Anything outside it is kept as transparent background (unless a border mode is selected)
+            }    
+        }    
+        return output_img;
+    }
+
+    /**
+     * Summary.                     PRIVATE. AVOID TO USE IT. Destiny to source version of _piecewiseAffinecWarp(image).
+     * 
+     * Description.                 PRIVATE. AVOID TO USE IT. Applies an inverse piecewise transform to the given image. This version have worse performance than
+     *                              than its forward version (_piecewiseAffineWarp(image)), so it should be used only when this lose of performance is compensated. It is, when 
+     *                              output image is larger, so the Source to Destiny version would generate a sparse image, or when output image is shorter enough in comparison
+     *                              to the input image and therefore the additional overhead of generating the parameters again as inverting the Affine matrices of each triangle
+     *                              would be compensated by the lower amount of points to be calculated.  
+     * 
+     * @param {Uint8ClampedArray}   image     Image to be transformed as Uint8ClampledArray. It will usually be the this._image property.
+     * 
+     * @param {WarpOptions}         options   Resolved warp options (interpolation, minification and border).
+     * 
+     * @param {Object}              geometry  Size of the output image and transform from output pixels to destiny coordinates, as given by this._outputGeometry(options).
+     * 
+     * @param {Uint8ClampedArray}   [output_img = null]  Buffer where to write the output. If null, a new one is allocated.
+     * 
+     * @param {Uint8Array|Float32Array} [mask = null]    Buffer where to write the coverage of each output pixel. If null, it is not calculated.
+     * 
+     * @return {Uint8ClampedArray}  Warped version of the input image. It will have a size of geometry.width*geometry.height*4 (RGBA channels).
+     * 
+     */
+    _inversePiecewiseAffineWarp(image, options, geometry, output_img = null, mask = null){
+        
+        const dstRowLenght = geometry.width<<2;
+        // Matrices going directly from the output pixels to the source pixels of each triangle
+        const inversePiecewiseMatrices = this._getOutputToSourcePiecewiseMatrices(geometry);
+        const inverseTriangleCorrespondenceMatrix = this._inverseTrianglesCorrespondencesMatrix;
+        const kernels = getWasmKernels(options, mask);
+        if (kernels !== null){
+            const heap = prepareWasmHeap(kernels, image, this._piecewiseMatrices.length*6, inverseTriangleCorrespondenceMatrix,
+                                         geometry.width, geometry.height, mask, false);
+            if (heap !== null){
+                copyMatricesToWasmHeap(heap, inversePiecewiseMatrices, this._piecewiseMatrices.length);
+                kernels.inversePiecewiseAffineWarp(heap.image, this._width, this._height, heap.output, geometry.width, geometry.height, heap.matrices,
+                                                   heap.correspondences, this._minSrcX, this._minSrcY, heap.mask,
+                                                   inverseTriangleCorrespondenceMatrix instanceof Int32Array);
+                return readWasmHeap(heap, output_img, mask);
+            }
+        }
+        // output_img starts as a fully transparent image (the whole alpha channel is filled with 0).
+        output_img = output_img === null? new Uint8ClampedArray(dstRowLenght*geometry.height) : output_img.fill(0);
+        // Pixels sampled from inside the input image are marked in the mask (the "float" one with their coverage)
+        const maskIsFloat = mask instanceof Float32Array;
+        if (mask !== null) mask.fill(0);
+        // Null for "nearest", that keeps its own inlined fast path
+        const sample = getSampler(options.interpolation);
+        // Each triangle is Affine, so its level of detail is the same for all its pixels
+        const pyramid = options.minification === 'mipmap'? this._getMipmapPyramid(image) : null;
+        const trianglesLevelOfDetail = this._inversePiecewiseLevelsOfDetail;
+        const border = options.borderSampling, fillBorder = options.border !== 'transparent';
+       
+        for (let y = 0; y < geometry.height; y++){
+            // As in the forward warp, the matrix of the triangle is only evaluated when the triangle changes, and then stepped along the row
+            let lastTriangle = -1, ax = 0, ay = 0, numX = 0, numY = 0;
+            for (let x = 0; x < geometry.width; x++){
+                const inTriangle = inverseTriangleCorrespondenceMatrix[y*geometry.width+x]
+                if (inTriangle !== lastTriangle && inTriangle >= 0){
+                    const matrix = inversePiecewiseMatrices[inTriangle];
+                    ax = matrix[0], ay = matrix[1];
+                    numX = (matrix[0]*x) + (matrix[2]*y) + matrix[4], numY = (matrix[1]*x) + (matrix[3]*y) + matrix[5];
+                }
+                lastTriangle = inTriangle;
+                if (inTriangle >= 0){
+                    const srcX = numX, srcY = numY;
+                    numX += ax, numY += ay;
+                    const isInside = srcX >= this._minSrcX && srcX < this._width+this._minSrcX && srcY >= this._minSrcY && srcY < this._height+this._minSrcY;
+                    if (isInside || fillBorder){
+                        const dstIdx = (y*dstRowLenght)+(x<<2);
+                        if (mask !== null) mask[dstIdx>>2] = maskIsFloat? sampleCoverage(srcX, srcY, this._width, this._height) : (isInside? 255 : 0);
+                        if (pyramid !== null && trianglesLevelOfDetail[inTriangle] > 0){
+                            sampleMipmap(pyramid, srcX, srcY, trianglesLevelOfDetail[inTriangle], output_img, dstIdx, border);
+                        } else if (sample === null){
+                            const srcIdx = borderPixelIndex(Math.round(srcX), Math.round(srcY), this._width, this._height, border.mode);
+                            if (srcIdx >= 0){
+                                output_img[dstIdx] = image[srcIdx], output_img[dstIdx+1] = image[srcIdx+1],
+                                output_img[dstIdx+2] = image[srcIdx+2], output_img[dstIdx+3] = image[srcIdx+3];
+                            } else {
+                                output_img[dstIdx] = border.color[0], output_img[dstIdx+1] = border.color[1],
+                                output_img[dstIdx+2] = border.color[2], output_img[dstIdx+3] = border.color[3];
+                            }
+                        } else {
+                            sample(image, this._width, this._height, srcX, srcY, output_img, dstIdx, border);
+                        }
+                    }
+                }
+            }    
+        }    
+        return output_img;
+    }
+    
+    /**
+     * Summary.                     PRIVATE. AVOID TO USE IT. Transforms an HTMLImageElement in a flat Uint8ClampedArray of size this._width*this._height*4 (RGBA channels)
+     * 
+     * Description.                 PRIVATE. AVOID TO USE IT. In the process, the image is resized if this._width or this._height differs from the original image.width or
+     *                              image.height. HTMLImageElements are drawn through the hidden canvas, while {data, width, height} RGBA buffers are resized without
+     *                              it, so they can be used where there is no DOM (e.g. Node.js).
+     * 
+     * @param {HTMLImageElement|ImageData}  image  Image to be converted to Uint8ClampedArray flat format.
+     * 
+     * @return {Uint8ClampedArray}  Uint8ClampedArray of size this._width*this._height*4 (RGBA channels) containing the image.
+     * 
+     */
+    _getImageAsRGBAArray(image){
+        if (ArrayBuffer.isView(image.data)){
+            return resizeRGBA(image.data, image.width, image.height, this._width, this._height);
+        } else if (this._hiddenCanvasContext === null){
+            throw new InvalidStateError("Without a DOM (e.g. in Node.js) images must be given as {data, width, height} objects with RGBA data",
+                                        ErrorCodes.DOM_NOT_AVAILABLE);
+        }
+        this._hiddenCanvasContext.clearRect(0, 0, this._width, this._height);
+        this._hiddenCanvasContext.drawImage(image, 0, 0, this._width, this._height); //image.width, image.height);
+        const imageRGBA = this._hiddenCanvasContext.getImageData(0, 0, this._width, this._height);
+        return imageRGBA.data;
+    }
+    
+
+}
+
+/**
+ * Class TransformMatrix. A 3x3 homogeneous matrix representing an Affine or Projective transform of 2D points.
+ * 
+ * Description.                 It allows to chain transforms (for example, undistort -> rectify -> rescale) and to undo them, so the resulting
+ *                              transform can be applied in a single warp (resampling the image only once) through Homography.setTransformMatrix(),
+ *                              or applied as CSS through Homography.getTransformationMatrixAsCSS(). TransformMatrix objects are immutable, every
+ *                              operation returns a new one.
+ */
+class TransformMatrix {
+    /**
+     * @param {TransformMatrix|ArrayBuffer|Array<Number>|Array<Array<Number>>}  [matrix]    Optional initial matrix. It can be a 3x3 matrix given as a nested Array
+     *                                                                          or as a flat Array/ArrayBuffer of 9 values in row-major order, an Affine matrix of 6
+     *                                                                          values or a Projective matrix of 8 values (as internally used by Homography). If not
+     *                                                                          given, it is the identity.
+     */
+    constructor(matrix = null){
+        this._matrix = new Float64Array([1, 0, 0,
+                                         0, 1, 0,
+                                         0, 0, 1]);
+        if (matrix === null) return;
+        if (matrix instanceof TransformMatrix) matrix = matrix._matrix;
+        else if (Array.isArray(matrix) && Array.isArray(matrix[0])) matrix = matrix.flat();
+        switch(matrix.length){
+            // Affine matrix [a, b, c, d, e, f] (x' = a*x + c*y + e, y' = b*x + d*y + f)
+            case 6:
+                this._matrix.set([matrix[0], matrix[2], matrix[4],
+                                  matrix[1], matrix[3], matrix[5]]);
+                break;
+            // Projective matrix (3x3 row-major matrix without its last element, that is 1) or full 3x3 row-major matrix
+            case 8:
+            case 9:
+                this._matrix.set(matrix);
+                break;
+            default:
+                throw new InvalidArgumentError(`Transform matrix have an incorrect shape --> ${matrix.length}`, ErrorCodes.INVALID_MATRIX);
+        }
+        if (!this._matrix.every(Number.isFinite)){
+            throw new InvalidArgumentError("Transform matrix must only contain finite values", ErrorCodes.INVALID_MATRIX);
+        }
+    }
+
+    /**
+     * Summary.                     Builds the identity transform.
+     * 
+     * @return {TransformMatrix}    Identity transform.
+     */
+    static identity(){
+        return new TransformMatrix();
+    }
+
+    /**
+     * Summary.                     Builds a translation transform.
+     * 
+     * @param {Number}  tx          Translation in the X axis.
+     * 
+     * @param {Number}  ty          Translation in the Y axis.
+     * 
+     * @return {TransformMatrix}    Translation transform.
+     */
+    static translation(tx, ty){
+        return new TransformMatrix([[1, 0, tx],
+                                    [0, 1, ty],
+                                    [0, 0, 1]]);
+    }
+
+    /**
+     * Summary.                     Builds a rotation transform around a given center.
+     * 
+     * @param {Number}  angle       Rotation angle in radians. Positive angles rotate clockwise in image coordinates (Y axis pointing down).
+     * 
+     * @param {Number}  [cx = 0]    X coordinate of the center of rotation.
+     * 
+     * @param {Number}  [cy = 0]    Y coordinate of the center of rotation.
+     * 
+     * @return {TransformMatrix}    Rotation transform.
+     */
+    static rotation(angle, cx = 0, cy = 0){
+        const cos = Math.cos(angle), sin = Math.sin(angle);
+        return new TransformMatrix([[cos, -sin, cx - cos*cx + sin*cy],
+                                    [sin, cos, cy - sin*cx - cos*cy],
+                                    [0, 0, 1]]);
+    }
+
+    /**
+     * Summary.                     Builds a scale transform around a given center.
+     * 
+     * @param {Number}  sx          Scale factor in the X axis.
+     * 
+     * @param {Number}  [sy = sx]   Scale factor in the Y axis. If not given, the scale is uniform.
+     * 
+     * @param {Number}  [cx = 0]    X coordinate of the center of the scaling (the point that keeps its position).
+     * 
+     * @param {Number}  [cy = 0]    Y coordinate of the center of the scaling.
+     * 
+     * @return {TransformMatrix}    Scale transform.
+     */
+    static scale(sx, sy = sx, cx = 0, cy = 0){
+        return new TransformMatrix([[sx, 0, cx - sx*cx],
+                                    [0, sy, cy - sy*cy],
+                                    [0, 0, 1]]);
+    }
+
+    /**
+     * Summary.                     Builds a shear transform (x' = x + shx*y, y' = y + shy*x).
+     * 
+     * @param {Number}  shx         Shear factor in the X axis.
+     * 
+     * @param {Number}  [shy = 0]   Shear factor in the Y axis.
+     * 
+     * @return {TransformMatrix}    Shear transform.
+     */
+    static shear(shx, shy = 0){
+        return new TransformMatrix([[1, shx, 0],
+                                    [shy, 1, 0],
+                                    [0, 0, 1]]);
+    }
+
+    /**
+     * Summary.                     Chains this transform with another one.
+     * 
+     * Description.                 The resulting transform is equivalent to apply first this transform and then the other one. So,
+     *                              undistort.compose(rectify).compose(rescale) applies undistort, rectify and rescale in this order.
+     * 
+     * @param {TransformMatrix|ArrayBuffer|Array}   other   Transform to apply after this one. Any format accepted by the constructor.
+     * 
+     * @return {TransformMatrix}                            Composed transform.
+     */
+    compose(other){
+        if (!(other instanceof TransformMatrix)) other = new TransformMatrix(other);
+        const a = other._matrix, b = this._matrix;
+        const product = new Float64Array(9);
+        for (let row = 0; row < 3; row++){
+            for (let col = 0; col < 3; col++){
+                product[row*3+col] = a[row*3]*b[col] + a[row*3+1]*b[3+col] + a[row*3+2]*b[6+col];
+            }
+        }
+        return new TransformMatrix(product);
+    }
+
+    /**
+     * Summary.                     Calculates the inverse of this transform.
+     * 
+     * @return {TransformMatrix}    Transform that undoes this one.
+     */
+    invert(){
+        const [a, b, c, d, e, f, g, h, i] = this._matrix;
+        const determinant = a*(e*i - f*h) - b*(d*i - f*g) + c*(d*h - e*g);
+        // Scaled to i = 1 it is checked as the estimated matrices, against its linear part, so large translations do not make it look singular
+        const singular = i !== 0? matrixIsSingular(this._matrix.slice(0, 8).map(value => value/i)) :
+                                  Math.abs(determinant) <= singularityTolerance*Math.max(...this._matrix.map(Math.abs))**3;
+        if (singular){
+            throw new DegenerateInputError("Transform matrix is singular, so it can not be inverted", ErrorCodes.ILL_CONDITIONED);
+        }
+        // Inverse is the adjugate matrix divided by the determinant
+        return new TransformMatrix([(e*i - f*h)/determinant, (c*h - b*i)/determinant, (b*f - c*e)/determinant,
+                                    (f*g - d*i)/determinant, (a*i - c*g)/determinant, (c*d - a*f)/determinant,
+                                    (d*h - e*g)/determinant, (b*g - a*h)/determinant, (a*e - b*d)/determinant]);
+    }
+
+    /**
+     * Summary.                     Applies the transform to a single point.
+     * 
+     * @param {Number}  x           X coordinate of the point.
+     * 
+     * @param {Number}  y           Y coordinate of the point.
+     * 
+     * @return {Array<Number>}      Transformed point as [x', y'].
+     */
+    transformPoint(x, y){
+        const m = this._matrix;
+        const w = m[6]*x + m[7]*y + m[8];
+        return [(m[0]*x + m[1]*y + m[2])/w, (m[3]*x + m[4]*y + m[5])/w];
+    }
+
+    /**
+     * Summary.                     Checks if the transform is Affine (its last row is [0, 0, w]).
+     * 
+     * @return {Boolean}            True if the transform is Affine, false if it is Projective.
+     */
+    isAffine(){
+        return this._matrix[6] === 0 && this._matrix[7] === 0 && this._matrix[8] !== 0;
+    }
+
+    /**
+     * Summary.                     Returns the 3x3 matrix as a flat Float64Array of 9 values.
+     * 
+     * @param {Boolean}  [columnMajor = false]  If true, values are given column by column (as expected by WebGL), otherwise row by row (as expected by OpenCV).
+     * 
+     * @return {Float64Array}       Copy of the 3x3 matrix.
+     */
+    toArray(columnMajor = false){
+        const m = this._matrix;
+        return columnMajor? new Float64Array([m[0], m[3], m[6], m[1], m[4], m[7], m[2], m[5], m[8]]) : new Float64Array(m);
+    }
+
+    /**
+     * Summary.                     Returns the transform as a 4x4 matrix (as used by CSS matrix3d or 3D engines) as a flat Float64Array of 16 values.
+     * 
+     * Description.                 The Z axis is kept unchanged, so the 3x3 matrix is placed in the rows and columns 0, 1 and 3 of the 4x4 identity matrix.
+     * 
+     * @param {Boolean}  [columnMajor = false]  If true, values are given column by column (as expected by CSS and WebGL), otherwise row by row.
+     * 
+     * @return {Float64Array}       4x4 matrix.
+     */
+    to4x4Array(columnMajor = false){
+        const m = this._matrix;
+        const matrix = new Float64Array([m[0], m[1], 0, m[2],
+                                         m[3], m[4], 0, m[5],
+                                         0,    0,    1, 0,
+                                         m[6], m[7], 0, m[8]]);
+        return columnMajor? transposeSquareMatrix(matrix, 4) : matrix;
+    }
+
+    /**
+     * Summary.                     Returns the transform as a column-major Float32Array, ready to be uploaded as a WebGL uniform (gl.uniformMatrix3fv or gl.uniformMatrix4fv).
+     * 
+     * @param {3|4}      [size = 3]  3 for a mat3 or 4 for a mat4.
+     * 
+     * @return {Float32Array}        Column-major matrix of 9 or 16 values.
+     */
+    toWebGL(size = 3){
+        switch(size){
+            case 3:
+                return new Float32Array(this.toArray(true));
+            case 4:
+                return new Float32Array(this.to4x4Array(true));
+            default:
+                throw new InvalidArgumentError(`WebGL matrices must be of size 3 or 4, but ${size} was given`, ErrorCodes.INVALID_OPTION);
+        }
+    }
+
+    /**
+     * Summary.                     Returns the transform as the value of an SVG "transform" attribute. Only Affine transforms can be expressed in SVG.
+     * 
+     * @param {Number}   [decimals = 5]  Amount of decimals of each value.
+     * 
+     * @return {String}              SVG transform in the form "matrix(a b c d e f)".
+     */
+    toSVGTransform(decimals = maxCSSDecimal){
+        if (!this.isAffine()){
+            throw new InvalidStateError("SVG transforms only accept Affine transforms", ErrorCodes.UNSUPPORTED_TRANSFORM);
+        }
+        return `matrix(${Array.from(this.toAffineArray(), value => value.toFixed(decimals)).join(' ')})`;
+    }
+
+    /**
+     * Summary.                     Returns the transform as a 3x3 matrix stored in the layout of OpenCV's FileStorage, so it can be read through cv::FileStorage or
+     *                              cv2.FileStorage and used with warpPerspective.
+     * 
+     * @param {"json"|"yaml"}  [format = "json"]        Format of the output.
+     * 
+     * @param {String}         [name = "homography"]    Name of the node containing the matrix.
+     * 
+     * @return {String}        Content of the JSON or YAML file.
+     */
+    toOpenCV(format = 'json', name = 'homography'){
+        const data = Array.from(this._matrix);
+        switch(format){
+            case 'json':
+                return JSON.stringify({[name] : {type_id : 'opencv-matrix', rows : 3, cols : 3, dt : 'd', data : data}}, null, 4);
+            case 'yaml':
+                return `%YAML:1.0\n---\n${name}: !!opencv-matrix\n   rows: 3\n   cols: 3\n   dt: d\n   data: [ ${data.join(', ')} ]\n`;
+            default:
+                throw new InvalidArgumentError(`OpenCV format must be "json" or "yaml", but "${format}" was given`, ErrorCodes.INVALID_OPTION);
+        }
+    }
+
+    /**
+     * Summary.                     Builds a TransformMatrix from a flat 3x3 or 4x4 matrix.
+     * 
+     * @param {ArrayBuffer|Array<Number>}   matrix                  Flat matrix of 9 or 16 values (4x4 matrices must keep the Z axis unchanged, as given by to4x4Array()).
+     * 
+     * @param {Boolean}                     [columnMajor = false]   If true, values are given column by column (as in WebGL and CSS), otherwise row by row.
+     * 
+     * @return {TransformMatrix}            Transform represented by the matrix.
+     */
+    static fromArray(matrix, columnMajor = false){
+        switch(matrix.length){
+            case 9:
+                return new TransformMatrix(columnMajor? transposeSquareMatrix(matrix, 3) : matrix);
+            case 16: {
+                const m = columnMajor? transposeSquareMatrix(matrix, 4) : matrix;
+                return new TransformMatrix([m[0], m[1], m[3],
+                                            m[4], m[5], m[7],
+                                            m[12], m[13], m[15]]);
+            }
+            default:
+                throw new InvalidArgumentError(`Matrix must have 9 (3x3) or 16 (4x4) values, but ${matrix.length} were given`, ErrorCodes.INVALID_MATRIX);
+        }
+    }
+
+    /**
+     * Summary.                     Builds a TransformMatrix from a matrix stored in the layout of OpenCV's FileStorage (JSON or YAML).
+     * 
+     * Description.                 It accepts 3x3 matrices (as given by findHomography or getPerspectiveTransform) and 2x3 matrices (as given by getAffineTransform or
+     *                              estimateAffine2D). If the file contains more than one node, the first matrix found is used.
+     * 
+     * @param {String|Object}  data     Content of the JSON or YAML file, or the already parsed JSON object.
+     * 
+     * @return {TransformMatrix}        Transform represented by the matrix.
+     */
+    static fromOpenCV(data){
+        let node = null;
+        if (typeof(data) === 'string' && !data.trim().startsWith('{')){
+            // YAML. Only the fields of the first "opencv-matrix" are needed
+            const yaml = data.slice(data.indexOf('!!opencv-matrix'));
+            const rows = yaml.match(/rows:\s*(\d+)/), cols = yaml.match(/cols:\s*(\d+)/), values = yaml.match(/data:\s*\[([^\]]*)\]/);
+            if (rows !== null && cols !== null && values !== null){
+                node = {rows : Number(rows[1]), cols : Number(cols[1]), data : values[1].split(',').map(Number)};
+            }
+        } else {
+            if (typeof(data) === 'string') data = JSON.parse(data);
+            node = data.type_id === 'opencv-matrix'? data : Object.values(data).find(value => value !== null && value.type_id === 'opencv-matrix');
+        }
+        if (!node){
+            throw new InvalidArgumentError("No OpenCV matrix was found in the given data", ErrorCodes.INVALID_MATRIX);
+        }
+        if (node.cols !== 3 || (node.rows !== 2 && node.rows !== 3) || node.data.length !== node.rows*node.cols){
+            throw new InvalidArgumentError(`OpenCV matrix must be 3x3 or 2x3, but a ${node.rows}x${node.cols} matrix was given`, ErrorCodes.INVALID_MATRIX);
+        }
+        return new TransformMatrix(node.rows === 3? node.data : [...node.data, 0, 0, 1]);
+    }
+
+    /**
+     * Summary.                     Returns the transform in the Affine format internally used by Homography ([a, b, c, d, e, f], where x' = a*x + c*y + e
+     *                              and y' = b*x + d*y + f).
+     * 
+     * @return {Float64Array}       Affine matrix of 6 values.
+     */
+    toAffineArray(){
+        if (!this.isAffine()){
+            throw new InvalidStateError("A Projective transform can not be expressed as an Affine matrix", ErrorCodes.UNSUPPORTED_TRANSFORM);
+        }
+        const m = this._matrix, w = m[8];
+        return new Float64Array([m[0]/w, m[3]/w, m[1]/w, m[4]/w, m[2]/w, m[5]/w]);
+    }
+
+    /**
+     * Summary.                     Returns the transform in the Projective format internally used by Homography (the 3x3 row-major matrix scaled so that
+     *                              its last element is 1, without this last element).
+     * 
+     * @return {Float64Array}       Projective matrix of 8 values.
+     */
+    toProjectiveArray(){
+        const w = this._matrix[8];
+        if (Math.abs(w) <= singularityTolerance*Math.max(...this._matrix.map(Math.abs))){
+            throw new InvalidStateError("Transform maps the origin to the infinity, so it can not be expressed as a Projective matrix of 8 values",
+                                        ErrorCodes.UNSUPPORTED_TRANSFORM);
+        }
+        return this._matrix.slice(0, 8).map(value => value/w);
+    }
+}
+
+export {Homography, TransformMatrix, HomographyError, InvalidArgumentError, DegenerateInputError, InvalidStateError, ErrorCodes}
+
+/*      ----------------------------------------------- AUXILIAR FUNCTIONS ---------------------------------------------------                   */
+/*      ---------------------------- These functions will be not accessible for the user -------------------------------------                   */
+
+//      ------------------------------------------------ Interpolation ------------------------------------------------------
+
+// Kernel samplers keep their own auxiliar memory, so they are built only once and shared by every warp
+const kernelSamplers = {bicubic : null, lanczos3 : null};
+
+/**
+ * Summary.                     PRIVATE AUXILIAR. Returns the function that samples the input image with the given interpolation.
+ * 
+ * Description.                 PRIVATE AUXILIAR. Samplers receive (image, width, height, x, y, output, outputIdx, border) and write the RGBA value of
+ *                              the input image at the (non integer) coordinate (x, y) in output[outputIdx : outputIdx+4]. Pixel centers are placed in
+ *                              integer coordinates (the same convention of the nearest neighbour rounding) and neighbours outside the image are
+ *                              taken following the border mode.
+ * 
+ * @param {"nearest"|"bilinear"|"bicubic"|"lanczos3"}  interpolation  Interpolation method.
+ * 
+ * @return {Function|null}      Sampler function, or null for "nearest", that is inlined in the warping loops for performance reasons.
+ */
+function getSampler(interpolation){
+    switch(interpolation){
+        case 'nearest':
+            return null;
+        case 'bilinear':
+            return sampleBilinear;
+        case 'bicubic':
+            if (kernelSamplers.bicubic === null) kernelSamplers.bicubic = createKernelSampler(cubicKernel, 2);
+            return kernelSamplers.bicubic;
+        case 'lanczos3':
+            if (kernelSamplers.lanczos3 === null) kernelSamplers.lanczos3 = createKernelSampler(lanczos3Kernel, 3);
+            return kernelSamplers.lanczos3;
+        default:
+            throw new InvalidArgumentError(`Interpolation "${interpolation}" is unknown. It must be one of ${availableInterpolations}`, ErrorCodes.INVALID_OPTION);
+    }
+}
+
+/**
+ * Summary.                     PRIVATE AUXILIAR. Samples the RGBA value of an image at a non integer coordinate through bilinear interpolation.
+ * 
+ * @param {Uint8ClampedArray}   image       Input image as a flat RGBA array.
+ * 
+ * @param {Number}              width       Width of the input image.
+ * 
+ * @param {Number}              height      Height of the input image.
+ * 
+ * @param {Number}              x           X coordinate to sample.
+ * 
+ * @param {Number}              y           Y coordinate to sample.
+ * 
+ * @param {Uint8ClampedArray}   output      Array where to write the sampled RGBA value.
+ * 
+ * @param {Number}              outputIdx   Position of output where to write the sampled value.
+ * 
+ * @param {{mode : String, color : Uint8ClampedArray}}  border  Border mode ("constant", "replicate", "reflect" or "wrap") and color of the "constant" mode.
+ * 
+ */
+function sampleBilinear(image, width, height, x, y, output, outputIdx, border){
+    const x0 = Math.floor(x), y0 = Math.floor(y);
+    const dx = x-x0, dy = y-y0;
+    const topLeft = borderPixelIndex(x0, y0, width, height, border.mode), topRight = borderPixelIndex(x0+1, y0, width, height, border.mode);
+    const bottomLeft = borderPixelIndex(x0, y0+1, width, height, border.mode), bottomRight = borderPixelIndex(x0+1, y0+1, width, height, border.mode);
+    const color = border.color;
+    for (let c = 0; c < 4; c++){
+        const topLeftValue = topLeft < 0? color[c] : image[topLeft+c], topRightValue = topRight < 0? color[c] : image[topRight+c];
+        const bottomLeftValue = bottomLeft < 0? color[c] : image[bottomLeft+c], bottomRightValue = bottomRight < 0? color[c] : image[bottomRight+c];
+        const topValue = topLeftValue + (topRightValue-topLeftValue)*dx;
+        const bottomValue = bottomLeftValue + (bottomRightValue-bottomLeftValue)*dx;
+        output[outputIdx+c] = topValue + (bottomValue-topValue)*dy;
+    }
+}
+
+/**
+ * Summary.                     PRIVATE AUXILIAR. Builds a sampler for a separable interpolation kernel (as bicubic or Lanczos).
+ * 
+ * Description.                 PRIVATE AUXILIAR. The weights of the (2*radius)x(2*radius) neighbourhood are normalized to sum 1, so flat regions
+ *                              keep their value. Weights are saved in memory allocated once, so sampling does not allocate any memory.
+ * 
+ * @param {Function}    kernel      One dimensional kernel, receiving the distance to the sampled coordinate.
+ * 
+ * @param {Number}      radius      Support of the kernel (it is 0 for distances larger than radius).
+ * 
+ * @return {Function}               Sampler with the same signature than sampleBilinear.
+ */
+function createKernelSampler(kernel, radius){
+    const size = radius*2;
+    const weightsX = new Float64Array(size), weightsY = new Float64Array(size);
+    return function(image, width, height, x, y, output, outputIdx, border){
+        const firstX = Math.floor(x)-radius+1, firstY = Math.floor(y)-radius+1;
+        let sumX = 0, sumY = 0;
+        for (let i = 0; i < size; i++){
+            weightsX[i] = kernel(x-(firstX+i)); sumX += weightsX[i];
+            weightsY[i] = kernel(y-(firstY+i)); sumY += weightsY[i];
+        }
+        let r = 0, g = 0, b = 0, a = 0;
+        for (let j = 0; j < size; j++){
+            const weightY = weightsY[j]/(sumX*sumY);
+            for (let i = 0; i < size; i++){
+                const idx = borderPixelIndex(firstX+i, firstY+j, width, height, border.mode);
+                const weight = weightsX[i]*weightY;
+                // Image (or the "constant" border color)
+                const pixels = idx < 0? border.color : image, offset = idx < 0? 0 : idx;
+                r += pixels[offset]*weight; g += pixels[offset+1]*weight;
+                b += pixels[offset+2]*weight; a += pixels[offset+3]*weight;
+            }
+        }
+        // Output is an Uint8ClampedArray, so overshoots of the negative lobes are clamped to [0, 255]
+        output[outputIdx] = r; output[outputIdx+1] = g; output[outputIdx+2] = b; output[outputIdx+3] = a;
+    }
+}
+
+/**
+ * Summary.                     PRIVATE AUXILIAR. Cubic convolution kernel of Keys (a = -0.5), used by the "bicubic" interpolation.
+ * 
+ * @param {Number}  t       Distance to the sampled coordinate.
+ * 
+ * @return {Number}         Weight of the pixel.
+ */
+function cubicKernel(t){
+    t = Math.abs(t);
+    if (t < 1) return (1.5*t - 2.5)*t*t + 1;
+    if (t < 2) return ((-0.5*t + 2.5)*t - 4)*t + 2;
+    return 0;
+}
+
+/**
+ * Summary.                     PRIVATE AUXILIAR. Lanczos kernel of three lobes, used by the "lanczos3" interpolation.
+ * 
+ * @param {Number}  t       Distance to the sampled coordinate.
+ * 
+ * @return {Number}         Weight of the pixel.
+ */
+function lanczos3Kernel(t){
+    if (t === 0) return 1;
+    if (t <= -3 || t >= 3) return 0;
+    const piT = Math.PI*t;
+    return 3*Math.sin(piT)*Math.sin(piT/3)/(piT*piT);
+}
+
+/**
+ * Summary.                     PRIVATE AUXILIAR. Returns the position in the flat RGBA array of the pixel (x, y), resolving the coordinates outside the image
+ *                              through the given border mode.
+ * 
+ * @param {Number}  x       X coordinate of the pixel (integer).
+ * 
+ * @param {Number}  y       Y coordinate of the pixel (integer).
+ * 
+ * @param {Number}  width   Width of the image.
+ * 
+ * @param {Number}  height  Height of the image.
+ * 
+ * @param {"constant"|"replicate"|"reflect"|"wrap"}  mode  Border mode.
+ * 
+ * @return {Number}         Position of the R channel of the pixel, or -1 if it takes the "constant" border color.
+ */
+function borderPixelIndex(x, y, width, height, mode){
+    if (x < 0 || x >= width || y < 0 || y >= height){
+        if (mode === 'constant') return -1;
+        x = borderCoordinate(x, width, mode);
+        y = borderCoordinate(y, height, mode);
+    }
+    return (y*width+x)<<2;
+}
+
+/**
+ * Summary.                     PRIVATE AUXILIAR. Takes a coordinate outside the range [0, size) back into it through the given border mode.
+ * 
+ * @param {Number}  coordinate  Integer coordinate.
+ * 
+ * @param {Number}  size        Size of the image in the axis of the coordinate.
+ * 
+ * @param {"replicate"|"reflect"|"wrap"}  mode  Border mode.
+ * 
+ * @return {Number}             Coordinate within [0, size).
+ */
+function borderCoordinate(coordinate, size, mode){
+    if (coordinate >= 0 && coordinate < size) return coordinate;
+    switch(mode){
+        case 'replicate':
+            return coordinate < 0? 0 : size-1;
+        case 'reflect': {
+            // Mirror including the edge pixel (fedcba|abcdef|fedcba), so the period is twice the size
+            const period = size*2;
+            coordinate = ((coordinate % period) + period) % period;
+            return coordinate < size? coordinate : period-1-coordinate;
+        }
+        case 'wrap':
+            return ((coordinate % size) + size) % size;
+    }
+}
+
+/**
+ * Summary.                     PRIVATE AUXILIAR. Calculates the fraction of a sample that comes from inside the image.
+ * 
+ * Description.                 PRIVATE AUXILIAR. It is the overlap between the image and a pixel centered at the (non integer) coordinate (x, y), that
+ *                              is the same than the weight of the bilinear neighbours that fall inside the image.
+ * 
+ * @param {Number}              x           X coordinate of the sample.
+ * 
+ * @param {Number}              y           Y coordinate of the sample.
+ * 
+ * @param {Number}              width       Width of the image.
+ * 
+ * @param {Number}              height      Height of the image.
+ * 
+ * @return {Number}             Coverage of the sample, from 0 to 1.
+ */
+function sampleCoverage(x, y, width, height){
+    const coverageX = Math.min(1, x+1, width-x), coverageY = Math.min(1, y+1, height-y);
+    return (coverageX > 0 && coverageY > 0)? coverageX*coverageY : 0;
+}
+
+//      ------------------------------------------------ Minification -------------------------------------------------------
+
+// Auxiliar memory for blending the two levels of the pyramid without allocating memory for each pixel
+const mipmapSamples = new Float32Array(8);
+
+/**
+ * Summary.                     PRIVATE AUXILIAR. Builds the mipmap pyramid of an image, halving its size (through a 2x2 box filter) until a single pixel is reached.
+ * 
+ * @param {Uint8ClampedArray}   image       Image as a flat RGBA array.
+ * 
+ * @param {Number}              width       Width of the image.
+ * 
+ * @param {Number}              height      Height of the image.
+ * 
+ * @return {Array<{data : Uint8ClampedArray, width : Number, height : Number}>}  Levels of the pyramid. The first one is the image itself.
+ */
+function buildMipmapPyramid(image, width, height){
+    const levels = [{data : image, width : width, height : height}];
+    while (width > 1 || height > 1){
+        const previous = levels[levels.length-1];
+        width = Math.max(1, Math.ceil(width/2)); height = Math.max(1, Math.ceil(height/2));
+        const data = new Uint8ClampedArray(width*height*4);
+        for (let y = 0; y < height; y++){
+            // Odd sizes repeat the last row or column of the previous level
+            const top = Math.min(y*2, previous.height-1)*previous.width, bottom = Math.min(y*2+1, previous.height-1)*previous.width;
+            for (let x = 0; x < width; x++){
+                const left = Math.min(x*2, previous.width-1), right = Math.min(x*2+1, previous.width-1);
+                const idx = (y*width+x)<<2;
+                for (let c = 0; c < 4; c++){
+                    data[idx+c] = (previous.data[((top+left)<<2)+c] + previous.data[((top+right)<<2)+c] +
+                                   previous.data[((bottom+left)<<2)+c] + previous.data[((bottom+right)<<2)+c])/4;
+                }
+            }
+        }
+        levels.push({data : data, width : width, height : height});
+    }
+    return levels;
+}
+
+/**
+ * Summary.                     PRIVATE AUXILIAR. Calculates the mipmap level of detail of the output pixel (x, y) from the Jacobian of the destiny to source transform.
+ * 
+ * Description.                 PRIVATE AUXILIAR. The Jacobian is approximated through the differences with the neighbour pixels to the right and below. The level of
+ *                              detail is the base 2 logarithm of the largest amount of source pixels covered by one output pixel, so it is 0 or negative when the
+ *                              image is not minified.
+ * 
+ * @param {Function}                    transformPoint  Function that applies the transform (applyAffineTransformToPoint or applyProjectiveTransformToPoint).
+ * 
+ * @param {ArrayBuffer|Array<Number>}   inverseMatrix   Destiny to source transform matrix.
+ * 
+ * @param {Number}                      x               X coordinate of the output pixel.
+ * 
+ * @param {Number}                      y               Y coordinate of the output pixel.
+ * 
+ * @return {Number}                     Level of detail.
+ */
+function levelOfDetail(transformPoint, inverseMatrix, x, y){
+    transformPoint(inverseMatrix, x, y, auxPoint);
+    const srcX = auxPoint[0], srcY = auxPoint[1];
+    transformPoint(inverseMatrix, x+1, y, auxPoint);
+    const rightX = auxPoint[0], rightY = auxPoint[1];
+    transformPoint(inverseMatrix, x, y+1, auxPoint);
+    const belowX = auxPoint[0], belowY = auxPoint[1];
+    const scale = Math.max((rightX-srcX)**2 + (rightY-srcY)**2, (belowX-srcX)**2 + (belowY-srcY)**2);
+    // log2(sqrt(scale))
+    return Math.log2(scale)/2;
+}
+
+/**
+ * Summary.                     PRIVATE AUXILIAR. Samples a mipmap pyramid through trilinear filtering (bilinear in the two closest levels, linearly blended).
+ * 
+ * @param {Array<Object>}       pyramid     Levels of the pyramid, as given by buildMipmapPyramid.
+ * 
+ * @param {Number}              x           X coordinate to sample, in pixels of the first level.
+ * 
+ * @param {Number}              y           Y coordinate to sample, in pixels of the first level.
+ * 
+ * @param {Number}              lod         Level of detail (positive).
+ * 
+ * @param {Uint8ClampedArray}   output      Array where to write the sampled RGBA value.
+ * 
+ * @param {Number}              outputIdx   Position of output where to write the sampled value.
+ * 
+ * @param {{mode : String, color : Uint8ClampedArray}}  border  Border mode and color of the "constant" mode.
+ * 
+ */
+function sampleMipmap(pyramid, x, y, lod, output, outputIdx, border){
+    lod = Math.min(lod, pyramid.length-1);
+    const lower = Math.floor(lod), weight = lod-lower;
+    const upper = Math.min(lower+1, pyramid.length-1);
+    // Pixel centers of level k are in the coordinates (i+0.5)*2^k-0.5 of the first level
+    const lowerScale = 2**lower, upperScale = 2**upper;
+    sampleBilinear(pyramid[lower].data, pyramid[lower].width, pyramid[lower].height, (x+0.5)/lowerScale-0.5, (y+0.5)/lowerScale-0.5, mipmapSamples, 0, border);
+    sampleBilinear(pyramid[upper].data, pyramid[upper].width, pyramid[upper].height, (x+0.5)/upperScale-0.5, (y+0.5)/upperScale-0.5, mipmapSamples, 4, border);
+    for (let c = 0; c < 4; c++){
+        output[outputIdx+c] = mipmapSamples[c] + (mipmapSamples[4+c]-mipmapSamples[c])*weight;
+    }
+}
+
+//      ------------------------------------------------ Compositing --------------------------------------------------------
+
+/**
+ * Summary.                     PRIVATE AUXILIAR. Composites an RGBA image over a region of a destination RGBA image, with the given blend mode.
+ * 
+ * Description.                 PRIVATE AUXILIAR. It applies the W3C separable blend modes, composited "source-over" with non premultiplied colors:
+ *                              resultAlpha = srcAlpha + dstAlpha*(1-srcAlpha) and
+ *                              resultColor = (srcAlpha*(1-dstAlpha)*src + srcAlpha*dstAlpha*blend(src, dst) + (1-srcAlpha)*dstAlpha*dst)/resultAlpha.
+ *                              Pixels of the source with alpha 0 are skipped, so they do not modify the destination.
+ * 
+ * @param {Uint8ClampedArray}   source          Image to composite, as a flat RGBA array.
+ * 
+ * @param {Number}              width           Width of the source image.
+ * 
+ * @param {Number}              height          Height of the source image.
+ * 
+ * @param {Uint8ClampedArray}   destination     Destination image, as a flat RGBA array. It is modified in place.
+ * 
+ * @param {Number}              destinationWidth  Width of the destination image.
+ * 
+ * @param {Number}              x               X coordinate of the destination where the top-left corner of the source is placed.
+ * 
+ * @param {Number}              y               Y coordinate of the destination where the top-left corner of the source is placed.
+ * 
+ * @param {"over"|"multiply"|"screen"|"add"}    blend       Blend mode.
+ * 
+ * @param {Number}              opacity         Global opacity of the source, from 0 to 1.
+ * 
+ */
+function compositeImage(source, width, height, destination, destinationWidth, x, y, blend, opacity){
+    const alphaScale = opacity/255;
+    for (let row = 0; row < height; row++){
+        let srcIdx = (row*width)<<2, dstIdx = ((y+row)*destinationWidth+x)<<2;
+        for (let col = 0; col < width; col++, srcIdx+=4, dstIdx+=4){
+            const srcAlpha = source[srcIdx+3]*alphaScale;
+            if (srcAlpha === 0) continue;
+            const dstAlpha = destination[dstIdx+3]/255;
+            const resultAlpha = srcAlpha + dstAlpha*(1-srcAlpha);
+            // Weights of the source color, the blended color and the destination color
+            const srcWeight = srcAlpha*(1-dstAlpha)/resultAlpha, blendWeight = srcAlpha*dstAlpha/resultAlpha, dstWeight = (1-srcAlpha)*dstAlpha/resultAlpha;
+            for (let c = 0; c < 3; c++){
+                const src = source[srcIdx+c], dst = destination[dstIdx+c];
+                let blended;
+                switch(blend){
+                    case 'over':
+                        blended = src;
+                        break;
+                    case 'multiply':
+                        blended = src*dst/255;
+                        break;
+                    case 'screen':
+                        blended = src + dst - src*dst/255;
+                        break;
+                    case 'add':
+                        blended = Math.min(src + dst, 255);
+                        break;
+                }
+                destination[dstIdx+c] = srcWeight*src + blendWeight*blended + dstWeight*dst;
+            }
+            destination[dstIdx+3] = resultAlpha*255;
+        }
+    }
+}
+
+//      ------------------------------------------------ Resizing -----------------------------------------------------------
+
+/**
+ * Summary.                     PRIVATE AUXILIAR. Resizes an RGBA image without using canvas, so images can be resized where there is no DOM (e.g. Node.js).
+ * 
+ * Description.                 PRIVATE AUXILIAR. It is separable, rows are resized first and then columns. Each axis uses a triangle (bilinear) filter whose
+ *                              support is widened by the reduction factor when downscaling, so every source pixel contributes to the output instead of being
+ *                              skipped. Colors are weighted by their alpha, so fully transparent pixels do not bleed their (meaningless) color on their neighbours.
+ * 
+ * @param {Uint8ClampedArray}   data        Flat RGBA image to resize.
+ * 
+ * @param {Number}              width       Width of the image.
+ * 
+ * @param {Number}              height      Height of the image.
+ * 
+ * @param {Number}              newWidth    Width of the resized image.
+ * 
+ * @param {Number}              newHeight   Height of the resized image.
+ * 
+ * @return {Uint8ClampedArray}              Flat RGBA resized image. It is the same data if the size does not change.
+ */
+function resizeRGBA(data, width, height, newWidth, newHeight){
+    if (width === newWidth && height === newHeight){
+        return data;
+    }
+    const horizontal = resizeWeights(width, newWidth);
+    const vertical = resizeWeights(height, newHeight);
+    // Resize each row, keeping the colors premultiplied by alpha
+    const rows = new Float32Array(newWidth*height*4);
+    for (let y = 0; y < height; y++){
+        const srcRowIdx = y*width*4, dstRowIdx = y*newWidth*4;
+        for (let x = 0; x < newWidth; x++){
+            let r = 0, g = 0, b = 0, a = 0;
+            for (let k = x*horizontal.taps; k < (x+1)*horizontal.taps; k++){
+                const idx = srcRowIdx+horizontal.indices[k]*4;
+                const alphaWeight = horizontal.weights[k]*data[idx+3];
+                r += data[idx]*alphaWeight; g += data[idx+1]*alphaWeight; b += data[idx+2]*alphaWeight; a += alphaWeight;
+            }
+            const idx = dstRowIdx+x*4;
+            rows[idx] = r; rows[idx+1] = g; rows[idx+2] = b; rows[idx+3] = a;
+        }
+    }
+    // Resize each column and undo the premultiplication
+    const output = new Uint8ClampedArray(newWidth*newHeight*4);
+    const rowLength = newWidth*4;
+    for (let y = 0; y < newHeight; y++){
+        for (let x = 0; x < newWidth; x++){
+            let r = 0, g = 0, b = 0, a = 0;
+            for (let k = y*vertical.taps; k < (y+1)*vertical.taps; k++){
+                const idx = vertical.indices[k]*rowLength+x*4, weight = vertical.weights[k];
+                r += rows[idx]*weight; g += rows[idx+1]*weight; b += rows[idx+2]*weight; a += rows[idx+3]*weight;
+            }
+            if (a > 0){
+                const idx = (y*newWidth+x)*4;
+                output[idx] = r/a; output[idx+1] = g/a; output[idx+2] = b/a; output[idx+3] = a;
+            }
+        }
+    }
+    return output;
+}
+
+/**
+ * Summary.                     PRIVATE AUXILIAR. Calculates the source positions and weights that contribute to each output position when resizing an axis.
+ * 
+ * Description.                 PRIVATE AUXILIAR. Pixel centers are aligned ((x+0.5)*scale-0.5) and positions outside the image replicate the edge. Every
+ *                              output position has the same amount of taps (the unused ones have weight 0), and their weights are normalized to sum 1.
+ * 
+ * @param {Number}      size        Original size of the axis.
+ * 
+ * @param {Number}      newSize     Resized size of the axis.
+ * 
+ * @return {Object}                 {indices, weights, taps}. Where indices (Int32Array) and weights (Float32Array) contain "taps" elements per output position.
+ */
+function resizeWeights(size, newSize){
+    const scale = size/newSize;
+    const support = Math.max(1, scale);
+    const taps = Math.ceil(2*support)+1;
+    const indices = new Int32Array(newSize*taps);
+    const weights = new Float32Array(newSize*taps);
+    for (let i = 0; i < newSize; i++){
+        const center = (i+0.5)*scale-0.5;
+        const first = Math.ceil(center-support);
+        let sum = 0;
+        for (let k = 0; k < taps; k++){
+            const position = first+k;
+            const weight = Math.max(0, 1-Math.abs(position-center)/support);
+            indices[i*taps+k] = Math.min(Math.max(position, 0), size-1);
+            weights[i*taps+k] = weight;
+            sum += weight;
+        }
+        for (let k = 0; k < taps; k++){
+            weights[i*taps+k] /= sum;
+        }
+    }
+    return {indices : indices, weights : weights, taps : taps};
+}
+
+//      ------------------------------------------------ WebAssembly --------------------------------------------------------
+
+// Exports of the kernels of HomographyWasm.js, compiled the first time that they are needed. False if WebAssembly is not available
+let wasmKernels = null;
+// Offsets (in bytes) of the data of the current warp in the WebAssembly memory, and the views used for copying it in and out.
+// Views are kept between warps, so warping again into the same buffers does not allocate memory. The image kept by keepImageInWasmHeap()
+// stays in memory (as residentImage) between warps, instead of being copied again
+const wasmHeap = {buffer : null, uint8 : null, int16 : null, int32 : null, float64 : null, outputView : null, maskView : null,
+                  matrices : 0, correspondences : 0, image : 0, output : 0, mask : 0, keptImage : null, residentImage : null};
+
+/**
+ * Summary.                     PRIVATE AUXILIAR. Returns the WebAssembly kernels if they can run the warp with the given options.
+ * 
+ * Description.                 PRIVATE AUXILIAR. The kernels implement the "nearest" interpolation with "transparent" border, without minification and
+ *                              with the "uint8" mask or no mask. They are compiled synchronously the first time (they are small enough for being compiled
+ *                              in the main thread of the browsers), with SIMD if the engine supports it. If WebAssembly is not available (or it is
+ *                              forbidden, as by some Content Security Policies) the JavaScript loops are used.
+ * 
+ * @param {WarpOptions}             options     Resolved warp options.
+ * 
+ * @param {Uint8Array|Float32Array|null}   mask  Mask buffer of the warp.
+ * 
+ * @return {Object|null}        Exports of the WebAssembly instance, or null if the warp must run in JavaScript.
+ */
+function getWasmKernels(options, mask){
+    if (options.backend !== 'auto' || options.interpolation !== 'nearest' || options.minification !== 'none' || options.border !== 'transparent' ||
+        mask instanceof Float32Array) return null;
+    if (wasmKernels === null){
+        wasmKernels = false;
+        if (typeof WebAssembly === 'object'){
+            for (const kernels of [simdKernels, scalarKernels]){
+                const binary = base64ToBytes(kernels);
+                if (WebAssembly.validate(binary)){
+                    try {
+                        wasmKernels = new WebAssembly.Instance(new WebAssembly.Module(binary)).exports;
+                    } catch (error){
+                        // Compilation is forbidden in this context
+                    }
+                    break;
+                }
+            }
+        }
+    }
+    return wasmKernels === false? null : wasmKernels;
+}
+
+/**
+ * Summary.                     PRIVATE AUXILIAR. Places the data of a warp in the WebAssembly memory, growing it if needed.
+ * 
+ * Description.                 PRIVATE AUXILIAR. Memory is laid out as [input image | matrices (f64) | triangle correspondences (i16 or i32) | output image | mask],
+ *                              each of them aligned to 16 bytes. The input image and the correspondences are copied, while the matrices must be written by
+ *                              the caller at heap.matrices. The input image is always at the start, so the one kept by keepImageInWasmHeap() is only copied
+ *                              by its first warp.
+ * 
+ * @param {Object}                  kernels             Exports of the WebAssembly instance.
+ * 
+ * @param {Uint8ClampedArray}       image               Input image as a flat RGBA array.
+ * 
+ * @param {Number}                  matricesLength      Amount of matrix values (f64) to reserve.
+ * 
+ * @param {Int16Array|Int32Array|null}  correspondences  Triangle of each pixel, for the piecewise warps. Null for the geometric ones.
+ * 
+ * @param {Number}                  width               Width of the output image.
+ * 
+ * @param {Number}                  height              Height of the output image.
+ * 
+ * @param {Uint8Array|null}         mask                Mask buffer of the warp. If null, no space is reserved for it.
+ * 
+ * @param {Boolean}                 clear               If true, the output image and the mask are cleared (forward warps only write the pixels they reach).
+ * 
+ * @return {Object|null}            The heap with the offsets of this warp, or null if the memory can not grow enough.
+ */
+function prepareWasmHeap(kernels, image, matricesLength, correspondences, width, height, mask, clear){
+    const pixels = width*height;
+    const matricesOffset = alignTo16(image.length);
+    const correspondencesOffset = alignTo16(matricesOffset + matricesLength*8);
+    const outputOffset = alignTo16(correspondencesOffset + (correspondences === null? 0 : correspondences.byteLength));
+    const maskOffset = alignTo16(outputOffset + pixels*4);
+    const end = maskOffset + (mask === null? 0 : pixels);
+    const memory = kernels.memory;
+    if (end > memory.buffer.byteLength){
+        try {
+            memory.grow(Math.ceil((end - memory.buffer.byteLength)/wasmPageSize));
+        } catch (error){
+            return null;
+        }
+    }
+    if (wasmHeap.buffer !== memory.buffer){
+        wasmHeap.buffer = memory.buffer;
+        wasmHeap.uint8 = new Uint8Array(memory.buffer);
+        wasmHeap.int16 = new Int16Array(memory.buffer);
+        wasmHeap.int32 = new Int32Array(memory.buffer);
+        wasmHeap.float64 = new Float64Array(memory.buffer);
+        wasmHeap.outputView = wasmHeap.maskView = null;
+    }
+    if (wasmHeap.outputView === null || wasmHeap.outputView.byteOffset !== outputOffset || wasmHeap.outputView.length !== pixels*4){
+        wasmHeap.outputView = new Uint8ClampedArray(memory.buffer, outputOffset, pixels*4);
+    }
+    if (mask !== null && (wasmHeap.maskView === null || wasmHeap.maskView.byteOffset !== maskOffset || wasmHeap.maskView.length !== pixels)){
+        wasmHeap.maskView = new Uint8Array(memory.buffer, maskOffset, pixels);
+    }
+    wasmHeap.image = 0, wasmHeap.matrices = matricesOffset, wasmHeap.correspondences = correspondencesOffset, wasmHeap.output = outputOffset;
+    // Offset 0 is never the one of the mask, so it means that there is no mask
+    wasmHeap.mask = mask === null? 0 : maskOffset;
+    if (wasmHeap.residentImage !== image){
+        wasmHeap.uint8.set(image, 0);
+        wasmHeap.residentImage = wasmHeap.keptImage === image? image : null;
+    }
+    if (correspondences instanceof Int32Array){
+        wasmHeap.int32.set(correspondences, correspondencesOffset>>2);
+    } else if (correspondences !== null){
+        wasmHeap.int16.set(correspondences, correspondencesOffset>>1);
+    }
+    if (clear){
+        wasmHeap.outputView.fill(0);
+        if (mask !== null) wasmHeap.maskView.fill(0);
+    }
+    return wasmHeap;
+}
+
+/**
+ * Summary.                     PRIVATE AUXILIAR. Keeps an input image in the WebAssembly memory between the next warps, so it is only copied by the first one.
+ * 
+ * Description.                 PRIVATE AUXILIAR. Used by the tiled warps, that warp the same image once per tile. The image must not change while it is kept.
+ * 
+ * @param {Uint8ClampedArray|null}  image   Image to keep. If null, the image of every warp is copied again.
+ */
+function keepImageInWasmHeap(image){
+    wasmHeap.keptImage = image;
+    wasmHeap.residentImage = null;
+}
+
+/**
+ * Summary.                     PRIVATE AUXILIAR. Writes a list of Affine matrices consecutively at heap.matrices.
+ * 
+ * @param {Object}                  heap                    Heap given by prepareWasmHeap().
+ * 
+ * @param {Array<Float64Array>}     matrices                Affine matrices (6 values each).
+ * 
+ * @param {Number}                  [count = matrices.length]   Amount of matrices to write.
+ */
+function copyMatricesToWasmHeap(heap, matrices, count = matrices.length){
+    for (let i = 0; i < count; i++){
+        heap.float64.set(matrices[i], (heap.matrices>>3)+i*6);
+    }
+}
+
+/**
+ * Summary.                     PRIVATE AUXILIAR. Copies the output image (and the mask) of a warp out of the WebAssembly memory.
+ * 
+ * @param {Object}              heap        Heap given by prepareWasmHeap().
+ * 
+ * @param {Uint8ClampedArray|null}  output  Buffer where to write the output. If null, a new one is allocated.
+ * 
+ * @param {Uint8Array|null}     mask        Buffer where to write the mask. If null, it is not copied.
+ * 
+ * @return {Uint8ClampedArray}  The output image.
+ */
+function readWasmHeap(heap, output, mask){
+    if (mask !== null) mask.set(heap.maskView);
+    if (output === null) return heap.outputView.slice();
+    output.set(heap.outputView);
+    return output;
+}
+
+/**
+ * Summary.                     PRIVATE AUXILIAR. Rounds up an offset to the next multiple of 16 bytes (the size of the SIMD vectors).
+ * 
+ * @param {Number}      offset  Offset in bytes.
+ * 
+ * @return {Number}             Aligned offset.
+ */
+function alignTo16(offset){
+    return (offset + 15) & ~15;
+}
+
+/**
+ * Summary.                     PRIVATE AUXILIAR. Decodes a base64 string.
+ * 
+ * @param {String}      base64  Base64 encoded data.
+ * 
+ * @return {Uint8Array}         Decoded bytes.
+ */
+function base64ToBytes(base64){
+    const binary = atob(base64);
+    const bytes = new Uint8Array(binary.length);
+    for (let i = 0; i < binary.length; i++){
+        bytes[i] = binary.charCodeAt(i);
+    }
+    return bytes;
+}
+
+//      ------------------------------------------------ Workers ------------------------------------------------------------
+
+// Promise of the Worker class of the platform (Web Worker in the browser, worker_threads in Node.js). It is only loaded when the first asynchronous warp is requested
+let workerConstructor = null;
+
+/**
+ * Summary.                     PRIVATE AUXILIAR. Returns true if SharedArrayBuffer can be sent to the workers (Node.js and cross-origin isolated pages).
+ * 
+ * @return {Boolean}            If shared memory is available.
+ */
+function sharedMemoryIsAvailable(){
+    return typeof SharedArrayBuffer !== 'undefined' && (typeof crossOriginIsolated === 'undefined' || crossOriginIsolated);
+}
+
+/**
+ * Summary.                     PRIVATE AUXILIAR. Returns the Worker class of the platform: the global Worker in the browser or the one of worker_threads in Node.js.
+ * 
+ * @return {Promise<Function>}  Promise of the Worker class.
+ */
+function getWorkerConstructor(){
+    if (workerConstructor === null){
+        workerConstructor = typeof Worker !== 'undefined'? Promise.resolve(Worker) : import('node:worker_threads').then(module => module.Worker);
+    }
+    return workerConstructor;
+}
+
+/**
+ * Class WarpWorkerPool. PRIVATE AUXILIAR. Pool of workers running HomographyWorker.js, where the bands of the asynchronous warps are queued.
+ * 
+ * Description.                 Each worker runs a single band at a time, so cancelling a band (terminating its worker) never affects the bands of other warps.
+ *                              Workers are started when needed up to "size", and in Node.js they do not keep the process alive while they are idle.
+ */
+class WarpWorkerPool {
+    /**
+     * @param {Promise<Function>}   workerConstructor   Promise of the Worker class of the platform. Bands are queued until it is loaded.
+     */
+    constructor(workerConstructor){
+        this._WorkerConstructor = null;
+        this._loadError = null;
+        workerConstructor.then(WorkerConstructor => {
+            this._WorkerConstructor = WorkerConstructor;
+            this._dispatch();
+        }, error => {
+            this._loadError = workerError(error);
+            for (const job of this._queue) this._settle(job, this._loadError);
+            this._queue = [];
+        });
+        this.size = 1;
+        this._workers = [];
+        this._idleWorkers = [];
+        this._queue = [];
+        // Band that each busy worker is running, and identifier of the last image that each worker received
+        this._running = new Map();
+        this._imageIds = new Map();
+    }
+
+    /**
+     * Summary.                     True if no band is running or waiting.
+     */
+    get isIdle(){
+        return this._queue.length === 0 && this._running.size === 0;
     }
 
     /**
-     * Summary.                     PRIVATE. AVOID TO USE IT. Destiny to source version of _geometricWarp(image).
-     * 
-     * Description.                 PRIVATE. AVOID TO USE IT. Applies an inverse Affine or Projective transform to the given image. This version have worse performance than
-     *                              than its forward version (_geometricWarp(image)), so it should be used only when this lose of performance is compensated. It is, when 
-     *                              output image is larger, so the Source to Destiny version would generate a sparse image, or when output image is shorter enough in comparison
-     *                              to the input image and therefore the additional overhead would be compensated by the lower amount of points to be calculated.  
+     * Summary.                     Queues a band for being warped by the first worker available.
      * 
-     * @param {Uint8ClampedArray}   image     Image to be transformed as Uint8ClampledArray. It will usually be the this._image property.
+     * @param {Object}              message     Message for HomographyWorker.js ({state, imageId, image, options, geometry}). The image is not sent to the workers
+     *                                          that already received the one with the same imageId.
      * 
-     * @return {Uint8ClampedArray}  Warped version of the input image. It will have a size of this._objectiveWidth*this.objectiveHeight*4 (RGBA channels).
+     * @param {AbortSignal|null}    signal      Signal that cancels the band.
      * 
+     * @return {Promise<{output : Uint8ClampedArray, mask : Uint8Array|Float32Array|null}>}    Promise of the warped band.
      */
-     _inverseGeometricWarp(image){
-        const srcRowLenght = this._width<<2;
-        const dstRowLenght = this._objectiveWidth<<2;
-        // output_img starts as a fully transparent image (the whole alpha channel is filled with 0).
-        let output_img = new Uint8ClampedArray(dstRowLenght*this._objectiveHeight);
-        // Calculate it in the opposite direction
-        this._putSrcAndDstPointsInSameRange();
-        const inverseTransformMatrix = calculateTransformMatrix(this.transform, this._dstPoints, this._srcPoints);
-        let transformPoint = getTransformFunction(this.transform);
-        // Track the full output image (going from _outputOffset to _objective+_outputOffset avoid white offsets)
-        for (let y = this._yOutputOffset; y < this._objectiveHeight+this._yOutputOffset; y++){
-            for (let x = this._xOutputOffset; x < this._objectiveWidth+this._xOutputOffset; x++){
-                    let [srcX, srcY] = transformPoint(inverseTransformMatrix, x, y);   
-                    //If point is inside source image
-                    if (srcX >= 0 && srcX < this._width && srcY >= 0 && srcY < this._height){
-                        //Get the index in the destiny domain
-                        const idx = ((y-this._yOutputOffset)*dstRowLenght)+((x-this._xOutputOffset)<<2);
-                        //Get the index of y, x coordinate in the output image ArrayBuffer
-                        const srcIdx = (Math.round(srcY)*srcRowLenght)+(Math.round(srcX)<<2);
-                        output_img[idx] = image[srcIdx], output_img[idx+1] = image[srcIdx+1],
-                        output_img[idx+2] = image[srcIdx+2], output_img[idx+3] = image[srcIdx+3];
-                    }
-                    // Anything outside it is kept as transparent background
-            }    
-        }    
-        return output_img;
+    run(message, signal){
+        return new Promise((resolve, reject) => {
+            if (this._loadError !== null) return reject(this._loadError);
+            const job = {message : message, resolve : resolve, reject : reject, signal : signal, onAbort : null};
+            if (signal !== null){
+                job.onAbort = () => this._cancel(job);
+                signal.addEventListener('abort', job.onAbort, {once : true});
+            }
+            this._queue.push(job);
+            this._dispatch();
+        });
     }
 
     /**
-     * Summary.                     PRIVATE. AVOID TO USE IT. Destiny to source version of _piecewiseAffinecWarp(image).
-     * 
-     * Description.                 PRIVATE. AVOID TO USE IT. Applies an inverse piecewise transform to the given image. This version have worse performance than
-     *                              than its forward version (_piecewiseAffineWarp(image)), so it should be used only when this lose of performance is compensated. It is, when 
-     *                              output image is larger, so the Source to Destiny version would generate a sparse image, or when output image is shorter enough in comparison
-     *                              to the input image and therefore the additional overhead of generating the parameters again as inverting the Affine matrices of each triangle
-     *                              would be compensated by the lower amount of points to be calculated.  
-     * 
-     * @param {Uint8ClampedArray}   image     Image to be transformed as Uint8ClampledArray. It will usually be the this._image property.
-     * 
-     * @return {Uint8ClampedArray}  Warped version of the input image. It will have a size of this._objectiveWidth*this.objectiveHeight*4 (RGBA channels).
+     * Summary.                     Terminates every worker, rejecting the bands that were running or waiting.
+     */
+    terminate(){
+        const error = new InvalidStateError("The workers were terminated", ErrorCodes.WORKERS_TERMINATED);
+        for (const job of [...this._queue, ...this._running.values()]) this._settle(job, error);
+        for (const worker of this._workers) worker.terminate();
+        this._workers = []; this._idleWorkers = []; this._queue = []; this._running.clear(); this._imageIds.clear();
+    }
+
+    /**
+     * Summary.                     PRIVATE. AVOID TO USE IT. Sends the waiting bands to the idle workers, starting new ones if the pool is not full.
+     */
+    _dispatch(){
+        if (this._WorkerConstructor === null) return;
+        while (this._queue.length > 0){
+            let worker = this._idleWorkers.pop();
+            if (worker === undefined){
+                if (this._workers.length >= this.size) return;
+                worker = this._startWorker();
+            }
+            const job = this._queue.shift();
+            this._running.set(worker, job);
+            if (typeof worker.ref === 'function') worker.ref();
+            // Each worker keeps the last image that it received
+            if (this._imageIds.get(worker) === job.message.imageId){
+                worker.postMessage({...job.message, image : null});
+            } else {
+                this._imageIds.set(worker, job.message.imageId);
+                worker.postMessage(job.message);
+            }
+        }
+    }
+
+    /**
+     * Summary.                     PRIVATE. AVOID TO USE IT. Starts a new worker and listens to its results.
      * 
+     * @return {Worker}             The new worker.
      */
-    _inversePiecewiseAffineWarp(image){
-        
-        const srcRowLenght = this._width<<2;
-        const dstRowLenght = this._objectiveWidth<<2;
-        const inverseTriangleCorrespondenceMatrix = this._buildInverseTrianglesCorrespondencesMatrix();
-        const triangleCorrespondenceMatrixWidth = this._objectiveWidth;
-        let inversePiecewiseMatrices = []
-        for (let i=0; i<this._piecewiseMatrices.length; i++){
-            inversePiecewiseMatrices.push(inverseAffineMatrix(this._piecewiseMatrices[i]));
+    _startWorker(){
+        const worker = new this._WorkerConstructor(new URL('./HomographyWorker.js', import.meta.url), {type : 'module'});
+        const onMessage = data => {
+            const job = this._running.get(worker);
+            // Results posted just before the worker was terminated (by terminate() or by a cancel) can still arrive
+            if (job === undefined) return;
+            this._running.delete(worker);
+            this._idleWorkers.push(worker);
+            if (typeof worker.unref === 'function') worker.unref();
+            this._settle(job, data.error === undefined? null : rebuildError(data.error), data);
+            this._dispatch();
+        };
+        const onError = error => {
+            const job = this._running.get(worker);
+            // Web Workers survive their uncaught errors, so they are terminated for not leaking them out of the pool
+            this._discardWorker(worker);
+            worker.terminate();
+            if (job !== undefined) this._settle(job, workerError(error));
+            this._dispatch();
+        };
+        if (typeof worker.on === 'function'){
+            worker.on('message', onMessage);
+            worker.on('error', onError);
+        } else {
+            worker.onmessage = event => onMessage(event.data);
+            // Workers whose module can not be loaded fire an error event without message
+            worker.onerror = event => { event.preventDefault(); onError(new Error(event.message || "HomographyWorker.js could not be loaded")); };
         }
-        // output_img starts as a fully transparent image (the whole alpha channel is filled with 0).
-        let output_img = new Uint8ClampedArray(dstRowLenght*this._objectiveHeight);
-       
-        for (let y = this._yOutputOffset; y < this._objectiveHeight+this._yOutputOffset; y++){
-            for (let x = this._xOutputOffset; x < this._objectiveWidth+this._xOutputOffset; x++){
-                const inTriangle = inverseTriangleCorrespondenceMatrix[(y-this._yOutputOffset)*triangleCorrespondenceMatrixWidth+(x-this._xOutputOffset)]
-                if (inTriangle >= 0){
-                    let [srcX, srcY] = applyAffineTransformToPoint(inversePiecewiseMatrices[inTriangle], x, y);
-                    if (srcX >= this._minSrcX && srcX < this._width+this._minSrcX && srcY >= this._minSrcY && srcY < this._height+this._minSrcY){
-                        srcX = Math.round(srcX); srcY = Math.round(srcY);
-                        const srcIdx = (srcY*srcRowLenght)+(srcX<<2);
-                        const dstIdx = ((y-this._yOutputOffset)*dstRowLenght)+((x-this._xOutputOffset)<<2);
-                        output_img[dstIdx] = image[srcIdx], output_img[dstIdx+1] = image[srcIdx+1],
-                        output_img[dstIdx+2] = image[srcIdx+2], output_img[dstIdx+3] = image[srcIdx+3];
-                    }
+        this._workers.push(worker);
+        return worker;
+    }
+
+    /**
+     * Summary.                     PRIVATE. AVOID TO USE IT. Cancels a band. If it is already running, its worker is terminated (and replaced when needed).
+     * 
+     * @param {Object}              job     Band to cancel.
+     */
+    _cancel(job){
+        const queued = this._queue.indexOf(job);
+        if (queued >= 0){
+            this._queue.splice(queued, 1);
+        } else {
+            for (const [worker, runningJob] of this._running){
+                if (runningJob === job){
+                    this._discardWorker(worker);
+                    worker.terminate();
+                    break;
                 }
-            }    
-        }    
-        return output_img;
+            }
+        }
+        this._settle(job, job.signal.reason);
+        this._dispatch();
     }
-    
+
     /**
-     * Summary.                     PRIVATE. AVOID TO USE IT. Transforms an HTMLImageElement in a flat Uint8ClampedArray of size this._width*this._height*4 (RGBA channels)
+     * Summary.                     PRIVATE. AVOID TO USE IT. Removes a worker from the pool.
      * 
-     * Description.                 PRIVATE. AVOID TO USE IT. In the process, the image is resized if this._width or this._height differs from the original image.width or
-     *                              image.height.
+     * @param {Worker}              worker  Worker to remove.
+     */
+    _discardWorker(worker){
+        this._running.delete(worker);
+        this._imageIds.delete(worker);
+        this._workers.splice(this._workers.indexOf(worker), 1);
+        const idle = this._idleWorkers.indexOf(worker);
+        if (idle >= 0) this._idleWorkers.splice(idle, 1);
+    }
+
+    /**
+     * Summary.                     PRIVATE. AVOID TO USE IT. Resolves or rejects the Promise of a band, only the first time it is called for it.
      * 
-     * @param {HTMLImageElement}    image  Image to be converted to Uint8ClampedArray flat format.
+     * @param {Object}              job         Band to settle.
      * 
-     * @return {Uint8ClampedArray}  Uint8ClampedArray of size this._width*this._height*4 (RGBA channels) containing the image.
+     * @param {Error|null}          error       Error for rejecting the band, or null for resolving it.
      * 
+     * @param {Object}              [result]    {output, mask} result of the band.
      */
-    _getImageAsRGBAArray(image){
-        this._hiddenCanvasContext.clearRect(0, 0, this._width, this._height);
-        this._hiddenCanvasContext.drawImage(image, 0, 0, this._width, this._height); //image.width, image.height);
-        const imageRGBA = this._hiddenCanvasContext.getImageData(0, 0, this._width, this._height);
-        return imageRGBA.data;
+    _settle(job, error, result = null){
+        if (job.resolve === null) return;
+        if (job.onAbort !== null) job.signal.removeEventListener('abort', job.onAbort);
+        if (error !== null) job.reject(error);
+        else job.resolve({output : result.output, mask : result.mask});
+        job.resolve = job.reject = null;
     }
-    
+}
 
+/**
+ * Summary.                     PRIVATE AUXILIAR. Describes the failure of a worker (as a worker module that can not be loaded) as an InvalidStateError.
+ * 
+ * @param {Error|*}             error   Error of the worker.
+ * 
+ * @return {InvalidStateError}          Error with the WORKER_FAILED code.
+ */
+function workerError(error){
+    return new InvalidStateError(`The worker of the asynchronous warp failed: ${error?.message ?? error}`, ErrorCodes.WORKER_FAILED);
 }
-export {Homography}
 
-/*      ----------------------------------------------- AUXILIAR FUNCTIONS ---------------------------------------------------                   */
-/*      ---------------------------- These functions will be not accessible for the user -------------------------------------                   */
+/**
+ * Summary.                     PRIVATE AUXILIAR. Rebuilds an error thrown inside a worker from its {name, message, code} description.
+ * 
+ * @param {Object}              description     {name, message, code} of the error.
+ * 
+ * @return {Error}                              HomographyError (of the same subclass) if it had a code, Error otherwise.
+ */
+function rebuildError({name, message, code}){
+    const HomographyErrors = {InvalidArgumentError, DegenerateInputError, InvalidStateError};
+    if (code === undefined) return new Error(message);
+    return new (HomographyErrors[name] ?? HomographyError)(message, code);
+}
 
 //      ------------------------------ To fill up the Piecewise Correspondence Matrix ----------------------------------------
 
+// Placeholder of the source triangles correspondence matrix while it is not built
+const unbuiltTrianglesCorrespondences = new Int16Array(0);
+
+/**
+ * Summary.                     PRIVATE AUXILIAR. Returns an array where to build a triangles correspondence matrix, reusing the given one if it fits.
+ * 
+ * Description.                 PRIVATE AUXILIAR. Triangle indices are kept as Int16Array while they fit in it, as it is the half of memory. Meshes of more
+ *                              triangles use an Int32Array, that holds any index.
+ * 
+ * @param {Int16Array|Int32Array|null}  array           Previous matrix. If it has the same length and type than the required one, it is returned.
+ * 
+ * @param {Number}                      length          Amount of elements of the matrix.
+ * 
+ * @param {Number}                      trianglesCount  Amount of triangles of the mesh.
+ * 
+ * @returns {Int16Array|Int32Array}     Array of the given length where to build the matrix.
+ */
+function trianglesCorrespondencesArray(array, length, trianglesCount){
+    const IndexArray = trianglesCount-1 > int16Max? Int32Array : Int16Array;
+    return array instanceof IndexArray && array.length === length? array : new IndexArray(length);
+}
+
 /**
  * Summary.                     PRIVATE AUXILIAR. Fills all the coordinates of the given "trianglesCorrespondencesMatrix" that belongs to the given "triangle" with the
  *                              value of "idx".
@@ -1109,10 +3792,11 @@ export {Homography}
  * 
  */
 function fillTriangle(triangle, idx, matrix_width, yOffset, trianglesCorrespondencesMatrix){
-    // Take the first point in Y that will belong to the given triangle
-    const minY = ~~Math.min(triangle[1], triangle[3], triangle[5]);
+    const matrixHeight = trianglesCorrespondencesMatrix.length/matrix_width;
+    // Take the first point in Y that will belong to the given triangle (parts of the triangle outside the matrix are clipped)
+    const minY = Math.max(~~Math.min(triangle[1], triangle[3], triangle[5]), yOffset);
     // Take the last point in Y that will belong to the given triangle
-    const maxY = Math.ceil(Math.max(triangle[1], triangle[3], triangle[5]));
+    const maxY = Math.min(Math.ceil(Math.max(triangle[1], triangle[3], triangle[5])), yOffset+matrixHeight);
     // Calculate the equation of the line for each segment of the triangle
     const segments = defineTriangleLineEquations(triangle);
     let xOrigin, xDestiny;
@@ -1120,8 +3804,9 @@ function fillTriangle(triangle, idx, matrix_width, yOffset, trianglesCorresponde
     for (let y = minY; y < maxY; y++){
         // Get the first and the last point where they intersect in X (inside the segment bounds)
         [xOrigin, xDestiny] = predictXLimits(segments, y);
+        xOrigin = Math.max(Math.round(xOrigin), 0); xDestiny = Math.min(Math.round(xDestiny), matrix_width);
         //Fill that subsection of the matrix with the given idx
-        trianglesCorrespondencesMatrix.fill(idx, (y-yOffset)*matrix_width + Math.round(xOrigin), (y-yOffset)*matrix_width + Math.round(xDestiny));
+        if (xOrigin < xDestiny) trianglesCorrespondencesMatrix.fill(idx, (y-yOffset)*matrix_width + xOrigin, (y-yOffset)*matrix_width + xDestiny);
     }
 }
 
@@ -1223,32 +3908,304 @@ function Delaunay(points){
  *                              maps the first set to second one.
  * 
  * Description.                 PRIVATE AUXILIAR. This function does not return the complete transform matrix for the projective case, but only the positions of it that are useful
- *                              for calculating transforms.
+ *                              for calculating transforms. When exactly three (Affine) or four (Projective) points are given the exact solution is calculated, while when more
+ *                              points are given, the one that best fits all of them is estimated.
  * 
- * @param {Transform}                   transform   String indicating the selected transform, that must be "affine" or "projecive".
+ * @param {Transform}                   transform   String indicating the selected transform, that must be "affine", "similarity", "rigid", "translation" or "projective".
  * 
- * @param {ArrayBuffer|Array<Number>}   srcPoints   Source reference points in the form [x1, y1, x2, y2, ..., xn, yn]. n must be 3 for Affine transforms or 4 for Projective.
+ * @param {ArrayBuffer|Array<Number>}   srcPoints   Source reference points in the form [x1, y1, x2, y2, ..., xn, yn]. n must be at least the minimum amount of points of
+ *                                                  the transform (3 for Affine, 2 for Similarity or Rigid, 1 for Translation and 4 for Projective).
  * 
  * @param {ArrayBuffer|Array<Number>}   dstPoints   Destiny reference points in the form [x1, y1, x2, y2, ..., xn, yn]. n must be the same as in srcPoints.
  * 
  * @returns {Float32Array}       A Float32Array containing the transform matrix that maps srcPoints to dstPoints. In the case of Projective transform it is not a 4x4 matrix, but an
- *                               Array of length 8 containing only the positions of it that are useful for calculating transforms.
+ *                               Array of length 8 containing only the positions of it that are useful for calculating transforms. Similarity, Rigid and Translation transforms
+ *                               are given as 2x3 Affine matrices.
  */
 function calculateTransformMatrix(transform, srcPoints, dstPoints){
     let matrix = null;
     switch(transform){
         case 'affine':
-            matrix = affineMatrixFromTriangles(srcPoints, dstPoints);
+            matrix = srcPoints.length === 3*dims? affineMatrixFromTriangles(srcPoints, dstPoints) : affineMatrixFromPoints(srcPoints, dstPoints);
+            break;
+        case 'similarity':
+        case 'rigid':
+            matrix = similarityMatrixFromPoints(srcPoints, dstPoints, transform === 'similarity');
+            break;
+        case 'translation':
+            matrix = translationMatrixFromPoints(srcPoints, dstPoints);
             break;
         case 'projective':
-            matrix = projectiveMatrixFromSquares(srcPoints, dstPoints);
+            matrix = srcPoints.length === 4*dims? projectiveMatrixFromSquares(srcPoints, dstPoints) : projectiveMatrixFromPoints(srcPoints, dstPoints);
             break;
         default:
-            throw(`${transform} transform does not exist`);
+            throw new InvalidArgumentError(`${transform} transform does not exist`, ErrorCodes.UNKNOWN_TRANSFORM);
     }
     return matrix;
 }
 
+/**
+ * Summary.                     PRIVATE AUXILIAR. Robustly estimates the Affine or Projective transform that maps srcPoints to dstPoints when some of the correspondences
+ *                              could be wrong, through RANSAC or MSAC.
+ * 
+ * Description.                 PRIVATE AUXILIAR. At each iteration, it estimates the exact transform from a random minimal sample of correspondences (3 for Affine,
+ *                              2 for Similarity or Rigid, 1 for Translation and 4 for Projective) and scores it over all the points. RANSAC scores by the amount of inliers, while MSAC scores by the sum of the squared
+ *                              errors truncated at threshold^2. The amount of iterations is adaptively reduced following the inlier ratio of the best model found and
+ *                              the confidence requested. Finally, the transform is estimated again (by least squares) with all the inliers of the best model and the
+ *                              inliers are recalculated with it.
+ * 
+ * @param {Transform}                   transform   String indicating the selected transform. Any of them except "auto" or "piecewiseaffine".
+ * 
+ * @param {ArrayBuffer|Array<Number>}   srcPoints   Source reference points in the form [x1, y1, x2, y2, ..., xn, yn].
+ * 
+ * @param {ArrayBuffer|Array<Number>}   dstPoints   Destiny reference points in the form [x1, y1, x2, y2, ..., xn, yn].
+ * 
+ * @param {RobustEstimationOptions}     options     Complete robust estimation options (without missing properties).
+ * 
+ * @param {Number}                      [errorScaleX = 1]   Scale to apply to the x component of the errors before comparing them with the threshold.
+ * 
+ * @param {Number}                      [errorScaleY = 1]   Scale to apply to the y component of the errors before comparing them with the threshold.
+ * 
+ * @returns {{matrix : Float32Array, inliers : Uint8Array, inlierCount : Number}}   The estimated matrix, the mask of inliers and the amount of them.
+ */
+function robustTransformMatrix(transform, srcPoints, dstPoints, options, errorScaleX = 1, errorScaleY = 1){
+    const n = srcPoints.length/dims;
+    const sampleSize = minimumPointsOfTransform[transform];
+    const squaredThreshold = options.threshold*options.threshold;
+    const transformPoint = getTransformFunction(transform);
+    const random = mulberry32(options.seed);
+    const sampleIdx = new Int32Array(sampleSize);
+    const srcSample = new Float32Array(sampleSize*dims), dstSample = new Float32Array(sampleSize*dims);
+    const errors = new Float64Array(n);
+    // Calculates the squared error of each point for the given matrix, saving it in errors.
+    const calculateErrors = (matrix) => {
+        for (let i = 0; i < n; i++){
+            const [x, y] = transformPoint(matrix, srcPoints[i*dims], srcPoints[i*dims+1]);
+            const dx = (x - dstPoints[i*dims])*errorScaleX, dy = (y - dstPoints[i*dims+1])*errorScaleY;
+            // NaN errors (points going to the infinity) are counted as outliers
+            errors[i] = dx*dx + dy*dy;
+            if (isNaN(errors[i])) errors[i] = Infinity;
+        }
+    };
+    let bestMatrix = null, bestInlierCount = 0, bestCost = Infinity;
+    let iterations = options.maxIterations;
+    if (n > sampleSize){
+        for (let iteration = 0; iteration < iterations; iteration++){
+            // Draw a minimal sample without repetitions
+            for (let i = 0; i < sampleSize; i++){
+                let idx;
+                do { idx = Math.floor(random()*n); } while (sampleIdx.subarray(0, i).includes(idx));
+                sampleIdx[i] = idx;
+                srcSample[i*dims] = srcPoints[idx*dims]; srcSample[i*dims+1] = srcPoints[idx*dims+1];
+                dstSample[i*dims] = dstPoints[idx*dims]; dstSample[i*dims+1] = dstPoints[idx*dims+1];
+            }
+            const matrix = calculateTransformMatrix(transform, srcSample, dstSample);
+            // Degenerated samples (as collinear points) produce non finite matrices
+            if (!matrix.every(Number.isFinite)) continue;
+            calculateErrors(matrix);
+            let inlierCount = 0, cost = 0;
+            for (let i = 0; i < n; i++){
+                if (errors[i] <= squaredThreshold){
+                    inlierCount++;
+                    cost += options.method === 'msac'? errors[i] : 0;
+                } else {
+                    cost += options.method === 'msac'? squaredThreshold : 0;
+                }
+            }
+            // RANSAC only compares the amount of inliers, MSAC the truncated cost
+            if (options.method === 'ransac'? inlierCount > bestInlierCount : cost < bestCost){
+                bestMatrix = matrix; bestInlierCount = inlierCount; bestCost = cost;
+                // Adapt the amount of iterations to the inlier ratio found
+                const outlierFreeSampleProbability = Math.pow(inlierCount/n, sampleSize);
+                if (outlierFreeSampleProbability >= 1){
+                    break;
+                } else if (outlierFreeSampleProbability > 0){
+                    const neededIterations = Math.ceil(Math.log(1-options.confidence)/Math.log(1-outlierFreeSampleProbability));
+                    iterations = Math.min(iterations, neededIterations);
+                }
+            }
+        }
+    }
+    // If no valid sample was found (or there were not more points than the minimum), just use all of them
+    if (bestMatrix === null){
+        bestMatrix = calculateTransformMatrix(transform, srcPoints, dstPoints);
+    } else if (bestInlierCount >= sampleSize){
+        // Refine the best model with all its inliers
+        calculateErrors(bestMatrix);
+        const inlierSrc = new Float32Array(bestInlierCount*dims), inlierDst = new Float32Array(bestInlierCount*dims);
+        for (let i = 0, j = 0; i < n; i++){
+            if (errors[i] <= squaredThreshold){
+                inlierSrc[j] = srcPoints[i*dims]; inlierSrc[j+1] = srcPoints[i*dims+1];
+                inlierDst[j] = dstPoints[i*dims]; inlierDst[j+1] = dstPoints[i*dims+1];
+                j+=dims;
+            }
+        }
+        const refinedMatrix = calculateTransformMatrix(transform, inlierSrc, inlierDst);
+        if (refinedMatrix.every(Number.isFinite)) bestMatrix = refinedMatrix;
+    }
+    // Calculate the final inliers with the final matrix
+    calculateErrors(bestMatrix);
+    const inliers = new Uint8Array(n);
+    let inlierCount = 0;
+    for (let i = 0; i < n; i++){
+        if (errors[i] <= squaredThreshold){
+            inliers[i] = 1;
+            inlierCount++;
+        }
+    }
+    return {matrix : bestMatrix, inliers : inliers, inlierCount : inlierCount};
+}
+
+/**
+ * Summary.                     PRIVATE AUXILIAR. Refines a Projective transform matrix through the Levenberg-Marquardt algorithm, minimizing the geometric reprojection
+ *                              error (or the symmetric transfer error) over its 8 parameters.
+ * 
+ * Description.                 PRIVATE AUXILIAR. Linear estimations (DLT) minimize an algebraic error, which is not the distance between the transformed
+ *                              source points and the destiny points, so they are biased when points are noisy. This function starts from the given linear estimation
+ *                              (or from previousMatrix if it already fits the points better) and minimizes the real geometric error. For numerical stability, the
+ *                              optimization is done over the matrix expressed in normalized coordinates (see similarityNormalizationParameters) while residuals are
+ *                              scaled back to the original units. The Jacobian is calculated through central finite differences, as it is only an 8 x 2n matrix.
+ * 
+ * @param {ArrayBuffer|Array<Number>}   matrix          Initial Projective transform matrix of length 8, usually the linear estimation.
+ * 
+ * @param {ArrayBuffer|Array<Number>}   srcPoints       Source reference points in the form [x1, y1, x2, y2, ..., xn, yn].
+ * 
+ * @param {ArrayBuffer|Array<Number>}   dstPoints       Destiny reference points in the form [x1, y1, x2, y2, ..., xn, yn].
+ * 
+ * @param {RefinementOptions}           options         Complete refinement options (without missing properties).
+ * 
+ * @param {Uint8Array}                  [mask]          Optional mask of the points to use (1) or to ignore (0). Usually the inliers of a robust estimation.
+ * 
+ * @param {ArrayBuffer|Array<Number>}   [previousMatrix] Optional alternative initial guess. It is used instead of matrix if its error is lower.
+ * 
+ * @returns {Float32Array}      The refined Projective transform matrix of length 8.
+ * 
+ */
+function refineProjectiveMatrix(matrix, srcPoints, dstPoints, options, mask = null, previousMatrix = null){
+    // Take only the points of the mask
+    if (mask !== null){
+        const selectedSrc = [], selectedDst = [];
+        for (let i = 0; i < mask.length; i++){
+            if (mask[i]){
+                selectedSrc.push(srcPoints[i*dims], srcPoints[i*dims+1]);
+                selectedDst.push(dstPoints[i*dims], dstPoints[i*dims+1]);
+            }
+        }
+        // With 4 points or less the transform is already exact (or undetermined)
+        if (selectedSrc.length <= 4*dims) return matrix;
+        srcPoints = selectedSrc; dstPoints = selectedDst;
+    }
+    const n = srcPoints.length/dims;
+    const srcNormalization = similarityNormalizationParameters(srcPoints), dstNormalization = similarityNormalizationParameters(dstPoints);
+    const [srcScale, srcTx, srcTy] = srcNormalization, [dstScale, dstTx, dstTy] = dstNormalization;
+    const src = new Float64Array(srcPoints.length), dst = new Float64Array(dstPoints.length);
+    for (let i = 0; i < srcPoints.length; i+=dims){
+        src[i] = srcPoints[i]*srcScale+srcTx; src[i+1] = srcPoints[i+1]*srcScale+srcTy;
+        dst[i] = dstPoints[i]*dstScale+dstTx; dst[i+1] = dstPoints[i+1]*dstScale+dstTy;
+    }
+    const residualsLength = (options.symmetric? 4 : 2)*n;
+    // Fills the residuals (in the original units) of the normalized matrix p. Returns the sum of their squares.
+    const calculateResiduals = (p, residuals) => {
+        const inverse = options.symmetric? inverseProjectiveMatrix(p) : null;
+        let cost = 0;
+        for (let i = 0, r = 0; i < src.length; i+=dims){
+            const [x, y] = applyProjectiveTransformToPoint(p, src[i], src[i+1]);
+            residuals[r++] = (x-dst[i])/dstScale; residuals[r++] = (y-dst[i+1])/dstScale;
+            if (options.symmetric){
+                const [invX, invY] = applyProjectiveTransformToPoint(inverse, dst[i], dst[i+1]);
+                residuals[r++] = (invX-src[i])/srcScale; residuals[r++] = (invY-src[i+1])/srcScale;
+            }
+        }
+        for (let r = 0; r < residualsLength; r++) cost += residuals[r]*residuals[r];
+        return isNaN(cost)? Infinity : cost;
+    };
+    let p = normalizeProjectiveMatrix(matrix, srcNormalization, dstNormalization);
+    const residuals = new Float64Array(residualsLength);
+    let cost = calculateResiduals(p, residuals);
+    if (previousMatrix !== null){
+        const previousP = normalizeProjectiveMatrix(previousMatrix, srcNormalization, dstNormalization);
+        const previousCost = calculateResiduals(previousP, residuals);
+        if (previousCost < cost){
+            p = previousP; cost = previousCost;
+        } else {
+            calculateResiduals(p, residuals);
+        }
+    }
+    const jacobian = new Float64Array(8*residualsLength);
+    const auxResiduals = new Float64Array(residualsLength), candidate = new Float64Array(8);
+    let lambda = 1e-3;
+    for (let iteration = 0; iteration < options.maxIterations && cost > 0; iteration++){
+        // Jacobian by central differences (parameters are around 1 in normalized coordinates)
+        for (let k = 0; k < 8; k++){
+            const step = 1e-6*Math.max(1, Math.abs(p[k]));
+            candidate.set(p); candidate[k] = p[k]+step;
+            calculateResiduals(candidate, auxResiduals);
+            for (let r = 0; r < residualsLength; r++) jacobian[k*residualsLength+r] = auxResiduals[r];
+            candidate[k] = p[k]-step;
+            calculateResiduals(candidate, auxResiduals);
+            for (let r = 0; r < residualsLength; r++) jacobian[k*residualsLength+r] = (jacobian[k*residualsLength+r]-auxResiduals[r])/(2*step);
+        }
+        // Normal equations J^T·J·delta = -J^T·r
+        const JtJ = [], Jtr = [];
+        for (let a = 0; a < 8; a++){
+            JtJ.push(new Array(8));
+            let sum = 0;
+            for (let r = 0; r < residualsLength; r++) sum += jacobian[a*residualsLength+r]*residuals[r];
+            Jtr.push(-sum);
+        }
+        for (let a = 0; a < 8; a++){
+            for (let b = 0; b <= a; b++){
+                let product = 0;
+                for (let r = 0; r < residualsLength; r++) product += jacobian[a*residualsLength+r]*jacobian[b*residualsLength+r];
+                JtJ[a][b] = JtJ[b][a] = product;
+            }
+        }
+        // Try increasing damping values until the cost decreases
+        let improved = false;
+        for (let attempt = 0; attempt < 10 && !improved; attempt++){
+            const damped = JtJ.map((row, a) => row.map((value, b) => a === b? value*(1+lambda) : value));
+            const delta = solve(damped, Jtr, true);
+            for (let k = 0; k < 8; k++) candidate[k] = p[k]+delta[k];
+            const candidateCost = calculateResiduals(candidate, auxResiduals);
+            if (candidateCost < cost){
+                improved = true;
+                const relativeImprovement = (cost-candidateCost)/cost;
+                p = Float64Array.from(candidate); cost = candidateCost;
+                residuals.set(auxResiduals);
+                lambda = Math.max(lambda/10, 1e-12);
+                // Converged
+                if (relativeImprovement < 1e-10) iteration = options.maxIterations;
+            } else {
+                lambda *= 10;
+            }
+        }
+        if (!improved) break;
+    }
+    return denormalizeProjectiveMatrix(p, srcNormalization, dstNormalization);
+}
+
+/**
+ * Summary.                     PRIVATE AUXILIAR. Builds a seeded pseudorandom number generator (Mulberry32).
+ * 
+ * Description.                 PRIVATE AUXILIAR. Math.random() can not be seeded, and robust estimation must be reproducible. Mulberry32 is tiny, fast and has
+ *                              a quality far beyond the needs of sampling correspondences.
+ * 
+ * @param {Number}      seed    Integer seed.
+ * 
+ * @returns {Function}          A function that returns a new pseudorandom number in [0, 1) each time it is called.
+ * 
+ */
+function mulberry32(seed){
+    let state = seed >>> 0;
+    return () => {
+        state = (state + 0x6D2B79F5) >>> 0;
+        let t = state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+}
+
 /**
  * Summary.                     PRIVATE AUXILIAR. Estimates the Affine transform matrix that maps from srcTriangle to dstTriangle, both given in the form [x1, y1, x2, y2, x3, y3].
  * 
@@ -1293,16 +4250,129 @@ function calculateTransformMatrix(transform, srcPoints, dstPoints){
         const invSrcE = (srcD * srcE - srcC * srcF) / -denominator;
         const invSrcF = (srcB * srcE - srcA * srcF) / denominator;
 
-        // Define the affineMatrix as the matrix multiplication of dstMatrix * srcMatrix'
-        const affineMatrix = new Float32Array([
-            (dstA * invSrcA) + (dstC * invSrcB), // a
-            (dstB * invSrcA) + (dstD * invSrcB), // b
-            (dstA * invSrcC) + (dstC * invSrcD), // c
-            (dstB * invSrcC) + (dstD * invSrcD), // d
-            (dstA * invSrcE) + (dstC * invSrcF) + dstE, //e
-            (dstB * invSrcE) + (dstD * invSrcF) + dstF  //f
-        ]);
-        return affineMatrix
+        // Define the affineMatrix as the matrix multiplication of dstMatrix * srcMatrix'
+        const affineMatrix = new Float32Array([
+            (dstA * invSrcA) + (dstC * invSrcB), // a
+            (dstB * invSrcA) + (dstD * invSrcB), // b
+            (dstA * invSrcC) + (dstC * invSrcD), // c
+            (dstB * invSrcC) + (dstD * invSrcD), // d
+            (dstA * invSrcE) + (dstC * invSrcF) + dstE, //e
+            (dstB * invSrcE) + (dstD * invSrcF) + dstF  //f
+        ]);
+        return affineMatrix
+}
+
+/**
+ * Summary.                     PRIVATE AUXILIAR. Estimates the Affine transform matrix that best maps from srcPoints to dstPoints, both given in the form
+ *                              [x1, y1, x2, y2, ..., xn, yn] with n >= 3.
+ * 
+ * Description.                 PRIVATE AUXILIAR. It solves the least squares problem through its normal equations. Points are centered on their centroids before
+ *                              accumulating them, what decouples the translation from the linear part and keeps the 2x2 systems well conditioned even for pixel coordinates.
+ *                              As x' and y' only depend on their own row of the matrix, both rows are solved independently with the same 2x2 system.
+ * 
+ * @param {ArrayBuffer|Array<Number>}   srcPoints   Source reference points in the form [x1, y1, x2, y2, ..., xn, yn].
+ * 
+ * @param {ArrayBuffer|Array<Number>}   dstPoints   Destiny reference points in the form [x1, y1, x2, y2, ..., xn, yn]. 
+ * 
+ * @returns {Float32Array}      A Float32Array representing the 2x3 transform matrix that best maps srcPoints to dstPoints.
+ * 
+ */
+function affineMatrixFromPoints(srcPoints, dstPoints){
+    const n = srcPoints.length/dims;
+    let srcMeanX = 0, srcMeanY = 0, dstMeanX = 0, dstMeanY = 0;
+    for (let i = 0; i < srcPoints.length; i+=dims){
+        srcMeanX += srcPoints[i]; srcMeanY += srcPoints[i+1];
+        dstMeanX += dstPoints[i]; dstMeanY += dstPoints[i+1];
+    }
+    srcMeanX /= n; srcMeanY /= n; dstMeanX /= n; dstMeanY /= n;
+    // Accumulate the sums of products of the centered coordinates
+    let Sxx = 0, Sxy = 0, Syy = 0, Sxu = 0, Syu = 0, Sxv = 0, Syv = 0;
+    for (let i = 0; i < srcPoints.length; i+=dims){
+        const x = srcPoints[i]-srcMeanX, y = srcPoints[i+1]-srcMeanY;
+        const u = dstPoints[i]-dstMeanX, v = dstPoints[i+1]-dstMeanY;
+        Sxx += x*x; Sxy += x*y; Syy += y*y;
+        Sxu += x*u; Syu += y*u; Sxv += x*v; Syv += y*v;
+    }
+    // Solve [[Sxx, Sxy], [Sxy, Syy]]·[a, c] = [Sxu, Syu] and [[Sxx, Sxy], [Sxy, Syy]]·[b, d] = [Sxv, Syv]
+    const denominator = Sxx*Syy - Sxy*Sxy;
+    const a = (Sxu*Syy - Syu*Sxy)/denominator;
+    const c = (Syu*Sxx - Sxu*Sxy)/denominator;
+    const b = (Sxv*Syy - Syv*Sxy)/denominator;
+    const d = (Syv*Sxx - Sxv*Sxy)/denominator;
+    return new Float32Array([a, b, c, d,
+                             dstMeanX - a*srcMeanX - c*srcMeanY, // e
+                             dstMeanY - b*srcMeanX - d*srcMeanY  // f
+                            ]);
+}
+
+/**
+ * Summary.                     PRIVATE AUXILIAR. Estimates the Similarity (rotation, uniform scale and translation) or the Rigid (rotation and translation) transform that
+ *                              best maps from srcPoints to dstPoints, both given in the form [x1, y1, x2, y2, ..., xn, yn] with n >= 2.
+ * 
+ * Description.                 PRIVATE AUXILIAR. It uses the closed form least squares solution (Umeyama). Once both sets are centered on their centroids, a similarity
+ *                              can be seen as the multiplication by a complex number (a + bi), whose least squares estimation only needs four sums. For the rigid case,
+ *                              only the angle of this complex number is kept (so the scale is forced to be 1).
+ * 
+ * @param {ArrayBuffer|Array<Number>}   srcPoints       Source reference points in the form [x1, y1, x2, y2, ..., xn, yn].
+ * 
+ * @param {ArrayBuffer|Array<Number>}   dstPoints       Destiny reference points in the form [x1, y1, x2, y2, ..., xn, yn]. 
+ * 
+ * @param {Boolean}                     [allowScale]    If true estimates a Similarity transform, if false a Rigid one.
+ * 
+ * @returns {Float32Array}      A Float32Array representing the 2x3 transform matrix that best maps srcPoints to dstPoints.
+ * 
+ */
+function similarityMatrixFromPoints(srcPoints, dstPoints, allowScale = true){
+    const n = srcPoints.length/dims;
+    let srcMeanX = 0, srcMeanY = 0, dstMeanX = 0, dstMeanY = 0;
+    for (let i = 0; i < srcPoints.length; i+=dims){
+        srcMeanX += srcPoints[i]; srcMeanY += srcPoints[i+1];
+        dstMeanX += dstPoints[i]; dstMeanY += dstPoints[i+1];
+    }
+    srcMeanX /= n; srcMeanY /= n; dstMeanX /= n; dstMeanY /= n;
+    // Accumulate the real and imaginary parts of sum(conj(src)·dst) and the squared norm of src
+    let real = 0, imaginary = 0, squaredNorm = 0;
+    for (let i = 0; i < srcPoints.length; i+=dims){
+        const x = srcPoints[i]-srcMeanX, y = srcPoints[i+1]-srcMeanY;
+        const u = dstPoints[i]-dstMeanX, v = dstPoints[i+1]-dstMeanY;
+        real += x*u + y*v;
+        imaginary += x*v - y*u;
+        squaredNorm += x*x + y*y;
+    }
+    let a, b;
+    if (allowScale){
+        a = real/squaredNorm; b = imaginary/squaredNorm;
+    } else {
+        const angle = Math.atan2(imaginary, real);
+        a = Math.cos(angle); b = Math.sin(angle);
+    }
+    // [[a, -b, tx], [b, a, ty]] following the [a, b, c, d, e, f] layout of the Affine matrices
+    return new Float32Array([a, b, -b, a,
+                             dstMeanX - a*srcMeanX + b*srcMeanY, // e
+                             dstMeanY - b*srcMeanX - a*srcMeanY  // f
+                            ]);
+}
+
+/**
+ * Summary.                     PRIVATE AUXILIAR. Estimates the Translation that best maps from srcPoints to dstPoints, both given in the form [x1, y1, x2, y2, ..., xn, yn].
+ * 
+ * Description.                 PRIVATE AUXILIAR. The least squares solution is just the difference between the centroids of both sets of points.
+ * 
+ * @param {ArrayBuffer|Array<Number>}   srcPoints   Source reference points in the form [x1, y1, x2, y2, ..., xn, yn].
+ * 
+ * @param {ArrayBuffer|Array<Number>}   dstPoints   Destiny reference points in the form [x1, y1, x2, y2, ..., xn, yn]. 
+ * 
+ * @returns {Float32Array}      A Float32Array representing the 2x3 transform matrix that best maps srcPoints to dstPoints.
+ * 
+ */
+function translationMatrixFromPoints(srcPoints, dstPoints){
+    const n = srcPoints.length/dims;
+    let tx = 0, ty = 0;
+    for (let i = 0; i < srcPoints.length; i+=dims){
+        tx += dstPoints[i]-srcPoints[i];
+        ty += dstPoints[i+1]-srcPoints[i+1];
+    }
+    return new Float32Array([1, 0, 0, 1, tx/n, ty/n]);
 }
 
 /**
@@ -1332,6 +4402,204 @@ function projectiveMatrixFromSquares(srcSquare, dstSquare){
      return H;
 }
 
+/**
+ * Summary.                     PRIVATE AUXILIAR. Estimates the Projective transform matrix that best maps from srcPoints to dstPoints, both given in the form
+ *                              [x1, y1, x2, y2, ..., xn, yn] with n >= 4.
+ * 
+ * Description.                 PRIVATE AUXILIAR. It implements the normalized Direct Linear Transform (DLT). Both sets of points are first translated to have their centroid
+ *                              at the origin and scaled to have a mean distance of sqrt(2) to it, as it makes the system well conditioned independently of the range of the
+ *                              input coordinates. Then, the 2n x 9 system A·h = 0 is built and its least squares solution (||h|| = 1) is found as the eigenvector of A^T·A with
+ *                              the smallest eigenvalue. A^T·A is accumulated directly (9x9) so no memory depending on n is allocated. Finally the normalization is undone.
+ * 
+ * @param {ArrayBuffer|Array<Number>}   srcPoints   Source reference points in the form [x1, y1, x2, y2, ..., xn, yn].
+ * 
+ * @param {ArrayBuffer|Array<Number>}   dstPoints   Destiny reference points in the form [x1, y1, x2, y2, ..., xn, yn]. 
+ * 
+ * @returns {Float32Array}      A Float32Array of length 8 containing the positions of the Projective transform matrix that are useful for calculating transforms
+ *                              (the last one is always 1).
+ * 
+ */
+function projectiveMatrixFromPoints(srcPoints, dstPoints){
+    const [srcScale, srcTx, srcTy] = similarityNormalizationParameters(srcPoints);
+    const [dstScale, dstTx, dstTy] = similarityNormalizationParameters(dstPoints);
+    // Accumulate A^T·A, where each correspondence contributes with two rows of A
+    const AtA = new Float64Array(9*9);
+    const row1 = new Float64Array(9), row2 = new Float64Array(9);
+    for (let i = 0; i < srcPoints.length; i+=dims){
+        const x = srcPoints[i]*srcScale+srcTx, y = srcPoints[i+1]*srcScale+srcTy;
+        const u = dstPoints[i]*dstScale+dstTx, v = dstPoints[i+1]*dstScale+dstTy;
+        row1[0] = -x; row1[1] = -y; row1[2] = -1; row1[3] = 0; row1[4] = 0; row1[5] = 0; row1[6] = u*x; row1[7] = u*y; row1[8] = u;
+        row2[0] = 0; row2[1] = 0; row2[2] = 0; row2[3] = -x; row2[4] = -y; row2[5] = -1; row2[6] = v*x; row2[7] = v*y; row2[8] = v;
+        for (let r = 0; r < 9; r++){
+            for (let c = r; c < 9; c++){
+                AtA[r*9+c] += row1[r]*row1[c] + row2[r]*row2[c];
+            }
+        }
+    }
+    // Fill the lower triangle, as only the upper one was accumulated
+    for (let r = 1; r < 9; r++){
+        for (let c = 0; c < r; c++){
+            AtA[r*9+c] = AtA[c*9+r];
+        }
+    }
+    const Hn = smallestEigenvector(AtA, 9);
+    return denormalizeProjectiveMatrix(Hn, [srcScale, srcTx, srcTy], [dstScale, dstTx, dstTy]);
+}
+
+/**
+ * Summary.                     PRIVATE AUXILIAR. Expresses a Projective transform matrix of the original coordinates in the normalized coordinates given by
+ *                              similarityNormalizationParameters. It is, Hn = Tdst · H · Tsrc^-1.
+ * 
+ * @param {ArrayBuffer|Array<Number>}   matrix              Projective transform matrix of length 8 (or 9).
+ * 
+ * @param {Array<Number>}               srcNormalization    [scale, tx, ty] normalization of the source points.
+ * 
+ * @param {Array<Number>}               dstNormalization    [scale, tx, ty] normalization of the destiny points.
+ * 
+ * @returns {Float64Array}              The normalized Projective transform matrix, of length 8.
+ * 
+ */
+function normalizeProjectiveMatrix(matrix, [srcScale, srcTx, srcTy], [dstScale, dstTx, dstTy]){
+    const H = [matrix[0], matrix[1], matrix[2], matrix[3], matrix[4], matrix[5], matrix[6], matrix[7], matrix.length > 8? matrix[8] : 1];
+    // M = H · Tsrc^-1
+    const M = new Float64Array(9);
+    for (let r = 0; r < 3; r++){
+        M[r*3] = H[r*3]/srcScale;
+        M[r*3+1] = H[r*3+1]/srcScale;
+        M[r*3+2] = H[r*3+2] - (H[r*3]*srcTx + H[r*3+1]*srcTy)/srcScale;
+    }
+    // Hn = Tdst · M
+    const Hn = new Float64Array(9);
+    for (let c = 0; c < 3; c++){
+        Hn[c] = M[c]*dstScale + dstTx*M[6+c];
+        Hn[3+c] = M[3+c]*dstScale + dstTy*M[6+c];
+        Hn[6+c] = M[6+c];
+    }
+    return Hn.subarray(0, 8).map((value) => value/Hn[8]);
+}
+
+/**
+ * Summary.                     PRIVATE AUXILIAR. Inverse of normalizeProjectiveMatrix. Expresses a Projective transform matrix of normalized coordinates in the original
+ *                              coordinates. It is, H = Tdst^-1 · Hn · Tsrc.
+ * 
+ * @param {ArrayBuffer|Array<Number>}   matrix              Normalized Projective transform matrix of length 8 (or 9).
+ * 
+ * @param {Array<Number>}               srcNormalization    [scale, tx, ty] normalization of the source points.
+ * 
+ * @param {Array<Number>}               dstNormalization    [scale, tx, ty] normalization of the destiny points.
+ * 
+ * @returns {Float32Array}              The Projective transform matrix in the original coordinates, of length 8.
+ * 
+ */
+function denormalizeProjectiveMatrix(matrix, [srcScale, srcTx, srcTy], [dstScale, dstTx, dstTy]){
+    const Hn = [matrix[0], matrix[1], matrix[2], matrix[3], matrix[4], matrix[5], matrix[6], matrix[7], matrix.length > 8? matrix[8] : 1];
+    // M = Hn · Tsrc
+    const M = new Float64Array(9);
+    for (let r = 0; r < 3; r++){
+        M[r*3] = Hn[r*3]*srcScale;
+        M[r*3+1] = Hn[r*3+1]*srcScale;
+        M[r*3+2] = Hn[r*3]*srcTx + Hn[r*3+1]*srcTy + Hn[r*3+2];
+    }
+    // H = Tdst^-1 · M
+    const H = new Float64Array(9);
+    for (let c = 0; c < 3; c++){
+        H[c] = (M[c] - dstTx*M[6+c])/dstScale;
+        H[3+c] = (M[3+c] - dstTy*M[6+c])/dstScale;
+        H[6+c] = M[6+c];
+    }
+    return new Float32Array([H[0]/H[8], H[1]/H[8], H[2]/H[8], H[3]/H[8], H[4]/H[8], H[5]/H[8], H[6]/H[8], H[7]/H[8]]);
+}
+
+/**
+ * Summary.                     PRIVATE AUXILIAR. Calculates the isotropic scale and the translation that moves the centroid of the given points to the origin and sets their
+ *                              mean distance to it to sqrt(2).
+ * 
+ * Description.                 PRIVATE AUXILIAR. It is the normalization proposed by Hartley for the DLT algorithm. Normalized points are calculated as x' = x*scale + tx and
+ *                              y' = y*scale + ty. If all the points are the same, scale is set to 1 for avoiding a division by 0.
+ * 
+ * @param {ArrayBuffer|Array<Number>}   points      Points in the form [x1, y1, x2, y2, ..., xn, yn].
+ * 
+ * @returns {Array<Number>}             [scale, tx, ty]. The parameters of the normalization.
+ * 
+ */
+function similarityNormalizationParameters(points){
+    const n = points.length/dims;
+    let meanX = 0, meanY = 0;
+    for (let i = 0; i < points.length; i+=dims){
+        meanX += points[i]; meanY += points[i+1];
+    }
+    meanX /= n; meanY /= n;
+    let meanDistance = 0;
+    for (let i = 0; i < points.length; i+=dims){
+        meanDistance += Math.hypot(points[i]-meanX, points[i+1]-meanY);
+    }
+    meanDistance /= n;
+    const scale = meanDistance > 0? Math.SQRT2/meanDistance : 1;
+    return [scale, -meanX*scale, -meanY*scale];
+}
+
+/**
+ * Summary.                     PRIVATE AUXILIAR. Finds the eigenvector associated to the smallest eigenvalue of a symmetric matrix.
+ * 
+ * Description.                 PRIVATE AUXILIAR. It uses the cyclic Jacobi eigenvalue algorithm, that is simple, numerically stable and converges really fast for the
+ *                              small matrices (9x9) used in this file.
+ * 
+ * @param {Float64Array}    matrix  Flat representation of a symmetric n x n matrix. It is not modified.
+ * 
+ * @param {Number}          n       Size of the matrix.
+ * 
+ * @returns {Float64Array}  Unitary eigenvector of length n associated to the smallest eigenvalue.
+ * 
+ */
+function smallestEigenvector(matrix, n){
+    const A = Float64Array.from(matrix);
+    const V = new Float64Array(n*n);
+    for (let i = 0; i < n; i++) V[i*n+i] = 1;
+    for (let sweep = 0; sweep < 64; sweep++){
+        // Stop when the off diagonal elements are negligible with respect to the diagonal ones
+        let offDiagonal = 0, diagonal = 0;
+        for (let r = 0; r < n; r++){
+            diagonal += A[r*n+r]*A[r*n+r];
+            for (let c = r+1; c < n; c++) offDiagonal += A[r*n+c]*A[r*n+c];
+        }
+        if (offDiagonal <= 1e-30*diagonal) break;
+        for (let p = 0; p < n-1; p++){
+            for (let q = p+1; q < n; q++){
+                const Apq = A[p*n+q];
+                if (Apq === 0) continue;
+                // Calculate the rotation that vanishes A[p][q]
+                const theta = (A[q*n+q]-A[p*n+p])/(2*Apq);
+                const t = Math.sign(theta || 1)/(Math.abs(theta)+Math.sqrt(theta*theta+1));
+                const cos = 1/Math.sqrt(t*t+1), sin = t*cos;
+                // Apply it to the rows and columns p and q of A, and accumulate it in V
+                for (let k = 0; k < n; k++){
+                    const Akp = A[k*n+p], Akq = A[k*n+q];
+                    A[k*n+p] = cos*Akp - sin*Akq;
+                    A[k*n+q] = sin*Akp + cos*Akq;
+                }
+                for (let k = 0; k < n; k++){
+                    const Apk = A[p*n+k], Aqk = A[q*n+k];
+                    A[p*n+k] = cos*Apk - sin*Aqk;
+                    A[q*n+k] = sin*Apk + cos*Aqk;
+                }
+                for (let k = 0; k < n; k++){
+                    const Vkp = V[k*n+p], Vkq = V[k*n+q];
+                    V[k*n+p] = cos*Vkp - sin*Vkq;
+                    V[k*n+q] = sin*Vkp + cos*Vkq;
+                }
+            }
+        }
+    }
+    // Take the column of V corresponding to the smallest value of the diagonal
+    let minIdx = 0;
+    for (let i = 1; i < n; i++){
+        if (A[i*n+i] < A[minIdx*n+minIdx]) minIdx = i;
+    }
+    const eigenvector = new Float64Array(n);
+    for (let i = 0; i < n; i++) eigenvector[i] = V[i*n+minIdx];
+    return eigenvector;
+}
+
 /**
  * Summary.                     PRIVATE AUXILIAR. Invert a 3x2 affine matrix
  * 
@@ -1339,17 +4607,19 @@ function projectiveMatrixFromSquares(srcSquare, dstSquare){
  * 
  * @param {ArrayBuffer}   matrix    3x2 Affine transform matrix
  * 
+ * @param {Float32Array}  [invMatrix = null]  Buffer of length 6 where to write the inverse. If null, a new one is allocated.
+ * 
  * @returns {Float32Array}          The inverse of the input matrix.
  * 
  */
-function inverseAffineMatrix(matrix){
+function inverseAffineMatrix(matrix, invMatrix = null){
         const srcA = matrix[0];
         const srcB = matrix[1];
         const srcC = matrix[2];
         const srcD = matrix[3];
         const srcE = matrix[4];
         const srcF = matrix[5];
-        let invMatrix = new Float32Array(6)
+        if (invMatrix === null) invMatrix = new Float32Array(6);
         //Inverse the matrix
         const denominator = srcA * srcD - srcB * srcC;
         
@@ -1364,8 +4634,84 @@ function inverseAffineMatrix(matrix){
 
 }
 
+/**
+ * Summary.                     PRIVATE AUXILIAR. Invert a Projective transform matrix given in its reduced form of length 8.
+ * 
+ * Description.                 PRIVATE AUXILIAR. It calculates the adjugate of the 3x3 matrix and normalizes it for having a 1 in its last position. This function
+ *                              could produce a division by 0 if the matrix is singular.
+ * 
+ * @param {ArrayBuffer|Array<Number>}   matrix    Projective transform matrix of length 8 [a, b, c, d, e, f, g, h] (being the 3x3 matrix [[a, b, c], [d, e, f], [g, h, 1]]).
+ * 
+ * @param {Float32Array}                [invMatrix = null]  Buffer of length 8 where to write the inverse. If null, a new one is allocated.
+ * 
+ * @returns {Float32Array}              The inverse of the input matrix, in the same reduced form of length 8.
+ * 
+ */
+function inverseProjectiveMatrix(matrix, invMatrix = null){
+    const [a, b, c, d, e, f, g, h] = matrix;
+    // Adjugate matrix (the inverse up to the scale given by the determinant, that is removed later by the normalization)
+    const A = e - f*h, B = c*h - b, C = b*f - c*e;
+    const D = f*g - d, E = a - c*g, F = c*d - a*f;
+    const G = d*h - e*g, H = b*g - a*h, I = a*e - b*d;
+    if (invMatrix === null) invMatrix = new Float32Array(8);
+    invMatrix[0] = A/I; invMatrix[1] = B/I; invMatrix[2] = C/I; invMatrix[3] = D/I;
+    invMatrix[4] = E/I; invMatrix[5] = F/I; invMatrix[6] = G/I; invMatrix[7] = H/I;
+    return invMatrix;
+}
+
+/**
+ * Summary.                     PRIVATE AUXILIAR. Invert an Affine or a Projective transform matrix.
+ * 
+ * @param {ArrayBuffer|Array<Number>}   matrix    Affine (length 6) or Projective (length 8) transform matrix.
+ * 
+ * @param {Float32Array}                [invMatrix = null]  Buffer, with the same length than matrix, where to write the inverse. If null, a new one is allocated.
+ * 
+ * @returns {Float32Array}              The inverse of the input matrix, in the same form.
+ * 
+ */
+function inverseTransformMatrix(matrix, invMatrix = null){
+    switch(matrix.length){
+        case 6:
+            return inverseAffineMatrix(matrix, invMatrix);
+        case 8:
+            return inverseProjectiveMatrix(matrix, invMatrix);
+        default:
+            throw new InvalidArgumentError(`Transform matrix have an incorrect shape --> ${matrix.length}`, ErrorCodes.INVALID_MATRIX);
+    }
+}
+
 //               ------------------------------------- Transform singular points -------------------------------------------
 
+// Auxiliar memory for transforming points inside the warping loops without allocating a new array for each pixel
+const auxPoint = new Float64Array(2);
+
+// Auxiliar memory for the coefficients that the warping loops step along each row
+const auxScanline = new Float64Array(8);
+
+/**
+ * Summary.                     PRIVATE AUXILIAR. Reorders the coefficients of an Affine or Projective transform matrix for evaluating it incrementally along a row.
+ * 
+ * Description.                 PRIVATE AUXILIAR. Both transforms are written as x' = (ax*x + bx*y + cx) / (dx*x + dy*y + 1) and y' = (ay*x + by*y + cy) / (dx*x + dy*y + 1),
+ *                              with dx = dy = 0 for the Affine ones. So the warping loops calculate the numerators and the denominator once per row, for x = 0,
+ *                              and only add ax, ay and dx to them for each next pixel.
+ * 
+ * @param {ArrayBuffer}   matrix    3x2 Affine or 3x3 Projective transform matrix.
+ * 
+ * @returns {Float64Array}          [ax, bx, cx, ay, by, cy, dx, dy] coefficients. It is overwritten by the next call.
+ * 
+ */
+function scanlineCoefficients(matrix){
+    if (matrix.length === 6){
+        auxScanline[0] = matrix[0], auxScanline[1] = matrix[2], auxScanline[2] = matrix[4];
+        auxScanline[3] = matrix[1], auxScanline[4] = matrix[3], auxScanline[5] = matrix[5];
+        auxScanline[6] = 0, auxScanline[7] = 0;
+    } else {
+        auxScanline[0] = matrix[0], auxScanline[1] = matrix[1], auxScanline[2] = matrix[2];
+        auxScanline[3] = matrix[3], auxScanline[4] = matrix[4], auxScanline[5] = matrix[5];
+        auxScanline[6] = matrix[6], auxScanline[7] = matrix[7];
+    }
+    return auxScanline;
+}
 
 /**
  * Summary.                     PRIVATE AUXILIAR. Apply an Affine transform matrix over a point.
@@ -1376,12 +4722,19 @@ function inverseAffineMatrix(matrix){
  * 
  * @param {Number}        y         y coordinate of the point.
  * 
+ * @param {Float64Array}  [output = null]  Array of length 2 where to write the result, for avoiding to allocate a new one. If null, a new one is allocated.
+ * 
  * @returns {Array<Number>}         [x, y] array containing the transformed coordinates.
  * 
  */
-function applyAffineTransformToPoint(matrix, x, y){
-    return [(matrix[0] * x) + (matrix[2] * y) + matrix[4], //x
-            (matrix[1] * x) + (matrix[3] * y) + matrix[5]] //y
+function applyAffineTransformToPoint(matrix, x, y, output = null){
+    if (output === null){
+        return [(matrix[0] * x) + (matrix[2] * y) + matrix[4], //x
+                (matrix[1] * x) + (matrix[3] * y) + matrix[5]] //y
+    }
+    output[0] = (matrix[0] * x) + (matrix[2] * y) + matrix[4];
+    output[1] = (matrix[1] * x) + (matrix[3] * y) + matrix[5];
+    return output;
 }
 
 /**
@@ -1395,20 +4748,55 @@ function applyAffineTransformToPoint(matrix, x, y){
  * 
  * @param {Number}        y         y coordinate of the point.
  * 
+ * @param {Float64Array}  [output = null]  Array of length 2 where to write the result, for avoiding to allocate a new one. If null, a new one is allocated.
+ * 
  * @returns {Array<Number>}         [x, y] array containing the transformed coordinates.
  * 
  */
-function applyProjectiveTransformToPoint(matrix, x, y){
-    return [(matrix[0]*x + matrix[1]*y + matrix[2]) / (matrix[6]*x + matrix[7]*y + 1),   //x
-            (matrix[3]*x + matrix[4]*y + matrix[5]) / (matrix[6]*x + matrix[7]*y + 1)]; //y
+function applyProjectiveTransformToPoint(matrix, x, y, output = null){
+    if (output === null){
+        return [(matrix[0]*x + matrix[1]*y + matrix[2]) / (matrix[6]*x + matrix[7]*y + 1),   //x
+                (matrix[3]*x + matrix[4]*y + matrix[5]) / (matrix[6]*x + matrix[7]*y + 1)]; //y
+    }
+    const denominator = matrix[6]*x + matrix[7]*y + 1;
+    output[0] = (matrix[0]*x + matrix[1]*y + matrix[2]) / denominator;
+    output[1] = (matrix[3]*x + matrix[4]*y + matrix[5]) / denominator;
+    return output;
+}
+
+/**
+ * Summary.                     PRIVATE AUXILIAR. Calculates the squared distance between the i^{th} point of "fromPoints" once transformed and the i^{th} point of "toPoints".
+ * 
+ * @param {Function}                    transformPoint  Function that applies the transform (applyAffineTransformToPoint or applyProjectiveTransformToPoint).
+ * 
+ * @param {ArrayBuffer|Array<Number>}   matrix          Transform matrix to apply.
+ * 
+ * @param {ArrayBuffer|Array<Number>}   fromPoints      Points to transform in the form [x1, y1, x2, y2, ..., xn, yn].
+ * 
+ * @param {ArrayBuffer|Array<Number>}   toPoints        Expected points in the form [x1, y1, x2, y2, ..., xn, yn].
+ * 
+ * @param {Number}                      i               Index of the point to evaluate.
+ * 
+ * @param {Number}                      [scaleX = 1]    Scale to apply to the x component of the error (for expressing normalized errors in pixels).
+ * 
+ * @param {Number}                      [scaleY = 1]    Scale to apply to the y component of the error.
+ * 
+ * @returns {Number}            The squared transfer error of the point.
+ * 
+ */
+function squaredTransferError(transformPoint, matrix, fromPoints, toPoints, i, scaleX = 1, scaleY = 1){
+    const [x, y] = transformPoint(matrix, fromPoints[i*dims], fromPoints[i*dims+1]);
+    const dx = (x-toPoints[i*dims])*scaleX, dy = (y-toPoints[i*dims+1])*scaleY;
+    return dx*dx + dy*dy;
 }
 
 /**
  * Summary.                     PRIVATE AUXILIAR. Returns the callback that must be used for applying the given transform to a point
  * 
- * Description.                 PRIVATE AUXILIAR. It will return one of both applyAffineTransformToPoint or applyProjectiveTransformToPoint.
+ * Description.                 PRIVATE AUXILIAR. It will return one of both applyAffineTransformToPoint (for "affine", "similarity", "rigid" and "translation") or
+ *                              applyProjectiveTransformToPoint (for "projective").
  * 
- * @param {"affine"|"projective"}     transform    Transform to be applied. One of "affine" or "projective".
+ * @param {Transform}                 transform    Transform to be applied. Any of them except "auto" or "piecewiseaffine".
  * 
  * @returns {Function}                Function to be applied. This function will always receive as parameters (matrix, x, y).
  * 
@@ -1416,11 +4804,14 @@ function applyProjectiveTransformToPoint(matrix, x, y){
 function getTransformFunction(transform){
     switch(transform){
         case 'affine':
+        case 'similarity':
+        case 'rigid':
+        case 'translation':
             return applyAffineTransformToPoint;
         case 'projective':
             return applyProjectiveTransformToPoint;
         default:
-            throw(`${transform} transform does not exist`);
+            throw new InvalidArgumentError(`${transform} transform does not exist`, ErrorCodes.UNKNOWN_TRANSFORM);
     }
 }
 
@@ -1431,47 +4822,67 @@ function getTransformFunction(transform){
  *                              if "auto" is selected.
  * 
  * Description.                 PRIVATE AUXILIAR. It must be taken into account that, when "auto" transform is selected and just 4 points are given, the applicable transform could
- *                              be "projective" or "piecewiseaffine". In this case "projective" is selected by default as it is the most common use case. If the amount of points given
+ *                              be "projective" or "piecewiseaffine". In this case "projective" is selected by default as it is the most common use case. When just 2 points
+ *                              are given, "similarity" is selected, as it is the most general transform that they can determine. If the amount of points given
  *                              does not match with the selected transform, this function will throw an error.
  *  
- * @param {Transform}                   transform   Transform to be checked in the case of ("affine", "projective" or "piecewiseaffine"). In the case of "auto" the transform will be selected.
+ * @param {Transform}                   transform   Transform to be checked in the case of ("affine", "similarity", "rigid", "translation", "projective" or "piecewiseaffine").
+ *                                                  In the case of "auto" the transform will be selected.
  * 
  * @param {ArrayBuffer|Array<Number>}   points      Reference points in the form [x1, y1, x2, y2, ..., xn, yn]. 
  * 
- * @returns {Transform}         Input transform if "affine", "projective" or "piecewiseaffine" was given, or selected transform if "auto" was given.
+ * @returns {Transform}         Input transform if it was not "auto", or selected transform if "auto" was given.
  * 
  */
 function checkAndSelectTransform(transform, points){
 
     switch(transform){
         case 'auto': 
-            if (points.length === 3*dims) transform = 'affine';
+            if (points.length === 2*dims) transform = 'similarity';
+            else if (points.length === 3*dims) transform = 'affine';
             else if (points.length === 4*dims) transform = 'projective';
             else if (points.length > 4*dims) transform = 'piecewiseaffine';
-            else throw(`Transforms must contain at least 3 points but only ${points.length/dims} were given`);
+            else throw new InvalidArgumentError(`Transforms must contain at least 2 points but only ${points.length/dims} were given`, ErrorCodes.NOT_ENOUGH_POINTS);
             break;
         
         case 'piecewiseaffine':
             // If it have only 3 points it is an affine transform.
             if (points.length < 3*dims){
-                throw(`A piecewise (or affine) transform needs to determine least three reference points but only ${points.length/dims} were given`);
+                throw new InvalidArgumentError(`A piecewise (or affine) transform needs to determine least three reference points but only ${points.length/dims} were given`,
+                                               ErrorCodes.NOT_ENOUGH_POINTS);
             }
             // Correct
             break;
         case 'affine':
-            if (points.length !== 3*dims){
-                throw(`An affine transform needs to determine exactly three reference points but ${points.length/dims} were given`)
+            if (points.length < 3*dims){
+                throw new InvalidArgumentError(`An affine transform needs to determine at least three reference points but only ${points.length/dims} were given`,
+                                               ErrorCodes.NOT_ENOUGH_POINTS);
+            }
+            //Correct
+            break;
+        case 'similarity':
+        case 'rigid':
+            if (points.length < 2*dims){
+                throw new InvalidArgumentError(`A ${transform} transform needs to determine at least two reference points but only ${points.length/dims} were given`,
+                                               ErrorCodes.NOT_ENOUGH_POINTS);
+            }
+            //Correct
+            break;
+        case 'translation':
+            if (points.length < dims){
+                throw new InvalidArgumentError(`A translation transform needs to determine at least one reference point`, ErrorCodes.NOT_ENOUGH_POINTS);
             }
             //Correct
             break;
         case 'projective':
-            if (points.length !== 4*dims){
-                throw(`A projective transform needs to determine exactly four reference points but ${points.length/dims} were given`)
+            if (points.length < 4*dims){
+                throw new InvalidArgumentError(`A projective transform needs to determine at least four reference points but only ${points.length/dims} were given`,
+                                               ErrorCodes.NOT_ENOUGH_POINTS);
             }
             //Correct
             break;
         default:
-            throw(`Transform "${transform}" is unknown`)
+            throw new InvalidArgumentError(`Transform "${transform}" is unknown`, ErrorCodes.UNKNOWN_TRANSFORM);
     }
     /*if (transform === 'piecewiseaffine'){
         throw("You are executing a lightweight version with no dependencies that can not perform Piecewise Affine transforms, if you need to perform them"+
@@ -1481,8 +4892,276 @@ function checkAndSelectTransform(transform, points){
 }
 
 
+/**
+ * Summary.                     PRIVATE AUXILIAR. Verifies that a flat array of points has an even length and only contains finite numbers.
+ * 
+ * @param {ArrayBuffer|Array<Number>}   points      Points in the form [x1, y1, x2, y2, ..., xn, yn].
+ * 
+ * @param {String}                      name        Name of the points ("Source" or "Destiny") for the error messages.
+ * 
+ */
+function checkPointsArray(points, name){
+    if (points.length % dims !== 0){
+        throw new InvalidArgumentError(`${name} points must be 2D points, but an array of ${points.length} coordinates was given`, ErrorCodes.INVALID_POINTS);
+    }
+    for (let i = 0; i < points.length; i++){
+        if (!Number.isFinite(points[i])){
+            throw new DegenerateInputError(`${name} point ${Math.floor(i/dims)} is not finite (${points[i]})`, ErrorCodes.NON_FINITE_POINTS);
+        }
+    }
+}
+
+/**
+ * Summary.                     PRIVATE AUXILIAR. Verifies that the robust estimation options are valid, so a wrong value can not silently accept every point.
+ * 
+ * @param {RobustEstimationOptions}     options     Complete robust estimation options (without missing properties).
+ * 
+ */
+function checkRobustEstimationOptions({method, threshold, maxIterations, confidence, seed}){
+    if (!availableRobustMethods.includes(method)){
+        throw new InvalidArgumentError(`Robust estimation method "${method}" is unknown. It must be one of ${availableRobustMethods}`, ErrorCodes.INVALID_OPTION);
+    }
+    if (!(typeof threshold === 'number' && Number.isFinite(threshold) && threshold > 0)){
+        throw new InvalidArgumentError(`Robust estimation threshold must be a positive number, but ${threshold} was given`, ErrorCodes.INVALID_OPTION);
+    }
+    if (!(Number.isInteger(maxIterations) && maxIterations >= 1)){
+        throw new InvalidArgumentError(`Robust estimation maxIterations must be a positive integer, but ${maxIterations} was given`, ErrorCodes.INVALID_OPTION);
+    }
+    if (!(typeof confidence === 'number' && confidence > 0 && confidence <= 1)){
+        throw new InvalidArgumentError(`Robust estimation confidence must be a number in (0, 1], but ${confidence} was given`, ErrorCodes.INVALID_OPTION);
+    }
+    if (!Number.isInteger(seed)){
+        throw new InvalidArgumentError(`Robust estimation seed must be an integer, but ${seed} was given`, ErrorCodes.INVALID_OPTION);
+    }
+}
+
+/**
+ * Summary.                     PRIVATE AUXILIAR. Verifies that the refinement option is valid, so a wrong value can not silently skip the refinement.
+ * 
+ * @param {RefinementOptions|Boolean|null}  refine  Refinement option as given to setOptions().
+ * 
+ */
+function checkRefinementOptions(refine){
+    if (refine === null || typeof refine === 'boolean') return;
+    if (typeof refine !== 'object' || Array.isArray(refine)){
+        throw new InvalidArgumentError(`Refinement options must be an object, a boolean or null, but ${refine} was given`, ErrorCodes.INVALID_OPTION);
+    }
+    for (const key of Object.keys(refine)){
+        if (!(key in defaultRefinementOptions)){
+            throw new InvalidArgumentError(`Refinement option "${key}" is unknown. It must be one of ${Object.keys(defaultRefinementOptions)}`, ErrorCodes.INVALID_OPTION);
+        }
+    }
+    const {maxIterations, symmetric, warmStart} = {...defaultRefinementOptions, ...refine};
+    if (!(Number.isInteger(maxIterations) && maxIterations >= 1)){
+        throw new InvalidArgumentError(`Refinement maxIterations must be a positive integer, but ${maxIterations} was given`, ErrorCodes.INVALID_OPTION);
+    }
+    if (typeof symmetric !== 'boolean' || typeof warmStart !== 'boolean'){
+        throw new InvalidArgumentError(`Refinement symmetric and warmStart must be booleans, but ${symmetric} and ${warmStart} were given`, ErrorCodes.INVALID_OPTION);
+    }
+}
+
+/**
+ * Summary.                     PRIVATE AUXILIAR. Verifies that a set of source points can determine the given transform.
+ * 
+ * Description.                 PRIVATE AUXILIAR. It detects duplicated points (that make the triangulation and the exact estimations degenerated) and collinear
+ *                              configurations: all points in the same line for "affine" and "piecewiseaffine" (and "projective"), or any three of them in the same line
+ *                              for "projective" transforms determined by exactly four points. Duplicates are found by sorting, so it is O(n log n) even for large meshes.
+ * 
+ * @param {Transform}                   transform   Selected transform (not "auto").
+ * 
+ * @param {ArrayBuffer|Array<Number>}   points      Points in the form [x1, y1, x2, y2, ..., xn, yn].
+ * 
+ */
+function checkPointsGeometry(transform, points){
+    const n = points.length/dims;
+    // Duplicated points
+    const order = Array.from({length : n}, (_, i) => i).sort((i, j) => (points[i*dims]-points[j*dims]) || (points[i*dims+1]-points[j*dims+1]));
+    for (let k = 1; k < n; k++){
+        const i = order[k-1], j = order[k];
+        if (points[i*dims] === points[j*dims] && points[i*dims+1] === points[j*dims+1]){
+            throw new DegenerateInputError(`Source points ${Math.min(i, j)} and ${Math.max(i, j)} are duplicated`, ErrorCodes.DUPLICATE_POINTS);
+        }
+    }
+    if (transform === 'translation' || transform === 'similarity' || transform === 'rigid') return;
+    // All points in the same line. It happens when the smallest eigenvalue of the covariance matrix is (relatively) 0.
+    let meanX = 0, meanY = 0;
+    for (let i = 0; i < points.length; i+=dims){
+        meanX += points[i]; meanY += points[i+1];
+    }
+    meanX /= n; meanY /= n;
+    let Sxx = 0, Sxy = 0, Syy = 0;
+    for (let i = 0; i < points.length; i+=dims){
+        const x = points[i]-meanX, y = points[i+1]-meanY;
+        Sxx += x*x; Sxy += x*y; Syy += y*y;
+    }
+    const halfTrace = (Sxx+Syy)/2, discriminant = Math.sqrt(((Sxx-Syy)/2)**2 + Sxy*Sxy);
+    if (halfTrace - discriminant <= collinearityTolerance*(halfTrace + discriminant)){
+        throw new DegenerateInputError(`All source points are collinear, so they can not determine the ${transform} transform`, ErrorCodes.COLLINEAR_POINTS);
+    }
+    // Exact projective transforms also need that no three points are collinear
+    if (transform === 'projective' && n === 4){
+        const squaredExtent = 4*(Sxx+Syy);
+        for (let a = 0; a < 4; a++){
+            for (let b = a+1; b < 4; b++){
+                for (let c = b+1; c < 4; c++){
+                    const cross = (points[b*dims]-points[a*dims])*(points[c*dims+1]-points[a*dims+1]) -
+                                  (points[b*dims+1]-points[a*dims+1])*(points[c*dims]-points[a*dims]);
+                    if (Math.abs(cross) <= Math.sqrt(collinearityTolerance)*squaredExtent){
+                        throw new DegenerateInputError(`Source points ${a}, ${b} and ${c} are collinear, so they can not determine a projective transform`,
+                                                       ErrorCodes.COLLINEAR_POINTS);
+                    }
+                }
+            }
+        }
+    }
+}
+
+/**
+ * Summary.                     PRIVATE AUXILIAR. Verifies that an estimated Affine or Projective transform matrix is finite and not singular.
+ * 
+ * Description.                 PRIVATE AUXILIAR. A singular matrix (for example, the one estimated when destiny points are collinear) collapses the image into a line
+ *                              and can not be inverted, so inverse warps would produce NaN coordinates.
+ * 
+ * @param {ArrayBuffer|Array<Number>}   matrix      Affine (length 6) or Projective (length 8) transform matrix.
+ * 
+ */
+function checkMatrixConditioning(matrix){
+    if (!matrix.every(Number.isFinite)){
+        throw new DegenerateInputError("The estimated transform matrix is not finite, reference points can not determine the transform", ErrorCodes.ILL_CONDITIONED);
+    }
+    if (matrixIsSingular(matrix)){
+        throw new DegenerateInputError("The estimated transform matrix is singular (destiny points are probably collinear or duplicated)", ErrorCodes.ILL_CONDITIONED);
+    }
+}
+
+/**
+ * Summary.                     PRIVATE AUXILIAR. Returns true if an Affine or Projective transform matrix is singular.
+ * 
+ * Description.                 PRIVATE AUXILIAR. The determinant is compared with the squared magnitude of the linear part of the matrix, so the check does not
+ *                              depend on the coordinates range (normalized or pixels) nor on the translation.
+ * 
+ * @param {ArrayBuffer|Array<Number>}   matrix      Affine (length 6) or Projective (length 8) transform matrix.
+ * 
+ * @return {Boolean}                                If the matrix is singular.
+ */
+function matrixIsSingular(matrix){
+    let determinant, magnitude;
+    if (matrix.length === 6){
+        determinant = matrix[0]*matrix[3] - matrix[1]*matrix[2];
+        magnitude = Math.max(Math.abs(matrix[0]), Math.abs(matrix[1]), Math.abs(matrix[2]), Math.abs(matrix[3]));
+    } else {
+        const [a, b, c, d, e, f, g, h] = matrix;
+        determinant = a*(e - f*h) - b*(d - f*g) + c*(d*h - e*g);
+        magnitude = Math.max(Math.abs(a), Math.abs(b), Math.abs(d), Math.abs(e));
+    }
+    return Math.abs(determinant) <= singularityTolerance*magnitude*magnitude;
+}
+
+/**
+ * Summary.                     PRIVATE AUXILIAR. Finds the triangle of a mesh that contains a given point.
+ * 
+ * Description.                 PRIVATE AUXILIAR. Uses the sign of the barycentric coordinates of the point. Points in the edges belong to the first triangle
+ *                              that contains them.
+ * 
+ * @param {ArrayBuffer}     points      Vertices of the mesh in the form [x1, y1, x2, y2, ..., xn, yn].
+ * 
+ * @param {ArrayBuffer}     triangles   Indexes of the vertices of each triangle in the form [t1a, t1b, t1c, t2a, ...] (as given by Delaunay).
+ * 
+ * @param {Number}          x           X coordinate of the point.
+ * 
+ * @param {Number}          y           Y coordinate of the point.
+ * 
+ * @return {Number}                     Index of the triangle containing the point, or -1 if it is outside the mesh.
+ */
+function findContainingTriangle(points, triangles, x, y){
+    // Small tolerance for not losing the points that lay in the edges due to rounding errors
+    const tolerance = -1e-7;
+    for (let i = 0; i < triangles.length; i+=3){
+        const ax = points[triangles[i]<<1], ay = points[(triangles[i]<<1)+1];
+        const bx = points[triangles[i+1]<<1], by = points[(triangles[i+1]<<1)+1];
+        const cx = points[triangles[i+2]<<1], cy = points[(triangles[i+2]<<1)+1];
+        const area = (bx-ax)*(cy-ay) - (by-ay)*(cx-ax);
+        if (area === 0) continue;
+        // Barycentric coordinates (scaled by the area) of the point
+        const u = ((bx-x)*(cy-y) - (by-y)*(cx-x))/area;
+        const v = ((cx-x)*(ay-y) - (cy-y)*(ax-x))/area;
+        if (u >= tolerance && v >= tolerance && 1-u-v >= tolerance) return i/3;
+    }
+    return -1;
+}
+
+/**
+ * Summary.                     PRIVATE AUXILIAR. Composes the placement of the output pixels in the destiny space with a destiny to source transform.
+ * 
+ * Description.                 PRIVATE AUXILIAR. As the placement is only an scale and a translation, the composition is directly written, without any
+ *                              intermediate matrix. The output can be the same buffer than inverseMatrix.
+ * 
+ * @param {Object}                      geometry            Output geometry, with the {scaleX, scaleY, originX, originY} that take output pixels to destiny coordinates.
+ * 
+ * @param {ArrayBuffer|Array<Number>}   inverseMatrix       Destiny to source Affine (length 6) or Projective (length 8) transform matrix.
+ * 
+ * @param {Float64Array}                [output = null]     Buffer, with the same length than inverseMatrix, where to write the result. If null, a new one is allocated.
+ * 
+ * @return {Float64Array}               Output pixels to source pixels transform matrix, with the same length than inverseMatrix.
+ */
+function outputToSourceMatrix(geometry, inverseMatrix, output = null){
+    const {scaleX, scaleY, originX, originY} = geometry;
+    if (output === null) output = new Float64Array(inverseMatrix.length);
+    if (inverseMatrix.length === 6){
+        const [a, b, c, d, e, f] = inverseMatrix;
+        output[0] = a*scaleX; output[1] = b*scaleX;
+        output[2] = c*scaleY; output[3] = d*scaleY;
+        output[4] = a*originX + c*originY + e; output[5] = b*originX + d*originY + f;
+    } else {
+        const [a, b, c, d, e, f, g, h] = inverseMatrix;
+        // Keep the reduced form, with a 1 in the last position of the 3x3 matrix
+        const w = g*originX + h*originY + 1;
+        output[0] = a*scaleX/w; output[1] = b*scaleY/w; output[2] = (a*originX + b*originY + c)/w;
+        output[3] = d*scaleX/w; output[4] = e*scaleY/w; output[5] = (d*originX + e*originY + f)/w;
+        output[6] = g*scaleX/w; output[7] = h*scaleY/w;
+    }
+    return output;
+}
+
 //               ------------------------------------- Utils -------------------------------------------
 
+/**
+ * Summary.                     PRIVATE AUXILIAR. Wraps a flat RGBA array as an ImageData, or as an {data, width, height} object where ImageData does not exist (e.g. Node.js).
+ * 
+ * @param {Uint8ClampedArray}   data    Flat RGBA image.
+ * 
+ * @param {Number}              width   Width of the image.
+ * 
+ * @param {Number}              height  Height of the image.
+ * 
+ * @return {ImageData|Object}           ImageData, or {data, width, height} object, containing the image.
+ */
+function createImageData(data, width, height){
+    if (typeof ImageData !== 'undefined'){
+        return new ImageData(data, width, height);
+    }
+    return {data : data, width : width, height : height};
+}
+
+/**
+ * Summary.                     PRIVATE AUXILIAR. Transposes a flat square matrix (swaps between row-major and column-major order).
+ * 
+ * @param {ArrayBuffer|Array<Number>}   matrix  Flat square matrix of size*size values.
+ * 
+ * @param {Number}                      size    Amount of rows (and columns) of the matrix.
+ * 
+ * @return {Float64Array}                       Transposed matrix.
+ */
+function transposeSquareMatrix(matrix, size){
+    const transposed = new Float64Array(size*size);
+    for (let row = 0; row < size; row++){
+        for (let col = 0; col < size; col++){
+            transposed[col*size+row] = matrix[row*size+col];
+        }
+    }
+    return transposed;
+}
+
 /**
  * Summary.                     PRIVATE AUXILIAR. Calculate the boundaries of the output image when applying an Affine or a Projective transformation on it.
  * 
@@ -1515,7 +5194,7 @@ function calculateTransformLimits(matrix, width, height){
         p0_1 = applyProjectiveTransformToPoint(matrix, width, 0);
         p1_1 = applyProjectiveTransformToPoint(matrix, width, height);
     } else {
-        throw(`Transform matrix have an incorrect shape --> ${matrix.length}`);
+        throw new InvalidArgumentError(`Transform matrix have an incorrect shape --> ${matrix.length}`, ErrorCodes.INVALID_MATRIX);
     }
     // It must check all the points in order to allow mirroring
     const xOutputOffset = Math.min(p0_0[0], p1_0[0], p0_1[0], p1_1[0]);
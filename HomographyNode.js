@@ -0,0 +1,158 @@
+/**
+ * @copyright Eric Cañas 2021.
+ * @author Eric Cañas <elcorreodeharu@gmail.com>
+ * @file HomographyNode.js. Node.js entry point of Homography.js. It exports everything from Homography.js together with the functions for
+ *       decoding PNG and JPEG images into the {data, width, height} RGBA form that Homography.setImage() consumes, and for encoding the
+ *       results of Homography.warp() back to PNG or JPEG. It is kept apart from Homography.js for not bringing the codecs to the browser.
+ */
+
+import { readFile, writeFile } from 'node:fs/promises';
+import { extname } from 'node:path';
+import { PNG } from 'pngjs';
+import jpeg from 'jpeg-js';
+import { InvalidArgumentError, ErrorCodes } from './Homography.js';
+
+export * from './Homography.js';
+
+/**
+ * Image formats that can be decoded and encoded
+ * @typedef {"png"|"jpeg"} ImageFormat
+ */
+
+const availableFormats = ['png', 'jpeg'];
+// File extensions of each format, for deciding the format when saving
+const formatsByExtension = {'.png' : 'png', '.jpg' : 'jpeg', '.jpeg' : 'jpeg'};
+// Signatures at the start of the files of each format, for deciding the format when loading
+const pngSignature = [0x89, 0x50, 0x4E, 0x47, 0x0D, 0x0A, 0x1A, 0x0A];
+const jpegSignature = [0xFF, 0xD8, 0xFF];
+// Limits for decoding JPEG images, wider than the jpeg-js defaults (100 Megapixels and 512MB) for allowing large scans
+const maxJPEGResolutionInMP = 500;
+const maxJPEGMemoryUsageInMB = 4096;
+
+/**
+ * Summary.                     Loads a PNG or JPEG image from a file or from its encoded bytes.
+ *
+ * Description.                 The format is detected from the content, not from the file extension. The result can be directly given to
+ *                              Homography.setImage(), Homography.setSourcePoints() or Homography.warp().
+ *
+ * @param {String|Uint8Array}   source  Path of the image file, or Buffer (or any Uint8Array) with the encoded image.
+ *
+ * @return {Promise<Object>}            Promise of an {data, width, height} object, where data is an Uint8ClampedArray with the RGBA values of the image.
+ */
+async function loadImage(source){
+    if (typeof source === 'string'){
+        source = await readFile(source);
+    }
+    return decodeImage(source);
+}
+
+/**
+ * Summary.                     Decodes a PNG or JPEG image from its encoded bytes.
+ *
+ * Description.                 The format is detected from the first bytes of the data. Images with less than 4 channels (grayscale, RGB or paletted)
+ *                              are expanded to RGBA.
+ *
+ * @param {Uint8Array}  buffer  Buffer (or any Uint8Array) with the encoded image.
+ *
+ * @return {Object}             {data, width, height} object, where data is an Uint8ClampedArray with the RGBA values of the image.
+ */
+function decodeImage(buffer){
+    if (!(buffer instanceof Uint8Array)){
+        throw new InvalidArgumentError("Encoded images must be given as a Buffer or an Uint8Array", ErrorCodes.UNSUPPORTED_FORMAT);
+    }
+    buffer = Buffer.from(buffer.buffer, buffer.byteOffset, buffer.byteLength);
+    let decoded;
+    if (startsWith(buffer, pngSignature)){
+        decoded = PNG.sync.read(buffer);
+    } else if (startsWith(buffer, jpegSignature)){
+        decoded = jpeg.decode(buffer, {useTArray : true, formatAsRGBA : true,
+                                       maxResolutionInMP : maxJPEGResolutionInMP, maxMemoryUsageInMB : maxJPEGMemoryUsageInMB});
+    } else {
+        throw new InvalidArgumentError("Only PNG and JPEG images can be decoded", ErrorCodes.UNSUPPORTED_FORMAT);
+    }
+    const data = new Uint8ClampedArray(decoded.data.buffer, decoded.data.byteOffset, decoded.data.byteLength);
+    return {data : data, width : decoded.width, height : decoded.height};
+}
+
+/**
+ * Summary.                     Encodes an RGBA image as PNG or JPEG.
+ *
+ * Description.                 JPEG does not support transparency, so the alpha channel is discarded when encoding to it (transparent pixels keep
+ *                              the color they have, usually black in the output of warp()).
+ *
+ * @param {ImageData|Object}    image               Image to encode. As the output of Homography.warp() or any {data, width, height} object with RGBA data.
+ *
+ * @param {ImageFormat}         [format = "png"]    Format of the encoded image.
+ *
+ * @param {Number}              [quality = 90]      Quality of the JPEG encoding, from 1 to 100. It is ignored for PNG.
+ *
+ * @return {Buffer}                                 Buffer with the encoded image.
+ */
+function encodeImage(image, format = 'png', quality = 90){
+    format = checkFormat(format);
+    const data = Buffer.from(image.data.buffer, image.data.byteOffset, image.data.byteLength);
+    if (format === 'png'){
+        return PNG.sync.write({data : data, width : image.width, height : image.height});
+    } else {
+        return jpeg.encode({data : data, width : image.width, height : image.height}, quality).data;
+    }
+}
+
+/**
+ * Summary.                     Encodes an RGBA image and writes it to a file.
+ *
+ * Description.                 The format is given by the extension of the path (".png", ".jpg" or ".jpeg") if it is not explicitly given.
+ *
+ * @param {ImageData|Object}    image           Image to save. As the output of Homography.warp() or any {data, width, height} object with RGBA data.
+ *
+ * @param {String}              path            Path of the file to write.
+ *
+ * @param {ImageFormat}         [format]        Format of the encoded image. If not given, it is taken from the extension of the path.
+ *
+ * @param {Number}              [quality = 90]  Quality of the JPEG encoding, from 1 to 100. It is ignored for PNG.
+ *
+ * @return {Promise<void>}                      Promise resolved when the file is written.
+ */
+async function saveImage(image, path, format = null, quality = 90){
+    if (format === null){
+        format = formatsByExtension[extname(path).toLowerCase()];
+        if (format === undefined){
+            throw new InvalidArgumentError(`Can not infer the format of "${path}". Use a .png, .jpg or .jpeg extension or give the format explicitly`,
+                                           ErrorCodes.UNSUPPORTED_FORMAT);
+        }
+    }
+    await writeFile(path, encodeImage(image, format, quality));
+}
+
+/**
+ * Summary.                     PRIVATE AUXILIAR. Verifies that the format can be encoded, accepting "jpg" as an alias of "jpeg".
+ *
+ * @param {String}      format  Format to check.
+ *
+ * @return {ImageFormat}        The format, in lowercase.
+ */
+function checkFormat(format){
+    format = format.toLowerCase();
+    if (format === 'jpg'){
+        format = 'jpeg';
+    }
+    if (!availableFormats.includes(format)){
+        throw new InvalidArgumentError(`Format "${format}" is not supported. Use one of: ${availableFormats}`, ErrorCodes.UNSUPPORTED_FORMAT);
+    }
+    return format;
+}
+
+/**
+ * Summary.                     PRIVATE AUXILIAR. Checks if the given bytes start with the given signature.
+ *
+ * @param {Uint8Array}      bytes       Bytes to check.
+ *
+ * @param {Array<Number>}   signature   Expected first bytes.
+ *
+ * @return {Boolean}                    True if bytes start with the signature.
+ */
+function startsWith(bytes, signature){
+    return bytes.length >= signature.length && signature.every((byte, i) => bytes[i] === byte);
+}
+
+export {loadImage, decodeImage, encodeImage, saveImage}
@@ -0,0 +1,12 @@
+/**
+ * @copyright Eric Cañas 2021.
+ * @author Eric Cañas <elcorreodeharu@gmail.com>
+ * @file HomographyWasm.js. GENERATED BY wasm/build.js, DO NOT EDIT. WebAssembly binaries (as base64) of the nearest neighbor warp kernels of
+ *       Homography.js, with SIMD and without it.
+ */
+
+const simdKernels = 'AGFzbQEAAAABPQRgC39/f39/f39/fHx/AGAQf39/f39/f39/f39/fHx/fwBgCX9/f39/f39/fwBgDH9/f39/f39/fHx/fwADBQQAAQIDBQMBAAEHZAUGbWVtb3J5AgANZ2VvbWV0cmljV2FycAAAE3BpZWNld2lzZUFmZmluZVdhcnAAARRpbnZlcnNlR2VvbWV0cmljV2FycAACGmludmVyc2VQaWVjZXdpc2VBZmZpbmVXYXJwAAMK8BEEvgMDGnwNfxB7IAcEQCAGKwMAIQsgBisDCCEMIAYrAxAhDSAGKwMYIQ4gBisDICEPIAYrAyghECAGKwMwIREgBisDOCESBSAGKwMAIQsgBisDECEMIAYrAyAhDSAGKwMIIQ4gBisDGCEPIAYrAyghEAsgBEECdLchIiAEIAVsQQJ0tyEjAkADQCAmIAJODQEgJrchFyAMIBeiIA2gIRMgDyAXoiAQoCEUIBIgF6JEAAAAAAAA8D+gIRVBACElAkADQCAlIAFODQEgEyEYIBQhGSAHBEAgEyAVoyEYIBQgFaMhGQsgEyALoCETIBQgDqAhFCAVIBGgIRUgACgCACEoIBggCKEhGCAZIAmhIRkgGJwhGiAaRAAAAAAAAPA/oCAaIBggGqFEAAAAAAAA4D9mGyEaIBmcIRsgG0QAAAAAAADwP6AgGyAZIBuhRAAAAAAAAOA/ZhshGyAbICKiIBpEAAAAAAAAEECioCEkICREAAAAAAAAAABmICQgI2NxBEAgJKohLiADIC5qICg2AgAgCgRAIAogLkECdWpB/wE6AAALCyAAQQRqIQAgJUEBaiElDAALCyAmQQFqISYMAAsLC9ADAxp8DX8QeyAEQQJ0tyEnIAQgBWxBAnS3IShBBEECIA8bITIgCSErAkADQCArIAtODQEgK7chHEF/ITAgCCEqAkADQCAqIApODQEgDwR/IAcoAgAFIAcuAQALIS8gL0EATgRAICq3IRsgLyAwRwRAIAYgL0EwbGohMSAxKwMAIRAgMSsDCCETIDErAxAhESAxKwMYIRQgMSsDICESIDErAyghFSAQIBuiIBEgHKKgIBKgIRggEyAboiAUIByioCAVoCEZIC8hMAsgGCEdIBkhHiAYIBCgIRggGSAToCEZICsgAWwgKmohMyAzQQBOIDMgASACbEhxBH8gACAzQQJ0aigCAAVBAAshLSAdIAyhIR0gHiANoSEeIB2cIR8gH0QAAAAAAADwP6AgHyAdIB+hRAAAAAAAAOA/ZhshHyAenCEgICBEAAAAAAAA8D+gICAgHiAgoUQAAAAAAADgP2YbISAgICAnoiAfRAAAAAAAABBAoqAhKSApRAAAAAAAAAAAZiApIChjcQRAICmqITMgAyAzaiAtNgIAIA4EQCAOIDNBAnVqQf8BOgAACwsFQX8hMAsgByAyaiEHICpBAWohKgwACwsgK0EBaiErDAALCwvrBgMafA1/EHsgBwRAIAYrAwAhCSAGKwMIIQogBisDECELIAYrAxghDCAGKwMgIQ0gBisDKCEOIAYrAzAhDyAGKwM4IRAFIAYrAwAhCSAGKwMQIQogBisDICELIAYrAwghDCAGKwMYIQ0gBisDKCEOCyAJ/RQhMCAM/RQhMSAP/RQhMkQAAAAAAAAAACEaRAAAAAAAAAAAIRsgAbchHCACtyEdIAFBAWu3IR4gAkEBa7chHyAa/RQhOiAb/RQhOyAc/RQhPCAd/RQhPSAe/RQhPiAf/RQhPyADIS0gCCEuAkADQCAkIAVODQEgJLchFSAKIBWiIAugIREgDSAVoiAOoCESIBAgFaJEAAAAAAAA8D+gIRMgEf0UIBEgCaD9IgEhMyAS/RQgEiAMoP0iASE0IBP9FCATIA+g/SIBITVBACEjAkADQCAjIARODQEgMyE2IDQhNyAHBEAgMyA1/fMBITYgNCA1/fMBITcLIDYgOv1MIDYgPP1J/U4gNyA7/UwgNyA9/Un9Tv1O/cQBISVBACEmQQAhJyAlBEAgNv11ITggOCA2IDj98QH9DAAAAAAAAOA/AAAAAAAA4D/9TP0MAAAAAAAA8D8AAAAAAADwP/1O/fAB/QwAAAAAAAAAAAAAAAAAAAAA/fcBID799gEhOCA3/XUhOSA5IDcgOf3xAf0MAAAAAAAA4D8AAAAAAADgP/1M/QwAAAAAAADwPwAAAAAAAPA//U798AH9DAAAAAAAAAAAAAAAAAAAAAD99wEgP/32ASE5ICVBAXEEfyAAIDn9IQBEAAAAAAAAAAClIB+kqiABbCA4/SEARAAAAAAAAAAApSAepKpqQQJ0aigCAAVBAAshJiAlQQJxBH8gACA5/SEBRAAAAAAAAAAApSAfpKogAWwgOP0hAUQAAAAAAAAAAKUgHqSqakECdGooAgAFQQALIScLIC0gI0ECdGohLCAsICY2AgAgCARAIC4gI2pB/wFBACAlQQFxGzoAAAsgI0EBaiAESARAICwgJzYCBCAIBEAgLiAjakH/AUEAICVBAnEbOgABCwsgMyAw/fABIDD98AEhMyA0IDH98AEgMf3wASE0IDUgMv3wASAy/fABITUgI0ECaiEjDAALCyAtIARBAnRqIS0gLiAEaiEuICRBAWohJAwACwsL7gMDGnwNfxB7QQRBAiALGyEuIAghHSAJIR4gAbcgCKAhHyACtyAJoCEgIAFBAWu3ISEgAkEBa7chIiADITAgCiExAkADQCAnIAVODQEgJ7chGEF/ISxBACEmAkADQCAmIARODQEgCwR/IAcoAgAFIAcuAQALIStBACEoICtBAE4EQCAmtyEXICsgLEcEQCAGICtBMGxqIS0gLSsDACEMIC0rAwghDyAtKwMQIQ0gLSsDGCEQIC0rAyAhDiAtKwMoIREgDCAXoiANIBiioCAOoCEUIA8gF6IgECAYoqAgEaAhFSArISwLIBQhGSAVIRogFCAMoCEUIBUgD6AhFSAZIB1mIBkgH2NxIBogHmYgGiAgY3FxISgFQX8hLAsgKARAIBmcIRsgG0QAAAAAAADwP6AgGyAZIBuhRAAAAAAAAOA/ZhshGyAanCEcIBxEAAAAAAAA8D+gIBwgGiAcoUQAAAAAAADgP2YbIRwgACAcRAAAAAAAAAAApSAipKogAWwgG0QAAAAAAAAAAKUgIaSqakECdGooAgAhKQVBACEpCyAwICZBAnRqICk2AgAgCgRAIDEgJmpB/wFBACAoGzoAAAsgByAuaiEHICZBAWohJgwACwsgMCAEQQJ0aiEwIDEgBGohMSAnQQFqIScMAAsLCw==';
+
+const scalarKernels = 'AGFzbQEAAAABPQRgC39/f39/f39/fHx/AGAQf39/f39/f39/f39/fHx/fwBgCX9/f39/f39/fwBgDH9/f39/f39/fHx/fwADBQQAAQIDBQMBAAEHZAUGbWVtb3J5AgANZ2VvbWV0cmljV2FycAAAE3BpZWNld2lzZUFmZmluZVdhcnAAARRpbnZlcnNlR2VvbWV0cmljV2FycAACGmludmVyc2VQaWVjZXdpc2VBZmZpbmVXYXJwAAMK/g4EvAMCGnwNfyAHBEAgBisDACELIAYrAwghDCAGKwMQIQ0gBisDGCEOIAYrAyAhDyAGKwMoIRAgBisDMCERIAYrAzghEgUgBisDACELIAYrAxAhDCAGKwMgIQ0gBisDCCEOIAYrAxghDyAGKwMoIRALIARBAnS3ISIgBCAFbEECdLchIwJAA0AgJiACTg0BICa3IRcgDCAXoiANoCETIA8gF6IgEKAhFCASIBeiRAAAAAAAAPA/oCEVQQAhJQJAA0AgJSABTg0BIBMhGCAUIRkgBwRAIBMgFaMhGCAUIBWjIRkLIBMgC6AhEyAUIA6gIRQgFSARoCEVIAAoAgAhKCAYIAihIRggGSAJoSEZIBicIRogGkQAAAAAAADwP6AgGiAYIBqhRAAAAAAAAOA/ZhshGiAZnCEbIBtEAAAAAAAA8D+gIBsgGSAboUQAAAAAAADgP2YbIRsgGyAioiAaRAAAAAAAABBAoqAhJCAkRAAAAAAAAAAAZiAkICNjcQRAICSqIS4gAyAuaiAoNgIAIAoEQCAKIC5BAnVqQf8BOgAACwsgAEEEaiEAICVBAWohJQwACwsgJkEBaiEmDAALCwvOAwIafA1/IARBAnS3IScgBCAFbEECdLchKEEEQQIgDxshMiAJISsCQANAICsgC04NASArtyEcQX8hMCAIISoCQANAICogCk4NASAPBH8gBygCAAUgBy4BAAshLyAvQQBOBEAgKrchGyAvIDBHBEAgBiAvQTBsaiExIDErAwAhECAxKwMIIRMgMSsDECERIDErAxghFCAxKwMgIRIgMSsDKCEVIBAgG6IgESAcoqAgEqAhGCATIBuiIBQgHKKgIBWgIRkgLyEwCyAYIR0gGSEeIBggEKAhGCAZIBOgIRkgKyABbCAqaiEzIDNBAE4gMyABIAJsSHEEfyAAIDNBAnRqKAIABUEACyEtIB0gDKEhHSAeIA2hIR4gHZwhHyAfRAAAAAAAAPA/oCAfIB0gH6FEAAAAAAAA4D9mGyEfIB6cISAgIEQAAAAAAADwP6AgICAeICChRAAAAAAAAOA/ZhshICAgICeiIB9EAAAAAAAAEECioCEpIClEAAAAAAAAAABmICkgKGNxBEAgKaohMyADIDNqIC02AgAgDgRAIA4gM0ECdWpB/wE6AAALCwVBfyEwCyAHIDJqIQcgKkEBaiEqDAALCyArQQFqISsMAAsLC/8DAhp8DX8gBwRAIAYrAwAhCSAGKwMIIQogBisDECELIAYrAxghDCAGKwMgIQ0gBisDKCEOIAYrAzAhDyAGKwM4IRAFIAYrAwAhCSAGKwMQIQogBisDICELIAYrAwghDCAGKwMYIQ0gBisDKCEOC0QAAAAAAAAAACEaRAAAAAAAAAAAIRsgAbchHCACtyEdIAFBAWu3IR4gAkEBa7chHyADIS0gCCEuAkADQCAkIAVODQEgJLchFSAKIBWiIAugIREgDSAVoiAOoCESIBAgFaJEAAAAAAAA8D+gIRNBACEjAkADQCAjIARODQEgESEWIBIhFyAHBEAgESAToyEWIBIgE6MhFwsgESAJoCERIBIgDKAhEiATIA+gIRMgFiAaZiAWIBxjcSAXIBtmIBcgHWNxcSElICUEQCAWnCEYIBhEAAAAAAAA8D+gIBggFiAYoUQAAAAAAADgP2YbIRggF5whGSAZRAAAAAAAAPA/oCAZIBcgGaFEAAAAAAAA4D9mGyEZIAAgGUQAAAAAAAAAAKUgH6SqIAFsIBhEAAAAAAAAAAClIB6kqmpBAnRqKAIAISYFQQAhJgsgLSAjQQJ0aiAmNgIAIAgEQCAuICNqQf8BQQAgJRs6AAALICNBAWohIwwACwsgLSAEQQJ0aiEtIC4gBGohLiAkQQFqISQMAAsLC+wDAhp8DX9BBEECIAsbIS4gCCEdIAkhHiABtyAIoCEfIAK3IAmgISAgAUEBa7chISACQQFrtyEiIAMhMCAKITECQANAICcgBU4NASAntyEYQX8hLEEAISYCQANAICYgBE4NASALBH8gBygCAAUgBy4BAAshK0EAISggK0EATgRAICa3IRcgKyAsRwRAIAYgK0EwbGohLSAtKwMAIQwgLSsDCCEPIC0rAxAhDSAtKwMYIRAgLSsDICEOIC0rAyghESAMIBeiIA0gGKKgIA6gIRQgDyAXoiAQIBiioCARoCEVICshLAsgFCEZIBUhGiAUIAygIRQgFSAPoCEVIBkgHWYgGSAfY3EgGiAeZiAaICBjcXEhKAVBfyEsCyAoBEAgGZwhGyAbRAAAAAAAAPA/oCAbIBkgG6FEAAAAAAAA4D9mGyEbIBqcIRwgHEQAAAAAAADwP6AgHCAaIByhRAAAAAAAAOA/ZhshHCAAIBxEAAAAAAAAAAClICKkqiABbCAbRAAAAAAAAAAApSAhpKpqQQJ0aigCACEpBUEAISkLIDAgJkECdGogKTYCACAKBEAgMSAmakH/AUEAICgbOgAACyAHIC5qIQcgJkEBaiEmDAALCyAwIARBAnRqITAgMSAEaiExICdBAWohJwwACwsL';
+
+export {simdKernels, scalarKernels}
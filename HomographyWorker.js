@@ -0,0 +1,54 @@
+/**
+ * @copyright Eric Cañas 2021.
+ * @author Eric Cañas <elcorreodeharu@gmail.com>
+ * @file HomographyWorker.js. Worker of Homography.warpAsync(). It runs as a Web Worker in the browser or as a worker_threads Worker in Node.js,
+ *       warping the bands of output rows that it receives with the same kernels as Homography.warp(), and transferring them back without copying.
+ */
+
+import { Homography } from './Homography.js';
+
+// Last image received, as it is only sent again when it changes
+let lastImage = null;
+
+/**
+ * Summary.                     Warps a band of the output image.
+ *
+ * @param {Object}  message     {state, imageId, image, options, geometry}. The state of the Homography object (as given by _getWarpState()), the identifier of
+ *                              the input image and the flat RGBA input image (null if it is the last one received), the resolved warp options and the output
+ *                              geometry of the band.
+ *
+ * @return {{output : Uint8ClampedArray, mask : Uint8Array|Float32Array|null}}   Warped band and its coverage mask (null if the mask option is not given).
+ */
+function warpBand({state, image, options, geometry}){
+    if (image === null) image = lastImage;
+    else lastImage = image;
+    const homography = new Homography(state.transform);
+    homography._setWarpState(state);
+    const pixels = geometry.width*geometry.height;
+    const mask = options.mask === null? null : (options.mask === 'float'? new Float32Array(pixels) : new Uint8Array(pixels));
+    const output = homography._applyWarp(image, options, geometry, true, null, mask);
+    return {output : output, mask : mask};
+}
+
+/**
+ * Summary.                     Answers a message of Homography.warpAsync() with the warped band, or with the description of the error if it fails.
+ *
+ * @param {Object}      message     Message received.
+ *
+ * @param {Function}    post        Function that posts (message, transfer) back to the main thread.
+ */
+function onMessage(message, post){
+    try {
+        const {output, mask} = warpBand(message);
+        post({output : output, mask : mask}, mask === null? [output.buffer] : [output.buffer, mask.buffer]);
+    } catch (error){
+        post({error : {name : error.name, message : error.message, code : error.code}}, []);
+    }
+}
+
+if (typeof WorkerGlobalScope !== 'undefined' && self instanceof WorkerGlobalScope){
+    self.onmessage = event => onMessage(event.data, (message, transfer) => self.postMessage(message, transfer));
+} else {
+    const { parentPort } = await import('node:worker_threads');
+    parentPort.on('message', message => onMessage(message, (response, transfer) => parentPort.postMessage(response, transfer)));
+}
@@ -0,0 +1,375 @@
+#!/usr/bin/env node
+/**
+ * @copyright Eric Cañas 2021.
+ * @author Eric Cañas <elcorreodeharu@gmail.com>
+ * @file homography command-line tool. It allows to warp images, estimate transform matrices from correspondence files, apply saved matrices
+ *       to whole directories of images and report residuals, without writing any Javascript. Every subcommand accepts --json for scripting.
+ */
+
+import { readFile, writeFile, readdir, stat, mkdir } from 'node:fs/promises';
+import { basename, extname, join, dirname } from 'node:path';
+import { parseArgs } from 'node:util';
+import { Homography, HomographyError, loadImage, saveImage } from '../HomographyNode.js';
+
+const usage = `Usage: homography <command> [options]
+
+Commands:
+  warp <image> --src <points> --dst <points>    Warp an image from its reference points.
+  estimate <correspondences>                     Estimate the transform matrix of a correspondence file.
+  apply <matrix> <image|directory>...            Apply a saved matrix to images (and to every image of directories).
+  residuals <correspondences>                    Report how well the transform fits a correspondence file.
+
+Points are given as "x1,y1,x2,y2,..." or as JSON ("[[x1,y1],[x2,y2],...]").
+Correspondence files are JSON ({"src": points, "dst": points}) or text with a "srcX srcY dstX dstY" line per point.
+Matrix files are OpenCV FileStorage JSON/YAML (as written by "estimate -o") or JSON with a 3x3 row-major "matrix".
+
+Options:
+  -t, --transform <name>       Transform to estimate (default "auto").
+  -o, --output <path>          Output image (warp), matrix file (estimate) or directory (apply).
+      --width <n>              Width of the image the points belong to (for normalized points without image).
+      --height <n>             Height of the image the points belong to.
+      --robust                 Estimate the transform robustly (MSAC), ignoring wrong correspondences.
+      --threshold <px>         Maximum reprojection error of the inliers when --robust is given (default 3).
+      --interpolation <name>   nearest, bilinear, bicubic or lanczos3 (default "nearest").
+      --border <name>          transparent, constant, replicate, reflect or wrap (default "transparent").
+      --border-color <color>   Color of the "constant" border as "r,g,b[,a]", from 0 to 255 (default "0,0,0,255").
+      --tile-size <n>          Warp in tiles of n x n pixels, bounding the memory needed for very large images.
+      --format <png|jpeg>      Format of the output images (default: the one of the output extension or input image).
+      --quality <1-100>        JPEG quality (default 90).
+      --json                   Print the results as JSON.
+  -h, --help                   Show this help.`;
+
+const options = {
+    transform : {type : 'string', short : 't', default : 'auto'},
+    output : {type : 'string', short : 'o'},
+    src : {type : 'string'},
+    dst : {type : 'string'},
+    width : {type : 'string'},
+    height : {type : 'string'},
+    robust : {type : 'boolean', default : false},
+    threshold : {type : 'string'},
+    interpolation : {type : 'string'},
+    border : {type : 'string'},
+    'border-color' : {type : 'string'},
+    'tile-size' : {type : 'string'},
+    format : {type : 'string'},
+    quality : {type : 'string', default : '90'},
+    json : {type : 'boolean', default : false},
+    help : {type : 'boolean', short : 'h', default : false}
+};
+
+// Extensions of the images that "apply" takes from the directories
+const imageExtensions = ['.png', '.jpg', '.jpeg'];
+
+/** Thrown when the command line is not valid. It is reported together with the usage. */
+class UsageError extends Error {}
+
+const commands = {warp : warp, estimate : estimate, apply : apply, residuals : residuals};
+
+/**
+ * Summary.                     Warps an image from its source and destiny points, writing the result and reporting where it must be placed in destiny coordinates.
+ *
+ * @param {Array<String>}   positionals     [image].
+ *
+ * @param {Object}          args            Parsed options.
+ */
+async function warp([input, ...rest], args){
+    if (input === undefined || rest.length > 0) throw new UsageError("warp needs exactly one input image");
+    if (args.src === undefined || args.dst === undefined) throw new UsageError("warp needs --src and --dst points");
+    const output = args.output ?? join(dirname(input), `${basename(input, extname(input))}_warped${extname(input)}`);
+    const homography = buildHomography(args);
+    homography.setReferencePoints(parsePoints(args.src, '--src'), parsePoints(args.dst, '--dst'), await loadImage(input));
+    const {image, x, y, width, height} = homography.warpWithPlacement(null, false, warpOptions(args));
+    await saveImage(image, output, args.format ?? null, parseNumber(args.quality, '--quality'));
+    report(args, {input : input, output : output, x : x, y : y, width : width, height : height},
+           `${input} -> ${output} (${width}x${height} at ${x}, ${y})`);
+}
+
+/**
+ * Summary.                     Estimates the transform matrix of a correspondence file, printing it and optionally saving it as an OpenCV FileStorage file.
+ *
+ * @param {Array<String>}   positionals     [correspondences].
+ *
+ * @param {Object}          args            Parsed options.
+ */
+async function estimate([input, ...rest], args){
+    if (input === undefined || rest.length > 0) throw new UsageError("estimate needs exactly one correspondence file");
+    const homography = await homographyFromCorrespondences(input, args);
+    const matrix = homography.getTransformMatrix();
+    const {rms, max} = homography.getResiduals();
+    const {count} = homography.getInliers();
+    if (args.output !== undefined){
+        const yaml = ['.yml', '.yaml'].includes(extname(args.output).toLowerCase());
+        await writeFile(args.output, matrix.toOpenCV(yaml? 'yaml' : 'json'));
+    }
+    const rows = Array.from(matrix.toArray());
+    report(args, {transform : homography.transform, matrix : rows, rms : rms, max : max, inlierCount : count},
+           [0, 3, 6].map(i => rows.slice(i, i+3).join(' ')).join('\n'));
+}
+
+/**
+ * Summary.                     Applies a saved matrix to a list of images and directories of images, writing the results into the output directory.
+ *
+ * Description.                 Images that can not be processed are reported without stopping the rest of the batch, and make the command exit with 1.
+ *
+ * @param {Array<String>}   positionals     [matrix, ...images or directories].
+ *
+ * @param {Object}          args            Parsed options.
+ */
+async function apply([matrixPath, ...inputs], args){
+    if (matrixPath === undefined || inputs.length === 0) throw new UsageError("apply needs a matrix file and at least one image or directory");
+    if (args.output === undefined) throw new UsageError("apply needs an output directory (-o)");
+    const homography = buildHomography(args);
+    setMatrixFromFile(homography, await readFile(matrixPath, 'utf8'));
+    await mkdir(args.output, {recursive : true});
+    const options = warpOptions(args);
+    const quality = parseNumber(args.quality, '--quality');
+    const results = [];
+    for (const input of await listImages(inputs)){
+        let output = join(args.output, basename(input));
+        if (args.format !== undefined){
+            output = join(args.output, `${basename(input, extname(input))}.${args.format === 'jpeg'? 'jpg' : args.format}`);
+        }
+        try {
+            const {image, x, y, width, height} = homography.warpWithPlacement(await loadImage(input), false, options);
+            await saveImage(image, output, args.format ?? null, quality);
+            results.push({input : input, output : output, x : x, y : y, width : width, height : height});
+            if (!args.json) console.log(`${input} -> ${output} (${width}x${height} at ${x}, ${y})`);
+        } catch (error){
+            results.push({input : input, error : error.message});
+            console.error(`${input}: ${error.message}`);
+            process.exitCode = 1;
+        }
+    }
+    if (args.json) console.log(JSON.stringify(results, null, 2));
+}
+
+/**
+ * Summary.                     Reports the residuals of the transform estimated from a correspondence file.
+ *
+ * @param {Array<String>}   positionals     [correspondences].
+ *
+ * @param {Object}          args            Parsed options.
+ */
+async function residuals([input, ...rest], args){
+    if (input === undefined || rest.length > 0) throw new UsageError("residuals needs exactly one correspondence file");
+    const homography = await homographyFromCorrespondences(input, args);
+    const fit = homography.getResiduals();
+    const result = {transform : homography.transform, rms : fit.rms, max : fit.max, symmetricTransferError : fit.symmetricTransferError,
+                    residuals : Array.from(fit.residuals), symmetricResiduals : Array.from(fit.symmetricResiduals)};
+    if (fit.triangleResiduals !== undefined) result.triangleResiduals = Array.from(fit.triangleResiduals);
+    if (homography.transform !== 'piecewiseaffine') result.inliers = Array.from(homography.getInliers().mask);
+    report(args, result, [`transform: ${result.transform}`, `rms: ${result.rms}`, `max: ${result.max}`,
+                          `symmetric transfer error: ${result.symmetricTransferError}`,
+                          ...result.residuals.map((residual, i) => `${i}: ${residual}`)].join('\n'));
+}
+
+/**
+ * Summary.                     Builds the Homography object with the transform and the robust estimation given in the options.
+ *
+ * @param {Object}          args    Parsed options.
+ *
+ * @return {Homography}             Homography object.
+ */
+function buildHomography(args){
+    const homography = new Homography(args.transform);
+    if (args.robust){
+        homography.setOptions({robust : args.threshold === undefined? {} : {threshold : parseNumber(args.threshold, '--threshold')}});
+    }
+    return homography;
+}
+
+/**
+ * Summary.                     Builds a Homography object from the reference points of a correspondence file.
+ *
+ * Description.                 The width and height of the image the points belong to are taken from the options, or from the file when not given.
+ *
+ * @param {String}          path    Path of the correspondence file.
+ *
+ * @param {Object}          args    Parsed options.
+ *
+ * @return {Homography}             Homography object with the reference points set.
+ */
+async function homographyFromCorrespondences(path, args){
+    const correspondences = parseCorrespondences(await readFile(path, 'utf8'), path);
+    const width = args.width === undefined? correspondences.width : parseNumber(args.width, '--width');
+    const height = args.height === undefined? correspondences.height : parseNumber(args.height, '--height');
+    const homography = buildHomography(args);
+    homography.setReferencePoints(correspondences.src, correspondences.dst, null, width, height);
+    return homography;
+}
+
+/**
+ * Summary.                     Parses a correspondence file, given as JSON ({src, dst[, width, height]}) or as text with a "srcX srcY dstX dstY" line per point.
+ *
+ * Description.                 In the text format values can be separated by spaces, commas or semicolons, everything after a "#" is a comment and a
+ *                              first line that is not numeric (a CSV header) is skipped.
+ *
+ * @param {String}          text    Content of the file.
+ *
+ * @param {String}          path    Path of the file, for the error messages.
+ *
+ * @return {Object}                 {src, dst, width, height}. Width and height are null if not given.
+ */
+function parseCorrespondences(text, path){
+    text = text.trim();
+    if (text.startsWith('{')){
+        const json = JSON.parse(text);
+        if (json.src === undefined || json.dst === undefined){
+            throw new UsageError(`${path} must contain "src" and "dst" points`);
+        }
+        return {src : json.src, dst : json.dst, width : json.width ?? null, height : json.height ?? null};
+    }
+    const src = [], dst = [];
+    for (const [i, line] of text.split(/\r?\n/).entries()){
+        const content = line.replace(/#.*/, '').trim();
+        if (content === '') continue;
+        const values = content.split(/[\s,;]+/).map(Number);
+        if (values.length !== 4 || !values.every(Number.isFinite)){
+            if (src.length === 0 && values.every(Number.isNaN)) continue;
+            throw new UsageError(`${path}:${i+1} must contain four numbers (srcX srcY dstX dstY)`);
+        }
+        src.push([values[0], values[1]]);
+        dst.push([values[2], values[3]]);
+    }
+    return {src : src, dst : dst, width : null, height : null};
+}
+
+/**
+ * Summary.                     Parses a set of points given as "x1,y1,x2,y2,..." or as a JSON array.
+ *
+ * @param {String}          text    Points.
+ *
+ * @param {String}          name    Name of the option, for the error messages.
+ *
+ * @return {Array<Number>|Array<Array<Number>>}    Points, flat or nested as given.
+ */
+function parsePoints(text, name){
+    const points = text.trim().startsWith('[')? JSON.parse(text) : text.split(/[\s,;]+/).filter(value => value !== '').map(Number);
+    if (points.flat().some(value => !Number.isFinite(value))){
+        throw new UsageError(`${name} must only contain numbers`);
+    }
+    return points;
+}
+
+/**
+ * Summary.                     Sets the transform of a Homography object from the content of a matrix file.
+ *
+ * @param {Homography}      homography  Homography object.
+ *
+ * @param {String}          text        OpenCV FileStorage (JSON or YAML), JSON {matrix} object (as printed by "estimate --json") or JSON array of 9 values.
+ */
+function setMatrixFromFile(homography, text){
+    const trimmed = text.trim();
+    if (trimmed.startsWith('[')){
+        homography.setMatrix(JSON.parse(trimmed).flat());
+    } else if (trimmed.startsWith('{') && Array.isArray(JSON.parse(trimmed).matrix)){
+        homography.setMatrix(JSON.parse(trimmed).matrix.flat());
+    } else {
+        homography.setMatrixFromOpenCV(trimmed);
+    }
+}
+
+/**
+ * Summary.                     Expands a list of images and directories into the list of images, taking the PNG and JPEG images of each directory.
+ *
+ * @param {Array<String>}   inputs  Paths of images or directories.
+ *
+ * @return {Promise<Array<String>>} Paths of the images.
+ */
+async function listImages(inputs){
+    const images = [];
+    for (const input of inputs){
+        if ((await stat(input)).isDirectory()){
+            const files = (await readdir(input)).filter(file => imageExtensions.includes(extname(file).toLowerCase())).sort();
+            images.push(...files.map(file => join(input, file)));
+        } else {
+            images.push(input);
+        }
+    }
+    return images;
+}
+
+/**
+ * Summary.                     Builds the WarpOptions given in the command line.
+ *
+ * @param {Object}          args    Parsed options.
+ *
+ * @return {Object}                 WarpOptions, or null if no one was given.
+ */
+function warpOptions(args){
+    const warpOptions = {};
+    if (args.interpolation !== undefined) warpOptions.interpolation = args.interpolation;
+    if (args.border !== undefined) warpOptions.border = args.border;
+    if (args['border-color'] !== undefined) warpOptions.borderColor = parseColor(args['border-color'], '--border-color');
+    if (args['tile-size'] !== undefined) warpOptions.tileSize = parseNumber(args['tile-size'], '--tile-size');
+    return Object.keys(warpOptions).length > 0? warpOptions : null;
+}
+
+/**
+ * Summary.                     Parses a color given as "r,g,b" or "r,g,b,a", with values from 0 to 255.
+ *
+ * @param {String}          value   Value of the option.
+ *
+ * @param {String}          name    Name of the option, for the error messages.
+ *
+ * @return {Array<Number>}          RGB or RGBA color.
+ */
+function parseColor(value, name){
+    const color = value.split(',').map(channel => parseNumber(channel, name));
+    if (!(color.length === 3 || color.length === 4) || color.some(channel => channel < 0 || channel > 255)){
+        throw new UsageError(`${name} must be given as "r,g,b" or "r,g,b,a" with values from 0 to 255, but "${value}" was given`);
+    }
+    return color;
+}
+
+/**
+ * Summary.                     Parses a numeric option.
+ *
+ * @param {String}          value   Value of the option.
+ *
+ * @param {String}          name    Name of the option, for the error messages.
+ *
+ * @return {Number}                 Numeric value.
+ */
+function parseNumber(value, name){
+    const number = Number(value);
+    if (value.trim() === '' || !Number.isFinite(number)){
+        throw new UsageError(`${name} must be a number, but "${value}" was given`);
+    }
+    return number;
+}
+
+/**
+ * Summary.                     Prints the result of a command, as JSON if --json was given or as text otherwise.
+ *
+ * @param {Object}          args    Parsed options.
+ *
+ * @param {Object}          result  Result to print as JSON.
+ *
+ * @param {String}          text    Result to print as text.
+ */
+function report(args, result, text){
+    console.log(args.json? JSON.stringify(result, null, 2) : text);
+}
+
+try {
+    const {values : args, positionals} = parseArgs({options : options, allowPositionals : true});
+    const [command, ...rest] = positionals;
+    if (args.help || command === undefined){
+        console.log(usage);
+    } else if (!(command in commands)){
+        throw new UsageError(`Unknown command "${command}"`);
+    } else {
+        await commands[command](rest, args);
+    }
+} catch (error){
+    if (error instanceof UsageError || error.code?.startsWith('ERR_PARSE_ARGS')){
+        console.error(`homography: ${error.message}\n\n${usage}`);
+        process.exitCode = 2;
+    } else {
+        // Homography errors also report their code, the rest of them (missing files, malformed JSON...) only their message
+        console.error(`homography: ${error.message}${error instanceof HomographyError? ` (${error.code})` : ''}`);
+        process.exitCode = 1;
+    }
+}
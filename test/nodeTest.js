@@ -1,13 +1,598 @@
-// Import the Homography class and the loadImage function 
-import { Homography } from '../Homography.js';
+// Import the Homography class. In Node.js there is no DOM, so images are given and returned as {data, width, height} RGBA buffers
+import assert from 'node:assert/strict';
+import { spawnSync } from 'node:child_process';
+import { mkdtempSync, readFileSync, rmSync, writeFileSync } from 'node:fs';
+import { tmpdir } from 'node:os';
+import { join } from 'node:path';
+import { fileURLToPath } from 'node:url';
+import { Worker } from 'node:worker_threads';
+import { Homography, TransformMatrix, InvalidArgumentError, DegenerateInputError, InvalidStateError, ErrorCodes, loadImage, decodeImage, encodeImage } from '../HomographyNode.js';
+
+// Build a 100x100 opaque image, red on the left half and blue on the right half
+const width = 100, height = 100;
+const data = new Uint8ClampedArray(width*height*4);
+for (let y = 0; y < height; y++){
+    for (let x = 0; x < width; x++){
+        const idx = (y*width+x)*4;
+        data[idx] = x < width/2? 255 : 0;
+        data[idx+2] = x < width/2? 0 : 255;
+        data[idx+3] = 255;
+    }
+}
+const image = {data : data, width : width, height : height};
 
 // Define the source and destiny points
 const sourcePoints = [[0, 0], [0, 1], [1, 0], [1, 1]];
 const dstPoints = [[1/10, 1/2], [0, 1], [9/10, 1/2], [1, 1]];
-// Create the homography object and set the reference points
-const homography = new Homography()
-homography.setReferencePoints(sourcePoints, dstPoints);
-// Here, in backend we can use `await loadImage(<img_path>)` instead of an HTMLImageElement 
-homography.setImage(await loadImage('./testImgLogoBlack.png'));
-// And when warping, we get a pngImage from the 'pngjs' package instead of an ImageData
-const pngImage = homography.warp();
\ No newline at end of file
+
+// Every transform must warp without any canvas, returning a {data, width, height} object
+for (const transform of ['piecewiseaffine', 'affine', 'projective']){
+    const homography = new Homography(transform);
+    homography.setReferencePoints(transform === 'affine'? sourcePoints.slice(0, 3) : sourcePoints,
+                                  transform === 'affine'? dstPoints.slice(0, 3) : dstPoints, image);
+    const output = homography.warp();
+    assert.ok(output.data instanceof Uint8ClampedArray, `${transform}: output data must be an Uint8ClampedArray`);
+    assert.equal(output.data.length, output.width*output.height*4, `${transform}: output size must match its data`);
+    assert.ok(output.data.some((value, i) => i%4 === 3 && value === 255), `${transform}: output must contain opaque pixels`);
+}
+
+// The WebAssembly kernels give the same images and masks as the JavaScript loops, both in the forward and in the inverse warps
+for (const transform of ['piecewiseaffine', 'affine', 'projective']){
+    const homography = new Homography(transform);
+    homography.setReferencePoints(transform === 'affine'? sourcePoints.slice(0, 3) : sourcePoints,
+                                  transform === 'affine'? [[0, 0], [0, 1], [1, 1/10]] : dstPoints, image);
+    for (const applyAlwaysInverse of [false, true]){
+        const wasm = homography.warpWithPlacement(null, applyAlwaysInverse, {mask : 'uint8'});
+        const js = homography.warpWithPlacement(null, applyAlwaysInverse, {mask : 'uint8', backend : 'js'});
+        assert.deepEqual(wasm.image.data, js.image.data, `${transform}: WebAssembly and JavaScript images must be identical`);
+        assert.deepEqual(wasm.mask, js.mask, `${transform}: WebAssembly and JavaScript masks must be identical`);
+    }
+}
+
+// Coordinates stepped along long rows do not drift: the identity keeps every pixel of a wide image at its place, in both backends
+const wide = {data : new Uint8ClampedArray(4096*2*4).map((_, i) => i%4 === 3? 255 : (i>>2)%251), width : 4096, height : 2};
+const identity = new Homography('projective');
+identity.setReferencePoints(sourcePoints, sourcePoints, wide);
+for (const backend of ['auto', 'js']){
+    assert.deepEqual(identity.warp(null, false, true, {backend : backend}).data, wide.data, `${backend}: the identity must not move any pixel`);
+}
+
+// Warps in tiles give the same image and mask as the whole inverse warp, with any size of tile
+for (const transform of ['piecewiseaffine', 'projective']){
+    const tiled = new Homography(transform);
+    tiled.setReferencePoints(sourcePoints, dstPoints, image);
+    for (const options of [{mask : 'uint8'}, {mask : 'float', interpolation : 'bilinear'}]){
+        const whole = tiled.warpWithPlacement(null, true, options);
+        for (const tileSize of [1, 16, 33]){
+            const tiles = tiled.warpWithPlacement(null, false, {...options, tileSize : tileSize});
+            assert.deepEqual(tiles.image.data, whole.image.data, `${transform}: tiles of ${tileSize} must be stitched without seams`);
+            assert.deepEqual(tiles.mask, whole.mask, `${transform}: masks of tiles of ${tileSize} must be stitched without seams`);
+        }
+    }
+    assert.throws(() => tiled.warpWithPlacement(null, false, {tileSize : 0}), error => error.code === ErrorCodes.INVALID_OPTION);
+}
+
+// Meshes of more than 32767 triangles cover the whole image, both in the forward and in the inverse warps
+const meshPoints = [];
+for (let i = 0; i < 130; i++){
+    for (let j = 0; j < 130; j++) meshPoints.push([i*(width-1)/129, j*(height-1)/129]);
+}
+const mesh = new Homography('piecewiseaffine');
+mesh.setReferencePoints(meshPoints, meshPoints, image);
+assert.ok(mesh._triangles.length/3 > 32767);
+for (const applyAlwaysInverse of [false, true]){
+    const {mask} = mesh.warpWithPlacement(null, applyAlwaysInverse, {mask : 'uint8'});
+    assert.ok(mask.every(value => value === 255), `${applyAlwaysInverse}: every triangle of the mesh must be warped`);
+}
+
+// The projective transform keeps the halves of the image at their sides
+const homography = new Homography('projective');
+homography.setReferencePoints(sourcePoints, dstPoints, image);
+const output = homography.warp();
+const bottomRow = (output.height-3)*output.width*4;
+assert.deepEqual([...output.data.subarray(bottomRow+2*4, bottomRow+3*4)], [255, 0, 0, 255]);
+assert.deepEqual([...output.data.subarray(bottomRow+(output.width-3)*4, bottomRow+(output.width-2)*4)], [0, 0, 255, 255]);
+
+// Images given with width and height are resized without canvas
+const resized = new Homography('affine');
+resized.setReferencePoints([[0, 0], [0, 1], [1, 0]], [[0, 0], [0, 1], [1, 0]], image, 50, 25);
+const resizedOutput = resized.warp();
+assert.equal(resizedOutput.width, 50);
+assert.equal(resizedOutput.height, 25);
+assert.deepEqual([...resizedOutput.data.subarray(0, 4)], [255, 0, 0, 255]);
+assert.deepEqual([...resizedOutput.data.subarray(49*4, 50*4)], [0, 0, 255, 255]);
+
+// Maps a point through a row major 3x3 matrix, and gives deterministic noise in [-amplitude, amplitude] for the i-th coordinate
+const project = (matrix, x, y) => {
+    const w = matrix[6]*x + matrix[7]*y + matrix[8];
+    return [(matrix[0]*x + matrix[1]*y + matrix[2])/w, (matrix[3]*x + matrix[4]*y + matrix[5])/w];
+};
+const noise = (i, amplitude) => amplitude*Math.sin(i*12.9898 + 78.233);
+// Largest distance between the points mapped by the matrix and the expected ones
+const maxDistance = (matrix, points, expected) => Math.max(...points.map(([x, y], i) => Math.hypot(...project(matrix, x, y).map((value, j) => value-expected[i][j]))));
+
+// Projective transforms are estimated by least squares from more than four noisy points, also when their coordinates are large and
+// far from the origin (where the DLT needs the Hartley normalization of the points for being well conditioned)
+const knownProjective = [0.9, 0.1, 20, -0.05, 1.1, 10, 0.0004, -0.0002, 1];
+for (const [offset, amplitude] of [[0, 0.3], [30000, 0], [30000, 0.3]]){
+    const gridPoints = [], truePoints = [], noisyPoints = [];
+    for (let i = 0; i < 5; i++){
+        for (let j = 0; j < 5; j++){
+            const [x, y] = project(knownProjective, i*50, j*50);
+            gridPoints.push([i*50+offset, j*50+offset]);
+            truePoints.push([x+offset, y+offset]);
+            noisyPoints.push([x+offset+noise(2*gridPoints.length, amplitude), y+offset+noise(2*gridPoints.length+1, amplitude)]);
+        }
+    }
+    const leastSquares = new Homography('projective');
+    leastSquares.setReferencePoints(gridPoints, noisyPoints);
+    const error = maxDistance(leastSquares.getMatrix(), gridPoints, truePoints);
+    assert.ok(error < (amplitude > 0? amplitude : 0.05), `offset ${offset}: the estimation is ${error} pixels away from the known homography`);
+}
+
+// Affine transforms are fitted by least squares to more than three points, recovering the known transform from noisy points
+const knownAffine = [1.2, -0.3, 15, 0.2, 0.8, -5, 0, 0, 1];
+const affinePoints = [[10, 10], [200, 20], [30, 150], [180, 170], [100, 90], [60, 200]];
+const affineTruePoints = affinePoints.map(([x, y]) => project(knownAffine, x, y));
+const affineNoisyPoints = affineTruePoints.map(([x, y], i) => [x+noise(2*i, 0.2), y+noise(2*i+1, 0.2)]);
+const leastSquaresAffine = new Homography('affine');
+leastSquaresAffine.setReferencePoints(affinePoints, affineNoisyPoints);
+assert.ok(maxDistance(leastSquaresAffine.getMatrix(), affinePoints, affineTruePoints) < 0.2);
+leastSquaresAffine.setDestinyPoints(affineTruePoints);
+assert.ok(leastSquaresAffine.getMatrix().every((value, i) => Math.abs(value-knownAffine[i]) < 1e-3), 'exact points must give the exact transform');
+
+// Similarity transforms have no shear, rigid ones neither scale, and translations only translate, also when fitted to points of more general transforms
+const [cos, sin] = [Math.cos(Math.PI/6), Math.sin(Math.PI/6)];
+const knownSimilarity = [1.5*cos, -1.5*sin, 12, 1.5*sin, 1.5*cos, -7, 0, 0, 1];
+const similarityTruePoints = affinePoints.map(([x, y]) => project(knownSimilarity, x, y));
+const similarityNoisyPoints = similarityTruePoints.map(([x, y], i) => [x+noise(2*i, 0.2), y+noise(2*i+1, 0.2)]);
+for (const transform of ['similarity', 'rigid', 'translation']){
+    const constrained = new Homography(transform);
+    constrained.setReferencePoints(affinePoints, similarityNoisyPoints);
+    const matrix = constrained.getMatrix();
+    assert.ok(Math.abs(matrix[0]-matrix[4]) < 1e-6 && Math.abs(matrix[1]+matrix[3]) < 1e-6, `${transform}: it must not shear`);
+    if (transform === 'similarity') assert.ok(maxDistance(matrix, affinePoints, similarityTruePoints) < 0.2, 'similarity: it must recover the known transform');
+    if (transform === 'rigid'){
+        assert.ok(Math.abs(Math.hypot(matrix[0], matrix[3])-1) < 1e-6, 'rigid: it must not scale');
+        assert.ok(Math.abs(Math.atan2(matrix[3], matrix[0])-Math.PI/6) < 1e-2, 'rigid: it must keep the rotation');
+    }
+    if (transform === 'translation') assert.deepEqual([matrix[0], matrix[1], matrix[3], matrix[4]], [1, 0, 0, 1], 'translation: it must only translate');
+}
+
+// Robust estimation excludes an outlier from the inliers mask, giving the same result for the same seed
+const robustPoints = [], robustDstPoints = [];
+for (let i = 0; i < 5; i++){
+    for (let j = 0; j < 5; j++){
+        robustPoints.push([i*50, j*50]);
+        robustDstPoints.push(project(knownProjective, i*50, j*50));
+    }
+}
+robustDstPoints[7] = [robustDstPoints[7][0]+40, robustDstPoints[7][1]-30];
+const robustEstimations = [1, 2].map(() => {
+    const robust = new Homography('projective', null, null, {robust : {method : 'ransac', threshold : 1, seed : 7}});
+    robust.setReferencePoints(robustPoints, robustDstPoints);
+    return {inliers : robust.getInliers(), matrix : robust.getMatrix(), homography : robust};
+});
+assert.equal(robustEstimations[0].inliers.count, robustPoints.length-1);
+assert.deepEqual([...robustEstimations[0].inliers.mask], robustPoints.map((_, i) => i === 7? 0 : 1));
+assert.deepEqual(robustEstimations[1].inliers.mask, robustEstimations[0].inliers.mask);
+assert.deepEqual(robustEstimations[1].matrix, robustEstimations[0].matrix);
+assert.ok(maxDistance(robustEstimations[0].matrix, robustPoints, robustPoints.map(([x, y]) => project(knownProjective, x, y))) < 0.05);
+// Invalid robust options are rejected, keeping the previous ones
+for (const invalid of [{threshold : -1}, {threshold : NaN}, {maxIterations : 'x'}, {maxIterations : 0.5}, {confidence : 5}, {confidence : 0}, {seed : 'abc'}, {method : 'lmeds'}]){
+    assert.throws(() => robustEstimations[0].homography.setOptions({robust : invalid}),
+                  error => error instanceof InvalidArgumentError && error.code === ErrorCodes.INVALID_OPTION, JSON.stringify(invalid));
+    assert.equal(robustEstimations[0].homography.getInliers().count, robustPoints.length-1);
+}
+// Invalid refinement options are rejected too, instead of silently skipping the refinement
+for (const invalid of [5, 'yes', [], {maxIterations : 'ten'}, {maxIterations : -3}, {maxIterations : 0}, {tolerance : 'x'}, {bogus : 1},
+                       {symmetric : 1}, {warmStart : 'false'}]){
+    assert.throws(() => new Homography('projective').setOptions({refine : invalid}),
+                  error => error instanceof InvalidArgumentError && error.code === ErrorCodes.INVALID_OPTION, JSON.stringify(invalid));
+}
+for (const valid of [null, false, true, {}, {maxIterations : 5, symmetric : true, warmStart : false}]) new Homography('projective').setOptions({refine : valid});
+
+// Levenberg-Marquardt refinement reduces the reprojection error of the linear (DLT) estimation of noisy points, whose bias grows with the perspective
+const strongPerspective = [0.9, 0.1, 20, -0.05, 1.1, 10, 0.003, 0.002, 1];
+const refinedDstPoints = robustPoints.map(([x, y], i) => project(strongPerspective, x, y).map((value, j) => value+noise(2*i+j, 2)));
+const [linearReport, refinedReport] = [null, {maxIterations : 20}].map(refine => {
+    const estimation = new Homography('projective', null, null, {refine : refine});
+    estimation.setReferencePoints(robustPoints, refinedDstPoints);
+    return estimation.getResiduals();
+});
+assert.ok(refinedReport.rms < linearReport.rms, `the refined error (${refinedReport.rms}) must be lower than the linear one (${linearReport.rms})`);
+
+// Residuals report the known errors of a least squares fit: a translation fitted to two points that move differently leaves each one at its mean shift
+const shiftedPair = new Homography('translation');
+shiftedPair.setReferencePoints([[10, 10], [20, 10]], [[13, 10], [21, 14]]);
+const pairReport = shiftedPair.getResiduals();
+assert.deepEqual([...pairReport.residuals].map(value => value.toFixed(4)), [Math.sqrt(5), Math.sqrt(5)].map(value => value.toFixed(4)));
+assert.ok(Math.abs(pairReport.rms-Math.sqrt(5)) < 1e-4 && Math.abs(pairReport.max-Math.sqrt(5)) < 1e-4);
+assert.deepEqual([...pairReport.symmetricResiduals].map(value => value.toFixed(4)), [Math.sqrt(10), Math.sqrt(10)].map(value => value.toFixed(4)));
+assert.ok(Math.abs(pairReport.symmetricTransferError-Math.sqrt(10)) < 1e-4);
+// Points that the transform fits exactly only show numerical errors
+assert.ok(leastSquaresAffine.getResiduals().rms < 1e-3 && leastSquaresAffine.getResiduals().symmetricTransferError < 1e-3);
+
+// Every error is thrown with its class and code before reaching the estimation or the warp
+const withPoints = (transform, srcPoints, dstPoints = srcPoints) => {
+    const pointsHomography = new Homography(transform);
+    pointsHomography.setReferencePoints(srcPoints, dstPoints);
+    return pointsHomography;
+};
+const errorCases = [
+    [ErrorCodes.UNKNOWN_TRANSFORM, InvalidArgumentError, () => withPoints('perspective', sourcePoints)],
+    [ErrorCodes.NOT_ENOUGH_POINTS, InvalidArgumentError, () => withPoints('projective', sourcePoints.slice(0, 3))],
+    [ErrorCodes.POINTS_COUNT_MISMATCH, InvalidArgumentError, () => withPoints('projective', sourcePoints, dstPoints.concat([[0.5, 0.5]]))],
+    [ErrorCodes.INVALID_POINTS, InvalidArgumentError, () => withPoints('projective', [0, 0, 0, 1, 1, 0, 1, 1, 1])],
+    [ErrorCodes.INVALID_OPTION, InvalidArgumentError, () => new Homography().setOptions({warp : {interpolation : 'linear'}})],
+    [ErrorCodes.INVALID_MATRIX, InvalidArgumentError, () => new Homography().setMatrix([1, 0, 0, 1])],
+    [ErrorCodes.UNSUPPORTED_FORMAT, InvalidArgumentError, () => decodeImage(new Uint8Array([71, 73, 70, 56]))],
+    [ErrorCodes.NON_FINITE_POINTS, DegenerateInputError, () => withPoints('projective', [[0, 0], [0, NaN], [1, 0], [1, 1]])],
+    [ErrorCodes.DUPLICATE_POINTS, DegenerateInputError, () => withPoints('projective', [[0, 0], [0, 0], [1, 0], [1, 1]])],
+    [ErrorCodes.COLLINEAR_POINTS, DegenerateInputError, () => withPoints('affine', [[0, 0], [0.5, 0.5], [1, 1]])],
+    [ErrorCodes.ILL_CONDITIONED, DegenerateInputError, () => new Homography().setMatrix([1, 2, 0, 2, 4, 0, 0, 0, 1])],
+    [ErrorCodes.POINTS_NOT_SET, InvalidStateError, () => new Homography('projective').getResiduals()],
+    [ErrorCodes.IMAGE_NOT_SET, InvalidStateError, () => withPoints('projective', sourcePoints, dstPoints).warp()],
+    [ErrorCodes.UNKNOWN_IMAGE_SIZE, InvalidStateError, () => withPoints('projective', sourcePoints, dstPoints).transformPoints([[50, 50]], false)],
+    [ErrorCodes.UNSUPPORTED_TRANSFORM, InvalidStateError, () => withPoints('piecewiseaffine', sourcePoints, dstPoints).getTransformMatrix()],
+    [ErrorCodes.DOM_NOT_AVAILABLE, InvalidStateError, () => new Homography().HTMLImageElementFromImageData(image)]
+];
+for (const [code, ErrorClass, throwing] of errorCases){
+    assert.throws(throwing, error => error instanceof ErrorClass && error.code === code, code);
+}
+// Warps that are running when the workers are terminated are rejected
+const terminated = withPoints('projective', sourcePoints, dstPoints);
+await terminated.warpAsync(image);
+const runningWarp = terminated.warpAsync();
+terminated.terminateWorkers();
+await assert.rejects(runningWarp, error => error instanceof InvalidStateError && error.code === ErrorCodes.WORKERS_TERMINATED);
+// Also the first warp, whose workers are still being loaded
+const firstWarp = withPoints('projective', sourcePoints, dstPoints).warpAsync(image);
+const firstTerminated = withPoints('projective', sourcePoints, dstPoints);
+const firstRunningWarp = firstTerminated.warpAsync(image);
+firstTerminated.terminateWorkers();
+await assert.rejects(firstRunningWarp, error => error instanceof InvalidStateError && error.code === ErrorCodes.WORKERS_TERMINATED);
+// Workers that fail (as when their module can not be loaded) reject their warps with a typed error
+const workerPostMessage = Worker.prototype.postMessage;
+Worker.prototype.postMessage = function(){ this.emit('error', new Error("Cannot find package 'delaunator'")); };
+const failing = withPoints('projective', sourcePoints, dstPoints);
+await assert.rejects(failing.warpAsync(image), error => error instanceof InvalidStateError && error.code === ErrorCodes.WORKER_FAILED);
+Worker.prototype.postMessage = workerPostMessage;
+failing.terminateWorkers();
+await firstWarp;
+assert.deepEqual(Object.keys(ErrorCodes).sort(), [...errorCases.map(([code]) => code), ErrorCodes.WORKERS_TERMINATED, ErrorCodes.WORKER_FAILED].sort(),
+                 'every error code must be tested');
+
+// Points mapped by transformPoints() are taken back by inverseTransformPoints(), for every transform and in any format
+const queryPoints = [[12.5, 30], [100, 100], [180.25, 40.75], [60, 190]];
+for (const transform of ['affine', 'similarity', 'rigid', 'translation', 'projective', 'piecewiseaffine']){
+    const mapped = withPoints(transform, robustPoints, robustPoints.map(([x, y]) => project(strongPerspective, x, y)));
+    const forward = mapped.transformPoints(queryPoints);
+    assert.ok(forward.flat().every(Number.isFinite), `${transform}: points inside the mesh must be mapped`);
+    const backward = mapped.inverseTransformPoints(forward);
+    assert.ok(backward.every(([x, y], i) => Math.hypot(x-queryPoints[i][0], y-queryPoints[i][1]) < 1e-3), `${transform}: the inverse must give back the points`);
+    const flatForward = mapped.transformPoints(new Float32Array(queryPoints.flat()));
+    assert.ok(flatForward instanceof Float32Array && flatForward.every((value, i) => Math.abs(value-forward.flat()[i]) < 1e-3), `${transform}: flat points`);
+    if (transform === 'piecewiseaffine') assert.ok(mapped.transformPoints([[-10, -10]], false)[0].every(Number.isNaN), 'points outside the mesh are NaN');
+}
+
+// Transforms exported to OpenCV (JSON and YAML), WebGL and SVG are imported back without changes
+const areClose = (values, expected, tolerance = 1e-6) => values.length === expected.length &&
+                                                        values.every((value, i) => Math.abs(value-expected[i]) <= tolerance*Math.max(1, Math.abs(expected[i])));
+const exported = withPoints('projective', robustPoints, robustPoints.map(([x, y]) => project(strongPerspective, x, y))).getTransformMatrix();
+for (const format of ['json', 'yaml']){
+    assert.ok(areClose(TransformMatrix.fromOpenCV(exported.toOpenCV(format, 'H')).toArray(), exported.toArray(), 1e-12), `OpenCV ${format}`);
+    const imported = new Homography();
+    imported.setMatrixFromOpenCV(exported.toOpenCV(format));
+    assert.ok(areClose(imported.getMatrix(), exported.toArray()), `OpenCV ${format} through setMatrixFromOpenCV()`);
+}
+// 2x3 matrices, as written by cv2.FileStorage for cv2.getAffineTransform()
+const openCVAffine = '%YAML:1.0\n---\naffine: !!opencv-matrix\n   rows: 2\n   cols: 3\n   dt: d\n   data: [ 1.2, -0.3, 15., 0.2, 0.8, -5. ]\n';
+assert.ok(areClose(TransformMatrix.fromOpenCV(openCVAffine).toArray(), knownAffine));
+for (const size of [3, 4]){
+    const webGL = exported.toWebGL(size);
+    assert.ok(webGL instanceof Float32Array && webGL.length === size*size);
+    assert.ok(areClose(TransformMatrix.fromArray(webGL, true).toArray(), exported.toArray()), `WebGL mat${size}`);
+}
+const svg = new TransformMatrix(knownAffine).toSVGTransform();
+assert.ok(areClose(new TransformMatrix(svg.match(/^matrix\((.*)\)$/)[1].split(' ').map(Number)).toArray(), knownAffine, 1e-5), svg);
+assert.throws(() => exported.toSVGTransform(), error => error.code === ErrorCodes.UNSUPPORTED_TRANSFORM);
+
+// Basic transforms map points as they are described, rotations and scales keeping their center fixed
+const point = [30, 70];
+const rotation = TransformMatrix.rotation(Math.PI/6, 40, 20), scaling = TransformMatrix.scale(2, 0.5, 10, 30);
+assert.ok(areClose(TransformMatrix.identity().transformPoint(...point), point));
+assert.ok(areClose(TransformMatrix.translation(5, -3).transformPoint(...point), [35, 67]));
+assert.ok(areClose(TransformMatrix.shear(0.3, -0.2).transformPoint(...point), [30+0.3*70, 70-0.2*30]));
+assert.ok(areClose(rotation.transformPoint(40, 20), [40, 20]) && areClose(scaling.transformPoint(10, 30), [10, 30]), 'centers must stay fixed');
+assert.ok(areClose(rotation.transformPoint(50, 20), [40+10*Math.cos(Math.PI/6), 20+10*Math.sin(Math.PI/6)]), 'rotations must be clockwise');
+assert.ok(areClose(scaling.transformPoint(20, 40), [30, 35]));
+// a.compose(b) applies a and then b, and composed with its inverse it gives the identity
+const perspective = new TransformMatrix(strongPerspective);
+const chain = rotation.compose(scaling).compose(perspective);
+assert.ok(areClose(chain.transformPoint(...point), perspective.transformPoint(...scaling.transformPoint(...rotation.transformPoint(...point)))), 'compose order');
+const rescale = TransformMatrix.scale(0.01).compose(TransformMatrix.translation(5000, 5000));
+for (const invertible of [chain, rescale]){
+    assert.ok(areClose(invertible.compose(invertible.invert()).toArray(), TransformMatrix.identity().toArray(), 1e-9), 'the inverse must undo the transform');
+}
+assert.throws(() => new TransformMatrix([1, 2, 0, 2, 4, 0, 0, 0, 1]).invert(), error => error instanceof DegenerateInputError && error.code === ErrorCodes.ILL_CONDITIONED);
+// Warping with a composed transform gives the same image, at the same place, as warping with each transform in turn
+for (const [first, second] of [[TransformMatrix.translation(10, 5), TransformMatrix.scale(2)], [TransformMatrix.rotation(Math.PI/2), TransformMatrix.translation(3, 4)]]){
+    const composed = new Homography();
+    composed.setImage(image);
+    composed.setTransformMatrix(first.compose(second));
+    const direct = composed.warpWithPlacement();
+    const stepped = new Homography();
+    stepped.setImage(image);
+    stepped.setTransformMatrix(first);
+    const intermediate = stepped.warpWithPlacement();
+    // The intermediate image starts at its placement, so the second transform is applied from there
+    stepped.setImage(intermediate.image);
+    stepped.setTransformMatrix(TransformMatrix.translation(intermediate.x, intermediate.y).compose(second));
+    const chained = stepped.warpWithPlacement();
+    assert.deepEqual([chained.x, chained.y], [direct.x, direct.y]);
+    assert.deepEqual(chained.image.data, direct.image.data);
+}
+
+// Affine matrices estimated from normalized points are returned in pixels once the image size is known, as the ones estimated from pixels
+const square = {data : new Uint8ClampedArray(101*101*4).fill(255), width : 101, height : 101};
+const shifted = new Homography('affine');
+shifted.setImage(square);
+shifted.setReferencePoints([[0, 0], [0, 1], [1, 0]], [[0.1, 0], [0.1, 1], [1.1, 0]]);
+const shiftedMatrix = shifted.getMatrix();
+assert.ok(Math.abs(shiftedMatrix[2] - 10.1) < 1e-4 && Math.abs(shiftedMatrix[5]) < 1e-4, 'the translation must be given in pixels');
+assert.ok(Math.abs(shifted.transformPoints([[50, 50]])[0][0] - (50+shiftedMatrix[2])) < 1e-4, 'points must be mapped by the returned matrix');
+const shiftedInPixels = new Homography('affine');
+shiftedInPixels.setReferencePoints([[0, 0], [0, 101], [101, 0]], [[10.1, 0], [10.1, 101], [111.1, 0]], square);
+assert.ok(shiftedInPixels.getMatrix().every((value, i) => Math.abs(value - shiftedMatrix[i]) < 1e-4));
+
+// The placement of affine warps from normalized points agrees with transformPoints()
+const placed = new Homography('affine');
+placed.setReferencePoints([[0, 0], [0, 1], [1, 0]], [[0.1, 0.2], [0.1, 1.2], [1.1, 0.2]], image);
+const placement = placed.warpWithPlacement();
+assert.deepEqual([placement.x, placement.y, placement.width, placement.height], [10, 20, 100, 100]);
+const [placedX, placedY] = placement.transform.transformPoint(50, 50);
+assert.ok(Math.abs(placedX - 60) < 1e-4 && Math.abs(placedY - 70) < 1e-4, 'the placement transform must be given in pixels');
+assert.deepEqual(placed.transformPoints([[50, 50]]).flat().map(Math.round), [60, 70]);
+
+// Interpolations give the known values of their kernels over a step between two flat regions, sampled a quarter of pixel before each pixel
+const step = {data : new Uint8ClampedArray(10*4).map((_, i) => i%4 === 3 || i>>2 >= 5? 255 : 0), width : 10, height : 1};
+const shiftedStep = new Homography();
+shiftedStep.setMatrix([1, 0, 0.25, 0, 1, 0, 0, 0, 1]);
+shiftedStep.setImage(step);
+for (const [interpolation, expected] of [['nearest', [0, 0, 0, 0, 0, 255, 255, 255, 255, 255]], ['bilinear', [0, 0, 0, 0, 0, 191, 255, 255, 255, 255]],
+                                         ['bicubic', [0, 0, 0, 0, 0, 203, 255, 255, 255, 255]], ['lanczos3', [0, 0, 0, 8, 0, 201, 255, 253, 255, 255]]]){
+    const stepOutput = shiftedStep.warp(null, false, true, {interpolation : interpolation, border : 'replicate', viewport : {x : 0, y : 0, width : 10, height : 1}});
+    assert.deepEqual([...stepOutput.data].filter((_, i) => i%4 === 0), expected, interpolation);
+}
+
+// Mipmaps average the stripes of one pixel that a 4x downscale skips, instead of aliasing them into a flat color
+const stripes = {data : new Uint8ClampedArray(64*64*4).map((_, i) => i%4 === 3 || ((i>>2)%64)%2? 255 : 0), width : 64, height : 64};
+const downscale = new Homography();
+downscale.setMatrix([0.25, 0, 0, 0, 0.25, 0, 0, 0, 1]);
+downscale.setImage(stripes);
+for (const interpolation of ['nearest', 'bilinear']){
+    const aliased = downscale.warp(null, false, true, {interpolation : interpolation}).data.filter((_, i) => i%4 === 0);
+    const filtered = downscale.warp(null, false, true, {interpolation : interpolation, minification : 'mipmap'}).data.filter((_, i) => i%4 === 0);
+    assert.ok(aliased.every(value => value === 0), `${interpolation}: without mipmaps every sample falls on the same stripe`);
+    assert.ok(filtered.length === 16*16 && filtered.every(value => Math.abs(value-128) <= 1), `${interpolation}: mipmaps must give the average of the stripes`);
+}
+
+// Pixels outside the image take their value from the border mode, three pixels around a row of four pixels
+const row = {data : new Uint8ClampedArray([10, 0, 0, 255, 20, 0, 0, 255, 30, 0, 0, 255, 40, 0, 0, 255]), width : 4, height : 1};
+const bordered = new Homography();
+bordered.setMatrix([1, 0, 0, 0, 1, 0, 0, 0, 1]);
+bordered.setImage(row);
+for (const [border, expected] of [['transparent', [0, 0, 0, 10, 20, 30, 40, 0, 0, 0]], ['constant', [5, 5, 5, 10, 20, 30, 40, 5, 5, 5]],
+                                  ['replicate', [10, 10, 10, 10, 20, 30, 40, 40, 40, 40]], ['reflect', [30, 20, 10, 10, 20, 30, 40, 40, 30, 20]],
+                                  ['wrap', [20, 30, 40, 10, 20, 30, 40, 10, 20, 30]]]){
+    const borderOutput = bordered.warp(null, false, false, {border : border, borderColor : [5, 6, 7], viewport : {x : -3, y : 0, width : 10, height : 1}});
+    assert.deepEqual([...borderOutput.data].filter((_, i) => i%4 === 0), expected, border);
+    assert.deepEqual([...borderOutput.data.subarray(0, 4)], border === 'transparent'? [0, 0, 0, 0] : border === 'constant'? [5, 6, 7, 255] : [expected[0], 0, 0, 255], border);
+}
+
+// The output size and the destiny region that it shows follow outputWidth, outputHeight, viewport and fit, for an image translated to (20, 10)
+const framed = new Homography();
+framed.setMatrix([1, 0, 20, 0, 1, 10, 0, 0, 1]);
+framed.setImage(image);
+const wholeView = {x : 0, y : 0, width : 200, height : 100};
+for (const [options, expected, firstOpaque] of [[{}, [100, 100, 20, 10, 100, 100], [0, 0]],
+                                               [{outputWidth : 150, outputHeight : 60}, [150, 60, 0, 0, 150, 60], [20, 10]],
+                                               [{viewport : wholeView}, [200, 100, 0, 0, 200, 100], [20, 10]],
+                                               [{viewport : wholeView, outputWidth : 100}, [100, 50, 0, 0, 200, 100], [10, 5]],
+                                               [{fit : 'contain', outputWidth : 50, outputHeight : 100}, [50, 100, 20, -40, 100, 200], [0, 25]],
+                                               [{fit : 'cover', outputWidth : 50, outputHeight : 100}, [50, 100, 45, 10, 50, 100], [0, 0]],
+                                               [{fit : 'stretch', outputWidth : 50, outputHeight : 100}, [50, 100, 20, 10, 100, 100], [0, 0]]]){
+    const framedOutput = framed.warpWithPlacement(null, false, options);
+    const {image : {width : outputWidth, height : outputHeight}, x, y} = framedOutput;
+    assert.deepEqual([outputWidth, outputHeight, x, y, framedOutput.width, framedOutput.height], expected, JSON.stringify(options));
+    const first = framedOutput.image.data.findIndex((value, i) => i%4 === 3 && value === 255)>>2;
+    assert.deepEqual([first%outputWidth, Math.floor(first/outputWidth)], firstOpaque, `${JSON.stringify(options)}: the image must start at its place`);
+}
+
+// warp() returns the image alone without the mask option, and {image, mask} with it, also when the mask is a default of setOptions
+const masked = new Homography('projective');
+masked.setReferencePoints(sourcePoints, dstPoints, image);
+const unmasked = masked.warp();
+assert.ok(unmasked.data instanceof Uint8ClampedArray && !('mask' in unmasked), 'without mask, warp() must return the image');
+for (const [maskType, ArrayType] of [['uint8', Uint8Array], ['float', Float32Array]]){
+    const placed = masked.warpWithPlacement(null, false, {mask : maskType});
+    const result = masked.warp(null, false, false, {mask : maskType});
+    assert.deepEqual(Object.keys(result), ['image', 'mask'], maskType);
+    assert.ok(result.mask instanceof ArrayType && result.mask.length === result.image.width*result.image.height, maskType);
+    assert.deepEqual(result.image.data, unmasked.data, `${maskType}: the mask must not change the image`);
+    assert.deepEqual(result.mask, placed.mask, maskType);
+    masked.setOptions({warp : {mask : maskType}});
+    assert.deepEqual(masked.warp().mask, placed.mask, `${maskType}: the mask set through setOptions must be returned`);
+    masked.setOptions({warp : {mask : null}});
+}
+assert.equal(masked.warpWithPlacement().mask, null);
+
+// warpInto writes the same image and mask than warp() into the given buffers, without allocating any new one when the options come from setOptions
+const typedArrays = ['Uint8ClampedArray', 'Uint8Array', 'Float32Array', 'Float64Array', 'Int16Array', 'Int32Array', 'ArrayBuffer', 'Array'];
+const constructors = typedArrays.map(name => globalThis[name]);
+for (const transform of ['projective', 'piecewiseaffine']){
+    for (const options of [{}, {interpolation : 'bilinear', border : 'replicate'}, {interpolation : 'bicubic', minification : 'mipmap'}]){
+        const streamed = new Homography(transform);
+        streamed.setReferencePoints(sourcePoints, dstPoints, image);
+        const viewport = {x : 0, y : 0, width : 60, height : 40};
+        streamed.setOptions({warp : {...options, viewport : viewport}});
+        const target = {data : new Uint8ClampedArray(60*40*4), width : 60, height : 40}, targetMask = new Uint8Array(60*40);
+        streamed.warpInto(target, null, true, null, targetMask);
+        let allocations = 0;
+        typedArrays.forEach((name, i) => globalThis[name] = new Proxy(constructors[i], {construct : (...args) => (allocations++, Reflect.construct(...args))}));
+        let output;
+        try {
+            output = streamed.warpInto(target, null, true, null, targetMask);
+        } finally {
+            typedArrays.forEach((name, i) => globalThis[name] = constructors[i]);
+        }
+        const label = `${transform} ${JSON.stringify(options)}`;
+        assert.equal(allocations, 0, `${label}: warpInto must not allocate in steady state`);
+        assert.equal(output, target, label);
+        const expected = streamed.warp(null, false, true, {mask : 'uint8'});
+        assert.deepEqual(target.data, expected.image.data, label);
+        assert.deepEqual(targetMask, expected.mask, label);
+    }
+}
+
+// Composited images are blended at their place in pixels, also when their affine transform comes from normalized points
+const patch = {data : new Uint8ClampedArray(4*4*4).map((_, i) => [200, 100, 50, 255][i%4]), width : 4, height : 4};
+const overlay = new Homography('affine');
+overlay.setReferencePoints([[0, 0], [0, 1], [1, 0]], [[0.5, 0.5], [0.5, 1.5], [1.5, 0.5]], patch);
+const frame = (alpha) => ({data : new Uint8ClampedArray(8*8*4).map((_, i) => [100, 150, 200, alpha][i%4]), width : 8, height : 8});
+const pixel = (img, x, y) => [...img.data.subarray((y*img.width+x)*4, (y*img.width+x+1)*4)];
+for (const [blend, opacity, alpha, expected] of [['over', 1, 255, [200, 100, 50, 255]], ['multiply', 1, 255, [78, 59, 39, 255]],
+                                                 ['screen', 1, 255, [222, 191, 211, 255]], ['add', 1, 255, [255, 250, 250, 255]],
+                                                 ['over', 0.5, 255, [150, 125, 125, 255]], ['multiply', 0.5, 255, [89, 104, 120, 255]],
+                                                 ['screen', 0.5, 0, [200, 100, 50, 128]], ['add', 0.5, 153, [183, 175, 181, 204]]]){
+    const composited = overlay.composite(frame(alpha), blend, opacity);
+    assert.deepEqual(pixel(composited, 3, 4), expected, `${blend} with opacity ${opacity} over alpha ${alpha}`);
+    assert.deepEqual(pixel(composited, 1, 4), [100, 150, 200, alpha], `${blend}: pixels outside the image must not be modified`);
+}
+
+// Asynchronous warps split in bands between workers give the same image as the synchronous inverse warp
+const asyncWarp = await homography.warpAsync(null, {interpolation : 'bilinear'}, {workers : 3});
+assert.deepEqual(asyncWarp.image.data, homography.warp(null, false, true, {interpolation : 'bilinear'}).data);
+const controller = new AbortController();
+controller.abort();
+await assert.rejects(homography.warpAsync(null, null, {signal : controller.signal}), error => error.name === 'AbortError');
+homography.terminateWorkers();
+
+// Concurrent first asynchronous warps share the same pool of workers, that terminateWorkers() stops as a whole
+const startedWorkers = new Set();
+const countingPostMessage = Worker.prototype.postMessage;
+Worker.prototype.postMessage = function(message, transfer){
+    startedWorkers.add(this);
+    return countingPostMessage.call(this, message, transfer);
+};
+const concurrent = withPoints('projective', sourcePoints, dstPoints);
+const concurrentWarps = [concurrent.warpAsync(image, null, {workers : 2}), concurrent.warpAsync(null, null, {workers : 2})];
+const concurrentPool = concurrent._workerPool;
+for (const concurrentWarp of await Promise.all(concurrentWarps)) assert.deepEqual(concurrentWarp.image.data, concurrent.warp(null, false, true).data);
+Worker.prototype.postMessage = countingPostMessage;
+assert.equal(concurrent._workerPool, concurrentPool, 'concurrent first calls must share their pool');
+assert.equal(startedWorkers.size, 2, 'concurrent first calls must not start more workers than requested');
+concurrent.terminateWorkers();
+
+// Asynchronous warps send the image to each worker (and copy it to shared memory) only when it is set, not at every call
+const sentImages = [];
+const postMessage = Worker.prototype.postMessage;
+Worker.prototype.postMessage = function(message, transfer){
+    if (message.image !== null) sentImages.push(message.image);
+    return postMessage.call(this, message, transfer);
+};
+const sharedArrayBuffer = globalThis.SharedArrayBuffer;
+for (const shared of [true, false]){
+    // Without shared memory (as in pages that are not cross-origin isolated) each worker receives its own copy
+    if (!shared) delete globalThis.SharedArrayBuffer;
+    const reused = new Homography('projective');
+    reused.setReferencePoints(sourcePoints, dstPoints, image);
+    let copies = 0;
+    const shareImage = reused._shareImage;
+    reused._shareImage = function(){ copies++; shareImage.call(this); };
+    sentImages.length = 0;
+    for (let i = 0; i < 3; i++) await reused.warpAsync(null, null, {workers : 2});
+    assert.equal(sentImages.length, 2, `shared ${shared}: each worker must receive the image once`);
+    assert.ok(sentImages.every(sent => (sent.buffer instanceof sharedArrayBuffer) === shared));
+    assert.equal(copies, shared? 1 : 0, `shared ${shared}: the image must be copied to shared memory once`);
+    reused.setImage(image);
+    assert.deepEqual((await reused.warpAsync(null, null, {workers : 2})).image.data, reused.warp(null, false, true).data);
+    assert.equal(sentImages.length, 4, `shared ${shared}: a new image must be sent again`);
+    assert.equal(copies, shared? 2 : 0);
+    reused.terminateWorkers();
+    globalThis.SharedArrayBuffer = sharedArrayBuffer;
+}
+Worker.prototype.postMessage = postMessage;
+
+// Operations that need a DOM report it through their error code
+assert.throws(() => homography.HTMLImageElementFromImageData(output),
+              error => error instanceof InvalidStateError && error.code === ErrorCodes.DOM_NOT_AVAILABLE);
+
+// PNG and JPEG images are decoded to the same {data, width, height} form, and warped images can be encoded back
+const logo = await loadImage(fileURLToPath(new URL('./testImgLogoBlack.png', import.meta.url)));
+assert.equal(logo.data.length, logo.width*logo.height*4);
+homography.setImage(logo);
+const warpedLogo = homography.warp();
+const decodedPNG = decodeImage(encodeImage(warpedLogo, 'png'));
+assert.equal(decodedPNG.width, warpedLogo.width);
+assert.deepEqual(decodedPNG.data, warpedLogo.data);
+const decodedJPEG = decodeImage(encodeImage(warpedLogo, 'jpeg'));
+assert.equal(decodedJPEG.height, warpedLogo.height);
+assert.throws(() => encodeImage(warpedLogo, 'gif'), error => error.code === ErrorCodes.UNSUPPORTED_FORMAT);
+
+// The command line tool estimates, applies and reports transforms of correspondence files, and exits with a non zero code on wrong arguments
+const cli = fileURLToPath(new URL('../bin/homography.js', import.meta.url));
+const runCLI = (...args) => spawnSync(process.execPath, [cli, ...args], {encoding : 'utf8', timeout : 60000});
+const fixtures = mkdtempSync(join(tmpdir(), 'homography-'));
+try {
+    const gridPoints = [[0, 0], [0, 99], [99, 0], [99, 99], [50, 50]];
+    const correspondences = join(fixtures, 'points.json'), matrixFile = join(fixtures, 'matrix.json'), imageFile = join(fixtures, 'image.png');
+    writeFileSync(correspondences, JSON.stringify({src : gridPoints, dst : gridPoints.map(([x, y]) => project(knownProjective, x, y))}));
+    writeFileSync(imageFile, encodeImage(image, 'png'));
+
+    const estimated = runCLI('estimate', correspondences, '-t', 'projective', '-o', matrixFile, '--json');
+    assert.equal(estimated.status, 0, estimated.stderr);
+    const {matrix, rms} = JSON.parse(estimated.stdout);
+    assert.ok(areClose(matrix, knownProjective, 1e-5) && rms < 1e-4, 'estimate must recover the matrix of the correspondences');
+    assert.ok(readFileSync(matrixFile, 'utf8').includes('opencv-matrix'), 'estimate -o must save the matrix as OpenCV FileStorage');
+
+    const fit = runCLI('residuals', correspondences, '-t', 'projective', '--json');
+    assert.equal(fit.status, 0, fit.stderr);
+    const {residuals} = JSON.parse(fit.stdout);
+    assert.ok(residuals.length === gridPoints.length && residuals.every(residual => residual < 1e-4), 'residuals must report one exact residual per point');
+
+    const applied = runCLI('apply', matrixFile, imageFile, '-o', join(fixtures, 'applied'), '--json');
+    assert.equal(applied.status, 0, applied.stderr);
+    const [appliedResult] = JSON.parse(applied.stdout);
+    const appliedImage = await loadImage(appliedResult.output);
+    const expectedApplied = new Homography();
+    expectedApplied.setMatrix(knownProjective);
+    assert.deepEqual(appliedImage.data, expectedApplied.warp(image).data, 'apply must warp the image with the saved matrix');
+
+    const warpedFile = join(fixtures, 'warped.png');
+    const warped = runCLI('warp', imageFile, '--src', '0,0,0,100,100,0', '--dst', '20,10,20,110,120,10', '-o', warpedFile, '--json');
+    assert.equal(warped.status, 0, warped.stderr);
+    const {x, y, width : warpedWidth, height : warpedHeight} = JSON.parse(warped.stdout);
+    assert.deepEqual([x, y, warpedWidth, warpedHeight], [20, 10, 100, 100]);
+    assert.deepEqual((await loadImage(warpedFile)).data, image.data, 'warp must write the translated image');
+    const shearedFile = join(fixtures, 'sheared.png');
+    const sheared = runCLI('warp', imageFile, '--src', '0,0,0,100,100,0', '--dst', '0,0,50,100,100,0', '--border', 'constant', '--border-color', '10,20,30', '-o', shearedFile);
+    assert.equal(sheared.status, 0, sheared.stderr);
+    const shearedImage = await loadImage(shearedFile);
+    assert.deepEqual([...shearedImage.data.subarray((shearedImage.width*(shearedImage.height-1))*4, (shearedImage.width*(shearedImage.height-1)+1)*4)],
+                     [10, 20, 30, 255], 'pixels out of the image must take the color of the constant border');
+
+    for (const args of [['estimate'], ['unknown', correspondences], ['estimate', correspondences, '--unknown-option'],
+                        ['apply', matrixFile, imageFile, '-o', join(fixtures, 'applied'), '--quality', 'high'],
+                        ['apply', matrixFile, imageFile, '-o', join(fixtures, 'applied'), '--border', 'constant', '--border-color', '10,20']]){
+        const failed = runCLI(...args);
+        assert.equal(failed.status, 2, `${args.join(' ')}: wrong arguments must exit with code 2`);
+        assert.ok(failed.stderr.includes('Usage'), `${args.join(' ')}: wrong arguments must print the usage`);
+    }
+    assert.equal(runCLI('estimate', join(fixtures, 'missing.json')).status, 1, 'missing files must exit with code 1');
+} finally {
+    rmSync(fixtures, {recursive : true, force : true});
+}
+
+console.log('Node.js tests passed');
@@ -0,0 +1,491 @@
+/**
+ * @copyright Eric Cañas 2021.
+ * @author Eric Cañas <elcorreodeharu@gmail.com>
+ * @file wasm/build.js. Generates HomographyWasm.js, the WebAssembly version of the nearest neighbor warp kernels of Homography.js.
+ *       Kernels are written as WebAssembly text and compiled twice: with SIMD (two consecutive output pixels are stepped at once, as the
+ *       two lanes of f64x2 vectors) and without it (for the engines that do not support SIMD). Both versions do exactly the same floating point
+ *       operations as the JavaScript kernels, so they give bit-identical images. Run it with "npm run build:wasm".
+ */
+
+import { writeFile } from 'node:fs/promises';
+import { fileURLToPath } from 'node:url';
+import wabt from 'wabt';
+
+const outputPath = fileURLToPath(new URL('../HomographyWasm.js', import.meta.url));
+
+/**
+ * Summary.                     Returns the declarations of the locals used by the kernels (the ones that a kernel does not use are ignored by the engines).
+ *
+ * @param {Boolean}     simd    If true, also declares the f64x2 vectors that hold the values of two consecutive pixels.
+ *
+ * @return {String}             Declarations of the locals.
+ */
+function locals(simd){
+    const declare = (type, names) => names.map(name => `(local $${name} ${type})`).join(' ');
+    return `${declare('f64', ['ax', 'bx', 'cx', 'ay', 'by', 'cy', 'dx', 'dy', 'numX', 'numY', 'den', 'fx', 'fy', 'srcX', 'srcY', 'roundX', 'roundY',
+                              'lowX', 'lowY', 'highX', 'highY', 'maxX', 'maxY', 'rowLength', 'outLength', 'idx'])}
+        ${declare('i32', ['x', 'y', 'inside', 'pixel', 'pixel2', 'triangle', 'lastTriangle', 'triangleMatrix', 'indexBytes', 'i', 'rowOut', 'rowMask', 'pairs'])}
+        ${simd? declare('v128', ['vax', 'vay', 'vdx', 'vnumX', 'vnumY', 'vden', 'vsrcX', 'vsrcY', 'vroundX', 'vroundY',
+                                 'vlowX', 'vlowY', 'vhighX', 'vhighY', 'vmaxX', 'vmaxY']) : ''}`;
+}
+
+/**
+ * Summary.                     Returns the instructions that read the coefficients of the Affine or Projective matrix at $matrix, ordered as [ax, bx, cx, ay, by, cy]
+ *                              for calculating x' = ax*x + bx*y + cx and y' = ay*x + by*y + cy (the numerators, in the Projective case).
+ *
+ * @return {String}             Instructions reading the matrix.
+ */
+function loadCoefficients(){
+    const load = i => `(f64.load offset=${i*8} (local.get $matrix))`;
+    const assign = indices => ['ax', 'bx', 'cx', 'ay', 'by', 'cy'].map((name, i) => `(local.set $${name} ${load(indices[i])})`).join(' ');
+    return `(if (local.get $projective)
+            (then ${assign([0, 1, 2, 3, 4, 5])} (local.set $dx ${load(6)}) (local.set $dy ${load(7)}))
+            (else ${assign([0, 2, 4, 1, 3, 5])}))`;
+}
+
+/**
+ * Summary.                     Returns the instructions that read the Affine matrix of the triangle $triangle (6 consecutive f64 from $matrices) and
+ *                              evaluate it at ($fx, $fy), as applyAffineTransformToPoint() does ((m0*x) + (m2*y) + m4). Consecutive pixels are usually
+ *                              in the same triangle, so it is only done when the triangle changes, and the next pixels are reached by stepPoint()
+ *                              ($lastTriangle must be set to -1 at the start of each row and after every pixel out of the triangles).
+ *
+ * @return {String}             Instructions reading the matrix.
+ */
+function loadTriangleCoefficients(){
+    return `(if (i32.ne (local.get $triangle) (local.get $lastTriangle)) (then
+                    (local.set $triangleMatrix (i32.add (local.get $matrices) (i32.mul (local.get $triangle) (i32.const 48))))
+                    (local.set $ax (f64.load (local.get $triangleMatrix))) (local.set $ay (f64.load offset=8 (local.get $triangleMatrix)))
+                    (local.set $bx (f64.load offset=16 (local.get $triangleMatrix))) (local.set $by (f64.load offset=24 (local.get $triangleMatrix)))
+                    (local.set $cx (f64.load offset=32 (local.get $triangleMatrix))) (local.set $cy (f64.load offset=40 (local.get $triangleMatrix)))
+                    (local.set $numX (f64.add (f64.add (f64.mul (local.get $ax) (local.get $fx)) (f64.mul (local.get $bx) (local.get $fy))) (local.get $cx)))
+                    (local.set $numY (f64.add (f64.add (f64.mul (local.get $ay) (local.get $fx)) (f64.mul (local.get $by) (local.get $fy))) (local.get $cy)))
+                    (local.set $lastTriangle (local.get $triangle))))`;
+}
+
+/**
+ * Summary.                     Returns the instructions that set the size of the triangle indices of the correspondences matrix: i32 if $wideIndices is set
+ *                              (meshes of more than 32767 triangles) and i16 otherwise.
+ *
+ * @return {String}             Instructions setting $indexBytes.
+ */
+function setIndexBytes(){
+    return `(local.set $indexBytes (select (i32.const 4) (i32.const 2) (local.get $wideIndices)))`;
+}
+
+/**
+ * Summary.                     Returns the expression that reads the triangle of the current pixel from the correspondences matrix.
+ *
+ * @return {String}             Expression giving the index of the triangle (-1 outside every triangle).
+ */
+function loadTriangle(){
+    return `(if (result i32) (local.get $wideIndices) (then (i32.load (local.get $correspondences))) (else (i32.load16_s (local.get $correspondences))))`;
+}
+
+/**
+ * Summary.                     Returns the instructions that splat locals into the vectors of the same name prefixed by "v".
+ *
+ * @param {Array<String>}   names   Names of the f64 locals.
+ *
+ * @return {String}                 Instructions splatting them.
+ */
+function splat(names){
+    return names.map(name => `(local.set $v${name} (f64x2.splat (local.get $${name})))`).join(' ');
+}
+
+/**
+ * Summary.                     Returns the instructions that calculate the homogeneous coordinates of the first pixel of the row $fy, as the JavaScript
+ *                              kernels do: (bx*y + cx, by*y + cy) and the denominator (dy*y + 1).
+ *
+ * @return {String}             Instructions calculating $numX, $numY and $den.
+ */
+function startRow(){
+    return `(local.set $numX (f64.add (f64.mul (local.get $bx) (local.get $fy)) (local.get $cx)))
+            (local.set $numY (f64.add (f64.mul (local.get $by) (local.get $fy)) (local.get $cy)))
+            (local.set $den (f64.add (f64.mul (local.get $dy) (local.get $fy)) (f64.const 1)))`;
+}
+
+/**
+ * Summary.                     Returns the instructions that leave the point of the current pixel in ($srcX, $srcY), dividing the homogeneous coordinates
+ *                              by the denominator in the Projective case.
+ *
+ * @param {Boolean}     projective  If true, includes the division by the denominator when $projective is set.
+ *
+ * @return {String}                 Instructions transforming the point.
+ */
+function transformPoint(projective){
+    return `(local.set $srcX (local.get $numX)) (local.set $srcY (local.get $numY))` + (projective? `
+                (if (local.get $projective) (then
+                    (local.set $srcX (f64.div (local.get $numX) (local.get $den))) (local.set $srcY (f64.div (local.get $numY) (local.get $den)))))` : '');
+}
+
+/**
+ * Summary.                     Returns the instructions that step the homogeneous coordinates to the next pixel of the row, adding the x deltas.
+ *
+ * @param {Boolean}     projective  If true, also steps the denominator.
+ *
+ * @return {String}                 Instructions stepping the point.
+ */
+function stepPoint(projective){
+    return `(local.set $numX (f64.add (local.get $numX) (local.get $ax))) (local.set $numY (f64.add (local.get $numY) (local.get $ay)))` + (projective?
+                ` (local.set $den (f64.add (local.get $den) (local.get $dx)))` : '');
+}
+
+/**
+ * Summary.                     Returns the instructions that set the region of the source coordinates that falls inside the image, [low, high), and the
+ *                              last pixel of the image (for clamping the rounded coordinates, as borderPixelIndex() does with the "replicate" mode).
+ *
+ * @param {Boolean}         simd    If true, the bounds are also set as vectors.
+ *
+ * @param {Array<String>}   low     Expressions of the lower x and y bounds.
+ *
+ * @param {Array<String>}   high    Expressions of the upper x and y bounds.
+ *
+ * @return {String}                 Instructions setting the bounds.
+ */
+function setBounds(simd, [lowX, lowY], [highX, highY]){
+    return `(local.set $lowX ${lowX}) (local.set $lowY ${lowY}) (local.set $highX ${highX}) (local.set $highY ${highY})
+        (local.set $maxX (f64.convert_i32_s (i32.sub (local.get $width) (i32.const 1))))
+        (local.set $maxY (f64.convert_i32_s (i32.sub (local.get $height) (i32.const 1))))` + (simd? `
+        ${splat(['lowX', 'lowY', 'highX', 'highY', 'maxX', 'maxY'])}` : '');
+}
+
+/**
+ * Summary.                     Returns the expression that checks if ($srcX, $srcY) falls inside the bounds of setBounds().
+ *
+ * @return {String}             Expression giving 1 if the point is inside and 0 otherwise (also for NaN coordinates).
+ */
+function isInside(){
+    return `(i32.and (i32.and (f64.ge (local.get $srcX) (local.get $lowX)) (f64.lt (local.get $srcX) (local.get $highX)))
+                                            (i32.and (f64.ge (local.get $srcY) (local.get $lowY)) (f64.lt (local.get $srcY) (local.get $highY))))`;
+}
+
+/**
+ * Summary.                     Returns the instructions that round ($srcX, $srcY) into ($roundX, $roundY) as Math.round() does. It rounds the halves up,
+ *                              while f64.nearest would round them to the even integer.
+ *
+ * @return {String}             Instructions rounding the point.
+ */
+function roundPoint(){
+    return ['X', 'Y'].map(axis => `(local.set $round${axis} (f64.floor (local.get $src${axis})))
+                (local.set $round${axis} (select (f64.add (local.get $round${axis}) (f64.const 1)) (local.get $round${axis})
+                                                 (f64.ge (f64.sub (local.get $src${axis}) (local.get $round${axis})) (f64.const 0.5))))`).join('\n                ');
+}
+
+/**
+ * Summary.                     Returns the expression that reads the RGBA value of the source pixel at the rounded coordinates, clamped into the image.
+ *
+ * @param {String}      x       Expression of the rounded x coordinate.
+ *
+ * @param {String}      y       Expression of the rounded y coordinate.
+ *
+ * @return {String}             Expression giving the pixel as an i32.
+ */
+function nearestPixel(x = '(local.get $roundX)', y = '(local.get $roundY)'){
+    return `(i32.load (i32.add (local.get $image) (i32.shl (i32.add
+                    (i32.mul (i32.trunc_f64_s (f64.min (f64.max ${y} (f64.const 0)) (local.get $maxY))) (local.get $width))
+                    (i32.trunc_f64_s (f64.min (f64.max ${x} (f64.const 0)) (local.get $maxX)))) (i32.const 2))))`;
+}
+
+/**
+ * Summary.                     Returns the instructions that sample the output pixel at $x of the row (transformed into ($srcX, $srcY) before) and write it
+ *                              and its mask.
+ *
+ * @return {String}             Instructions writing the pixel.
+ */
+function writeInversePixel(){
+    return `(if (local.get $inside)
+                    (then
+                        ${roundPoint()}
+                        (local.set $pixel ${nearestPixel()}))
+                    (else (local.set $pixel (i32.const 0))))
+                (i32.store (i32.add (local.get $rowOut) (i32.shl (local.get $x) (i32.const 2))) (local.get $pixel))
+                (if (local.get $mask) (then
+                    (i32.store8 (i32.add (local.get $rowMask) (local.get $x)) (select (i32.const 255) (i32.const 0) (local.get $inside)))))`;
+}
+
+/**
+ * Summary.                     Returns the instructions that transform, sample and write the pixels $x and $x+1 of the row at once, as the two lanes
+ *                              of f64x2 vectors (SIMD). Each lane does exactly the same operations than transformPoint(true), isInside() and roundPoint().
+ *
+ * Description.                 The deltas must be splatted in $vax, $vay, $vdx and the homogeneous coordinates of both pixels set in $vnumX, $vnumY, $vden
+ *                              (see startPairRow()). The second pixel is not written if it is out of the row.
+ *
+ * @return {String}             Instructions writing both pixels.
+ */
+function writeInversePixelPair(){
+    const round = axis => `(local.set $vround${axis} (f64x2.floor (local.get $vsrc${axis})))
+                (local.set $vround${axis} (f64x2.pmin (f64x2.pmax (f64x2.add (local.get $vround${axis})
+                    (v128.and (f64x2.ge (f64x2.sub (local.get $vsrc${axis}) (local.get $vround${axis})) (v128.const f64x2 0.5 0.5)) (v128.const f64x2 1 1)))
+                    (v128.const f64x2 0 0)) (local.get $vmax${axis})))`;
+    const laneInside = axis => `(v128.and (f64x2.ge (local.get $vsrc${axis}) (local.get $vlow${axis})) (f64x2.lt (local.get $vsrc${axis}) (local.get $vhigh${axis})))`;
+    const lanePixel = lane => `(if (result i32) (i32.and (local.get $inside) (i32.const ${lane+1}))
+                        (then ${nearestPixel(`(f64x2.extract_lane ${lane} (local.get $vroundX))`, `(f64x2.extract_lane ${lane} (local.get $vroundY))`)})
+                        (else (i32.const 0)))`;
+    return `(local.set $vsrcX (local.get $vnumX)) (local.set $vsrcY (local.get $vnumY))
+                (if (local.get $projective) (then
+                    (local.set $vsrcX (f64x2.div (local.get $vnumX) (local.get $vden))) (local.set $vsrcY (f64x2.div (local.get $vnumY) (local.get $vden)))))
+                ;; Bit 0 is set if the first pixel is inside the image, and bit 1 if the second one is
+                (local.set $inside (i64x2.bitmask (v128.and ${laneInside('X')} ${laneInside('Y')})))
+                (local.set $pixel (i32.const 0)) (local.set $pixel2 (i32.const 0))
+                (if (local.get $inside) (then
+                    ${round('X')}
+                    ${round('Y')}
+                    (local.set $pixel ${lanePixel(0)})
+                    (local.set $pixel2 ${lanePixel(1)})))
+                (local.set $i (i32.add (local.get $rowOut) (i32.shl (local.get $x) (i32.const 2))))
+                (i32.store (local.get $i) (local.get $pixel))
+                (if (local.get $mask) (then
+                    (i32.store8 (i32.add (local.get $rowMask) (local.get $x)) (select (i32.const 255) (i32.const 0) (i32.and (local.get $inside) (i32.const 1))))))
+                (if (i32.lt_s (i32.add (local.get $x) (i32.const 1)) (local.get $outWidth)) (then
+                    (i32.store offset=4 (local.get $i) (local.get $pixel2))
+                    (if (local.get $mask) (then
+                        (i32.store8 offset=1 (i32.add (local.get $rowMask) (local.get $x)) (select (i32.const 255) (i32.const 0) (i32.and (local.get $inside) (i32.const 2))))))))`;
+}
+
+/**
+ * Summary.                     Returns the instructions that set the homogeneous coordinates of the pixels 0 and 1 of the row in the lanes of $vnumX, $vnumY
+ *                              and $vden. The second lane starts one step ahead of the first one.
+ *
+ * @return {String}             Instructions setting the vectors.
+ */
+function startPairRow(){
+    return ['numX', 'numY', 'den'].map((name, i) => `(local.set $v${name} (f64x2.replace_lane 1 (f64x2.splat (local.get $${name}))
+                (f64.add (local.get $${name}) (local.get $${['ax', 'ay', 'dx'][i]}))))`).join('\n            ');
+}
+
+/**
+ * Summary.                     Returns the instructions that step both lanes to the pixels $x+2 and $x+3. Each lane adds the delta twice, so it follows
+ *                              exactly the same sequence of additions than the scalar kernels, instead of adding it doubled.
+ *
+ * @return {String}             Instructions stepping the vectors.
+ */
+function stepPair(){
+    return ['numX', 'numY', 'den'].map((name, i) => `(local.set $v${name} (f64x2.add (f64x2.add (local.get $v${name}) (local.get $v${['ax', 'ay', 'dx'][i]}))
+                    (local.get $v${['ax', 'ay', 'dx'][i]})))`).join('\n                ');
+}
+
+/**
+ * Summary.                     Returns the instructions that set the constants of the forward warps: the length of a row and of the whole output image, in bytes.
+ *
+ * @return {String}             Instructions setting the constants.
+ */
+function setForwardConstants(){
+    return `(local.set $rowLength (f64.convert_i32_s (i32.shl (local.get $outWidth) (i32.const 2))))
+        (local.set $outLength (f64.convert_i32_s (i32.shl (i32.mul (local.get $outWidth) (local.get $outHeight)) (i32.const 2))))`;
+}
+
+/**
+ * Summary.                     Returns the instructions that write $pixel at the rounded destiny position ($srcX, $srcY) of a forward warp.
+ *
+ * Description.                 As in the JavaScript kernels, the index of the position is calculated as y*rowLength + x*4, and it is only written
+ *                              if it falls inside the output buffer (typed arrays ignore the rest of them). So positions out of a row are written
+ *                              in the neighbor row, as they are in JavaScript.
+ *
+ * @return {String}             Instructions writing the pixel (and its mask).
+ */
+function scatterPixel(){
+    return `(local.set $srcX (f64.sub (local.get $srcX) (local.get $offsetX))) (local.set $srcY (f64.sub (local.get $srcY) (local.get $offsetY)))
+                ${roundPoint()}
+                (local.set $idx (f64.add (f64.mul (local.get $roundY) (local.get $rowLength)) (f64.mul (local.get $roundX) (f64.const 4))))
+                (if (i32.and (f64.ge (local.get $idx) (f64.const 0)) (f64.lt (local.get $idx) (local.get $outLength))) (then
+                    (local.set $i (i32.trunc_f64_s (local.get $idx)))
+                    (i32.store (i32.add (local.get $out) (local.get $i)) (local.get $pixel))
+                    (if (local.get $mask) (then (i32.store8 (i32.add (local.get $mask) (i32.shr_s (local.get $i) (i32.const 2))) (i32.const 255))))))`;
+}
+
+/**
+ * Summary.                     Returns the instructions of a loop over the output rows of an inverse warp, that keeps $fy, $rowOut and $rowMask (the
+ *                              start of the row in the output image and in the mask) updated.
+ *
+ * @param {String}      body    Instructions run for each row.
+ *
+ * @return {String}             Instructions of the loop.
+ */
+function forEachOutputRow(body){
+    return `(local.set $rowOut (local.get $out)) (local.set $rowMask (local.get $mask))
+        (block $rowsDone (loop $rows
+            (br_if $rowsDone (i32.ge_s (local.get $y) (local.get $outHeight)))
+            (local.set $fy (f64.convert_i32_s (local.get $y)))
+            ${body}
+            (local.set $rowOut (i32.add (local.get $rowOut) (i32.shl (local.get $outWidth) (i32.const 2))))
+            (local.set $rowMask (i32.add (local.get $rowMask) (local.get $outWidth)))
+            (local.set $y (i32.add (local.get $y) (i32.const 1)))
+            (br $rows)))`;
+}
+
+/**
+ * Summary.                     Returns the WebAssembly text of the module with the four warp kernels.
+ *
+ * Description.                 Images, matrices and masks live in the exported memory, at the offsets given by the caller. Matrices are f64, triangle
+ *                              correspondences are i16, or i32 when $wideIndices is set (-1 outside every triangle), and a mask offset of 0 means that
+ *                              the mask is not calculated. With SIMD,
+ *                              the inverse geometric warp processes two pixels at once. The rest of kernels are the same in both versions, as they do not
+ *                              gain from it (the forward warps write each pixel at a different place and the piecewise one changes of matrix between pixels).
+ *
+ * @param {Boolean}     simd    If true, uses f64x2 vectors in the inverse geometric warp.
+ *
+ * @return {String}             WebAssembly text of the module.
+ */
+function kernelsModule(simd){
+    const next = (pointer, bytes) => `(local.set $${pointer} (i32.add (local.get $${pointer}) (i32.const ${bytes})))`;
+    const inverseGeometricRow = simd? `
+            ${startRow()}
+            ${startPairRow()}
+            (local.set $x (i32.const 0))
+            (block $columnsDone (loop $columns
+                (br_if $columnsDone (i32.ge_s (local.get $x) (local.get $outWidth)))
+                ${writeInversePixelPair()}
+                ${stepPair()}
+                ${next('x', 2)}
+                (br $columns)))` : `
+            ${startRow()}
+            (local.set $x (i32.const 0))
+            (block $columnsDone (loop $columns
+                (br_if $columnsDone (i32.ge_s (local.get $x) (local.get $outWidth)))
+                ${transformPoint(true)}
+                ${stepPoint(true)}
+                (local.set $inside ${isInside()})
+                ${writeInversePixel()}
+                ${next('x', 1)}
+                (br $columns)))`;
+    const inversePiecewiseRow = `
+            (local.set $lastTriangle (i32.const -1))
+            (local.set $x (i32.const 0))
+            (block $columnsDone (loop $columns
+                (br_if $columnsDone (i32.ge_s (local.get $x) (local.get $outWidth)))
+                (local.set $triangle ${loadTriangle()})
+                (local.set $inside (i32.const 0))
+                (if (i32.ge_s (local.get $triangle) (i32.const 0))
+                    (then
+                        (local.set $fx (f64.convert_i32_s (local.get $x)))
+                        ${loadTriangleCoefficients()}
+                        ${transformPoint(false)}
+                        ${stepPoint(false)}
+                        (local.set $inside ${isInside()}))
+                    (else (local.set $lastTriangle (i32.const -1))))
+                ${writeInversePixel()}
+                (local.set $correspondences (i32.add (local.get $correspondences) (local.get $indexBytes)))
+                ${next('x', 1)}
+                (br $columns)))`;
+    return `
+(module
+    (memory (export "memory") 1)
+
+    ;; Forward version of _geometricWarp(): every source pixel is written at its transformed position. The output and the mask must be cleared before
+    (func (export "geometricWarp") (param $image i32) (param $width i32) (param $height i32) (param $out i32) (param $outWidth i32) (param $outHeight i32)
+                                   (param $matrix i32) (param $projective i32) (param $offsetX f64) (param $offsetY f64) (param $mask i32)
+        ${locals(simd)}
+        ${loadCoefficients()}
+        ${setForwardConstants()}
+        (block $rowsDone (loop $rows
+            (br_if $rowsDone (i32.ge_s (local.get $y) (local.get $height)))
+            (local.set $fy (f64.convert_i32_s (local.get $y)))
+            ${startRow()}
+            (local.set $x (i32.const 0))
+            (block $columnsDone (loop $columns
+                (br_if $columnsDone (i32.ge_s (local.get $x) (local.get $width)))
+                ${transformPoint(true)}
+                ${stepPoint(true)}
+                (local.set $pixel (i32.load (local.get $image)))
+                ${scatterPixel()}
+                ${next('image', 4)}
+                ${next('x', 1)}
+                (br $columns)))
+            ${next('y', 1)}
+            (br $rows))))
+
+    ;; Forward version of _piecewiseAffineWarp(): every source pixel inside a triangle is written at its position transformed by the triangle matrix.
+    ;; The output and the mask must be cleared before. As in JavaScript, where the positions out of the typed arrays read undefined (0), source
+    ;; pixels out of the image are transparent
+    (func (export "piecewiseAffineWarp") (param $image i32) (param $width i32) (param $height i32) (param $out i32) (param $outWidth i32) (param $outHeight i32)
+                                         (param $matrices i32) (param $correspondences i32) (param $minSrcX i32) (param $minSrcY i32) (param $maxSrcX i32)
+                                         (param $maxSrcY i32) (param $offsetX f64) (param $offsetY f64) (param $mask i32) (param $wideIndices i32)
+        ${locals(simd)}
+        ${setForwardConstants()}
+        ${setIndexBytes()}
+        (local.set $y (local.get $minSrcY))
+        (block $rowsDone (loop $rows
+            (br_if $rowsDone (i32.ge_s (local.get $y) (local.get $maxSrcY)))
+            (local.set $fy (f64.convert_i32_s (local.get $y)))
+            (local.set $lastTriangle (i32.const -1))
+            (local.set $x (local.get $minSrcX))
+            (block $columnsDone (loop $columns
+                (br_if $columnsDone (i32.ge_s (local.get $x) (local.get $maxSrcX)))
+                (local.set $triangle ${loadTriangle()})
+                (if (i32.ge_s (local.get $triangle) (i32.const 0)) (then
+                    (local.set $fx (f64.convert_i32_s (local.get $x)))
+                    ${loadTriangleCoefficients()}
+                    ${transformPoint(false)}
+                    ${stepPoint(false)}
+                    (local.set $i (i32.add (i32.mul (local.get $y) (local.get $width)) (local.get $x)))
+                    (local.set $pixel (if (result i32) (i32.and (i32.ge_s (local.get $i) (i32.const 0)) (i32.lt_s (local.get $i) (i32.mul (local.get $width) (local.get $height))))
+                        (then (i32.load (i32.add (local.get $image) (i32.shl (local.get $i) (i32.const 2)))))
+                        (else (i32.const 0))))
+                    ${scatterPixel()})
+                    (else (local.set $lastTriangle (i32.const -1))))
+                (local.set $correspondences (i32.add (local.get $correspondences) (local.get $indexBytes)))
+                ${next('x', 1)}
+                (br $columns)))
+            ${next('y', 1)}
+            (br $rows))))
+
+    ;; Inverse version of _geometricWarp() with nearest sampling and transparent border: every output pixel takes the source pixel nearest to
+    ;; its transformed position, or stays transparent if it falls out of the image
+    (func (export "inverseGeometricWarp") (param $image i32) (param $width i32) (param $height i32) (param $out i32) (param $outWidth i32) (param $outHeight i32)
+                                          (param $matrix i32) (param $projective i32) (param $mask i32)
+        ${locals(simd)}
+        ${loadCoefficients()}
+        ${simd? splat(['ax', 'ay', 'dx']) : ''}
+        ${setBounds(simd, ['(f64.const 0)', '(f64.const 0)'], ['(f64.convert_i32_s (local.get $width))', '(f64.convert_i32_s (local.get $height))'])}
+        ${forEachOutputRow(inverseGeometricRow)})
+
+    ;; Inverse version of _piecewiseAffineWarp() with nearest sampling and transparent border
+    (func (export "inversePiecewiseAffineWarp") (param $image i32) (param $width i32) (param $height i32) (param $out i32) (param $outWidth i32)
+                                                (param $outHeight i32) (param $matrices i32) (param $correspondences i32) (param $minSrcX f64)
+                                                (param $minSrcY f64) (param $mask i32) (param $wideIndices i32)
+        ${locals(simd)}
+        ${setIndexBytes()}
+        ${setBounds(false, ['(local.get $minSrcX)', '(local.get $minSrcY)'],
+                          ['(f64.add (f64.convert_i32_s (local.get $width)) (local.get $minSrcX))', '(f64.add (f64.convert_i32_s (local.get $height)) (local.get $minSrcY))'])}
+        ${forEachOutputRow(inversePiecewiseRow)})
+)`;
+}
+
+/**
+ * Summary.                     Compiles a module written in WebAssembly text.
+ *
+ * @param {Object}      wabtModule  Instance of the wabt library.
+ *
+ * @param {String}      text        WebAssembly text of the module.
+ *
+ * @param {String}      name        Name of the module, for the error messages.
+ *
+ * @return {Uint8Array}             Binary of the module.
+ */
+function compile(wabtModule, text, name){
+    const parsed = wabtModule.parseWat(`${name}.wat`, text, {simd : true});
+    try {
+        parsed.validate();
+        return parsed.toBinary({}).buffer;
+    } finally {
+        parsed.destroy();
+    }
+}
+
+const wabtModule = await wabt();
+const simdKernels = compile(wabtModule, kernelsModule(true), 'simd');
+const scalarKernels = compile(wabtModule, kernelsModule(false), 'scalar');
+await writeFile(outputPath, `/**
+ * @copyright Eric Cañas 2021.
+ * @author Eric Cañas <elcorreodeharu@gmail.com>
+ * @file HomographyWasm.js. GENERATED BY wasm/build.js, DO NOT EDIT. WebAssembly binaries (as base64) of the nearest neighbor warp kernels of
+ *       Homography.js, with SIMD and without it.
+ */
+
+const simdKernels = '${Buffer.from(simdKernels).toString('base64')}';
+
+const scalarKernels = '${Buffer.from(scalarKernels).toString('base64')}';
+
+export {simdKernels, scalarKernels}
+`);
+console.log(`HomographyWasm.js written (SIMD: ${simdKernels.length} bytes, scalar: ${scalarKernels.length} bytes)`);